@@ -31,6 +31,27 @@ async function initDb() {
     queueLimit: 0,
   });
 
+  // Assignments: instructions, rubric and grading settings stored once
+  await pool.execute(`
+    CREATE TABLE IF NOT EXISTS assignments (
+      id               INT AUTO_INCREMENT PRIMARY KEY,
+      name             VARCHAR(255) NOT NULL,
+      instructions     LONGTEXT NOT NULL,
+      rubric           JSON,
+      rubric_id        VARCHAR(100),
+      rubric_version   INT,
+      note             LONGTEXT,
+      answer_key       LONGTEXT,
+      max_score        INT,
+      leniency         VARCHAR(100),
+      model            VARCHAR(100),
+      backend          VARCHAR(50),
+      options          JSON,
+      created_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at       DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
   // Create the table
   await pool.execute(`
     CREATE TABLE IF NOT EXISTS grading_results (
@@ -46,13 +67,164 @@ async function initDb() {
       overall_feedback TEXT,
       text_report      LONGTEXT,
       full_result      JSON,
-      graded_at        DATETIME DEFAULT CURRENT_TIMESTAMP
+      template_id      VARCHAR(100),
+      template_version INT,
+      adjustments      JSON,
+      rubric_id        VARCHAR(100),
+      rubric_version   INT,
+      assignment_id    INT NULL,
+      security_flags   JSON,
+      needs_review     BOOLEAN NOT NULL DEFAULT FALSE,
+      fingerprint      JSON,
+      shingles         MEDIUMTEXT,
+      graded_at        DATETIME DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_results_assignment FOREIGN KEY (assignment_id) REFERENCES assignments(id) ON DELETE SET NULL
+    )
+  `);
+  await addColumnIfMissing("grading_results", "template_id", "VARCHAR(100)");
+  await addColumnIfMissing("grading_results", "template_version", "INT");
+  await addColumnIfMissing("grading_results", "adjustments", "JSON");
+  await addColumnIfMissing("grading_results", "rubric_id", "VARCHAR(100)");
+  await addColumnIfMissing("grading_results", "rubric_version", "INT");
+  await addColumnIfMissing("grading_results", "assignment_id", "INT NULL");
+  await addColumnIfMissing("grading_results", "security_flags", "JSON");
+  await addColumnIfMissing("grading_results", "needs_review", "BOOLEAN NOT NULL DEFAULT FALSE");
+  await addColumnIfMissing("grading_results", "fingerprint", "JSON");
+  await addColumnIfMissing("grading_results", "shingles", "MEDIUMTEXT");
+  await addColumnIfMissing("assignments", "answer_key", "LONGTEXT");
+  await addForeignKeyIfMissing(
+    "grading_results",
+    "fk_results_assignment",
+    "FOREIGN KEY (assignment_id) REFERENCES assignments(id) ON DELETE SET NULL"
+  );
+
+  // Prompt templates: every edit is a new (template_id, version) row
+  await pool.execute(`
+    CREATE TABLE IF NOT EXISTS prompt_templates (
+      template_id      VARCHAR(100) NOT NULL,
+      version          INT NOT NULL,
+      description      VARCHAR(500),
+      system_prompt    TEXT,
+      body             LONGTEXT NOT NULL,
+      created_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (template_id, version)
+    )
+  `);
+
+  // Rubric library: every edit is a new (rubric_id, version) row
+  await pool.execute(`
+    CREATE TABLE IF NOT EXISTS rubrics (
+      rubric_id        VARCHAR(100) NOT NULL,
+      version          INT NOT NULL,
+      name             VARCHAR(255) NOT NULL,
+      description      VARCHAR(500),
+      rubric           JSON NOT NULL,
+      tags             JSON,
+      created_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (rubric_id, version)
+    )
+  `);
+
+  // Department-defined leniency profiles (the built-in ones live in services/leniency.js)
+  await pool.execute(`
+    CREATE TABLE IF NOT EXISTS leniency_profiles (
+      name             VARCHAR(100) PRIMARY KEY,
+      label            VARCHAR(255),
+      instructions     TEXT NOT NULL,
+      score_floor      DECIMAL(5,2),
+      curve            JSON,
+      created_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at       DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Batch grading jobs: one row per batch, one item per submission
+  await pool.execute(`
+    CREATE TABLE IF NOT EXISTS grading_jobs (
+      id               INT AUTO_INCREMENT PRIMARY KEY,
+      status           VARCHAR(20) NOT NULL DEFAULT 'queued',
+      backend          VARCHAR(50) NOT NULL,
+      model            VARCHAR(100),
+      options          JSON,
+      total            INT NOT NULL DEFAULT 0,
+      created_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at       DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      finished_at      DATETIME NULL,
+      INDEX idx_jobs_status (status)
+    )
+  `);
+
+  await pool.execute(`
+    CREATE TABLE IF NOT EXISTS grading_job_items (
+      id               INT AUTO_INCREMENT PRIMARY KEY,
+      job_id           INT NOT NULL,
+      position         INT NOT NULL,
+      student_name     VARCHAR(255),
+      filename         VARCHAR(255),
+      submission       LONGTEXT,
+      sources          JSON,
+      extraction       JSON,
+      status           VARCHAR(20) NOT NULL DEFAULT 'queued',
+      attempts         INT NOT NULL DEFAULT 0,
+      result_id        INT NULL,
+      error            TEXT,
+      started_at       DATETIME NULL,
+      finished_at      DATETIME NULL,
+      INDEX idx_job_items_status (status),
+      FOREIGN KEY (job_id) REFERENCES grading_jobs(id) ON DELETE CASCADE,
+      FOREIGN KEY (result_id) REFERENCES grading_results(id) ON DELETE SET NULL
+    )
+  `);
+  await addColumnIfMissing("grading_job_items", "sources", "JSON");
+  await addColumnIfMissing("grading_job_items", "extraction", "JSON");
+
+  // Similar submission pairs (services/similarity.js): result_id is the later result
+  await pool.execute(`
+    CREATE TABLE IF NOT EXISTS similarity_matches (
+      result_id        INT NOT NULL,
+      other_result_id  INT NOT NULL,
+      similarity       DECIMAL(5,4) NOT NULL,
+      overlap          DECIMAL(5,4) NOT NULL,
+      shared_shingles  INT NOT NULL,
+      passages         JSON,
+      detected_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (result_id, other_result_id),
+      INDEX idx_similarity_other (other_result_id),
+      FOREIGN KEY (result_id) REFERENCES grading_results(id) ON DELETE CASCADE,
+      FOREIGN KEY (other_result_id) REFERENCES grading_results(id) ON DELETE CASCADE
     )
   `);
 
   console.log(`  Database ready:      mysql://${DB_CONFIG.host}:${DB_CONFIG.port}/${DB_NAME}`);
 }
 
+/**
+ * Add a column to an existing table (tables created by older versions of the app).
+ */
+async function addColumnIfMissing(table, column, definition) {
+  const [rows] = await pool.execute(
+    `SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [DB_NAME, table, column]
+  );
+  if (rows.length === 0) {
+    await pool.execute(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  }
+}
+
+/**
+ * Add a foreign key to an existing table (tables created by older versions of the app).
+ */
+async function addForeignKeyIfMissing(table, constraint, definition) {
+  const [rows] = await pool.execute(
+    `SELECT 1 FROM information_schema.TABLE_CONSTRAINTS
+     WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = 'FOREIGN KEY'`,
+    [DB_NAME, table, constraint]
+  );
+  if (rows.length === 0) {
+    await pool.execute(`ALTER TABLE \`${table}\` ADD CONSTRAINT \`${constraint}\` ${definition}`);
+  }
+}
+
 /**
  * Check if the database is available.
  */
@@ -76,25 +248,36 @@ function getPool() {
 async function saveResult(gradingData) {
   const db = getPool();
   const r = gradingData.results || {};
+  // Possible prompt injection: the result needs a human look before release
+  const securityFlags = gradingData.securityFlags || [];
 
   const [result] = await db.execute(
     `INSERT INTO grading_results
       (student_name, total_score, max_score, percentage, model,
        rubric_breakdown, strengths, improvements, overall_feedback,
-       text_report, full_result, graded_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       text_report, full_result, template_id, template_version, adjustments,
+       rubric_id, rubric_version, assignment_id, security_flags, needs_review, graded_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       r.student_name || null,
       r.total_score ?? null,
       r.max_score ?? null,
       r.percentage ?? null,
-      gradingData.model || null,
+      gradingData.model ? String(gradingData.model).slice(0, 100) : null,
       JSON.stringify(r.rubric_breakdown || null),
       JSON.stringify(r.strengths || null),
       JSON.stringify(r.improvements || null),
       r.overall_feedback || null,
       gradingData.textReport || null,
       JSON.stringify(r),
+      gradingData.template?.id || null,
+      gradingData.template?.version ?? null,
+      JSON.stringify(r.adjustments || []),
+      gradingData.rubricRef?.id || null,
+      gradingData.rubricRef?.version ?? null,
+      gradingData.assignmentId ?? null,
+      JSON.stringify(securityFlags),
+      securityFlags.length > 0,
       new Date(gradingData.gradedAt || Date.now()).toISOString().slice(0, 19).replace("T", " "),
     ]
   );
@@ -103,20 +286,35 @@ async function saveResult(gradingData) {
 }
 
 /**
- * Get all results, newest first. Supports limit/offset pagination.
+ * Get all results, newest first. Supports limit/offset pagination and
+ * filtering by assignment and by whether the result needs human review.
  */
-async function getResults({ limit = 50, offset = 0 } = {}) {
+async function getResults({ limit = 50, offset = 0, assignmentId = null, needsReview = null } = {}) {
   const db = getPool();
+  const conditions = [];
+  const filter = [];
+  if (assignmentId != null) {
+    conditions.push("assignment_id = ?");
+    filter.push(String(assignmentId));
+  }
+  if (needsReview != null) {
+    conditions.push("needs_review = ?");
+    filter.push(needsReview ? "1" : "0");
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
   const [rows] = await db.execute(
-    `SELECT id, student_name, total_score, max_score, percentage, model, graded_at
+    `SELECT id, student_name, total_score, max_score, percentage, model, template_id, template_version,
+            rubric_id, rubric_version, assignment_id, needs_review, graded_at
      FROM grading_results
+     ${where}
      ORDER BY graded_at DESC
      LIMIT ? OFFSET ?`,
-    [String(limit), String(offset)]
+    [...filter, String(limit), String(offset)]
   );
 
   const [[{ total }]] = await db.execute(
-    `SELECT COUNT(*) as total FROM grading_results`
+    `SELECT COUNT(*) as total FROM grading_results ${where}`,
+    filter
   );
 
   return { rows, total };
@@ -131,7 +329,10 @@ async function getResultById(id) {
     `SELECT * FROM grading_results WHERE id = ?`,
     [id]
   );
-  return rows[0] || null;
+  if (!rows[0]) return null;
+  // The shingle set is only used for similarity checks
+  const { shingles, ...row } = rows[0];
+  return row;
 }
 
 /**
@@ -146,6 +347,685 @@ async function deleteResult(id) {
   return result.affectedRows > 0;
 }
 
+/**
+ * Store a result's similarity fingerprint (see services/similarity.js).
+ */
+async function saveFingerprint(id, { fingerprint, shingles }) {
+  const db = getPool();
+  await db.execute(
+    `UPDATE grading_results SET fingerprint = ?, shingles = ? WHERE id = ?`,
+    [JSON.stringify(fingerprint), shingles, id]
+  );
+}
+
+/**
+ * Fingerprints (without shingle sets) of the results of an assignment and/or
+ * a batch job, newest first, excluding one result.
+ */
+async function getFingerprints({ assignmentId = null, jobId = null, excludeId = null, limit = 2000 }) {
+  const db = getPool();
+  const scopes = [];
+  const params = [];
+  if (assignmentId != null) {
+    scopes.push("assignment_id = ?");
+    params.push(String(assignmentId));
+  }
+  if (jobId != null) {
+    scopes.push("id IN (SELECT result_id FROM grading_job_items WHERE job_id = ? AND result_id IS NOT NULL)");
+    params.push(String(jobId));
+  }
+  if (scopes.length === 0) return [];
+
+  const [rows] = await db.execute(
+    `SELECT id, student_name, fingerprint
+     FROM grading_results
+     WHERE fingerprint IS NOT NULL AND id <> ? AND (${scopes.join(" OR ")})
+     ORDER BY graded_at DESC, id DESC
+     LIMIT ?`,
+    [String(excludeId ?? 0), ...params, String(limit)]
+  );
+  return rows;
+}
+
+/**
+ * Shingle sets of the given results: { [id]: base64 }.
+ */
+async function getShingles(ids) {
+  if (ids.length === 0) return {};
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT id, shingles FROM grading_results WHERE id IN (${ids.map(() => "?").join(", ")}) AND shingles IS NOT NULL`,
+    ids.map(String)
+  );
+  return Object.fromEntries(rows.map((r) => [r.id, r.shingles]));
+}
+
+/**
+ * Store the similar earlier results found for a result ([{ id, similarity,
+ * overlap, shared_shingles, passages }]).
+ */
+async function saveSimilarityMatches(resultId, matches) {
+  const db = getPool();
+  for (const m of matches) {
+    await db.execute(
+      `INSERT INTO similarity_matches (result_id, other_result_id, similarity, overlap, shared_shingles, passages)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE similarity = VALUES(similarity), overlap = VALUES(overlap),
+         shared_shingles = VALUES(shared_shingles), passages = VALUES(passages), detected_at = CURRENT_TIMESTAMP`,
+      [resultId, m.id, m.similarity, m.overlap, m.shared_shingles, JSON.stringify(m.passages)]
+    );
+  }
+}
+
+/**
+ * Results similar to a result, in either direction of the stored pairs, most
+ * overlapping first.
+ */
+async function getSimilarResults(id) {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT r.id, r.student_name, r.assignment_id, r.graded_at,
+            m.similarity, m.overlap, m.shared_shingles, m.passages, m.detected_at
+     FROM similarity_matches m
+     JOIN grading_results r ON r.id = IF(m.result_id = ?, m.other_result_id, m.result_id)
+     WHERE m.result_id = ? OR m.other_result_id = ?
+     ORDER BY m.overlap DESC, m.similarity DESC`,
+    [id, id, id]
+  );
+  return rows.map((r) => ({ ...r, similarity: parseFloat(r.similarity), overlap: parseFloat(r.overlap) }));
+}
+
+/**
+ * Create a batch grading job and its items in one transaction. Returns the job ID.
+ * Items with an `error` (e.g. unparseable files) are stored as already failed.
+ */
+async function createJob({ backend, model, options, items }) {
+  const conn = await getPool().getConnection();
+  try {
+    await conn.beginTransaction();
+    const [job] = await conn.execute(
+      `INSERT INTO grading_jobs (status, backend, model, options, total) VALUES ('queued', ?, ?, ?, ?)`,
+      [backend, model ? String(model).slice(0, 100) : null, JSON.stringify(options || {}), items.length]
+    );
+    for (const [position, item] of items.entries()) {
+      await conn.execute(
+        `INSERT INTO grading_job_items (job_id, position, student_name, filename, submission, sources, extraction, status, error, finished_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          job.insertId,
+          position,
+          item.studentName || null,
+          item.filename || null,
+          item.submission ?? null,
+          item.sources ? JSON.stringify(item.sources) : null,
+          item.extraction ? JSON.stringify(item.extraction) : null,
+          item.error ? "failed" : "queued",
+          item.error || null,
+          item.error ? new Date() : null,
+        ]
+      );
+    }
+    await conn.commit();
+    return job.insertId;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Get a job with per-item status (submission text omitted) and status counts.
+ */
+async function getJob(id) {
+  const db = getPool();
+  const [[job]] = await db.execute(
+    `SELECT id, status, backend, model, total, created_at, updated_at, finished_at
+     FROM grading_jobs WHERE id = ?`,
+    [id]
+  );
+  if (!job) return null;
+
+  const [items] = await db.execute(
+    `SELECT id, position, student_name, filename, extraction, status, attempts, result_id, error, started_at, finished_at
+     FROM grading_job_items WHERE job_id = ? ORDER BY position`,
+    [id]
+  );
+
+  const counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  for (const item of items) counts[item.status] = (counts[item.status] || 0) + 1;
+
+  return { ...job, counts, items };
+}
+
+/**
+ * List jobs, newest first. Supports limit/offset pagination.
+ */
+async function getJobs({ limit = 50, offset = 0 } = {}) {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT j.id, j.status, j.backend, j.model, j.total, j.created_at, j.finished_at,
+            SUM(i.status = 'done') AS done, SUM(i.status = 'failed') AS failed
+     FROM grading_jobs j
+     LEFT JOIN grading_job_items i ON i.job_id = j.id
+     GROUP BY j.id
+     ORDER BY j.id DESC
+     LIMIT ? OFFSET ?`,
+    [String(limit), String(offset)]
+  );
+
+  const [[{ total }]] = await db.execute(`SELECT COUNT(*) as total FROM grading_jobs`);
+
+  return { rows, total };
+}
+
+/**
+ * Claim the oldest queued item of an active job on `backend`: mark it running
+ * and return it with its job's model and options, or null if there is none.
+ */
+async function claimNextJobItem(backend) {
+  const db = getPool();
+  const [[next]] = await db.execute(
+    `SELECT i.id, i.job_id
+     FROM grading_job_items i
+     JOIN grading_jobs j ON j.id = i.job_id
+     WHERE i.status = 'queued' AND j.status IN ('queued', 'running') AND j.backend = ?
+     ORDER BY i.job_id, i.position
+     LIMIT 1`,
+    [backend]
+  );
+  if (!next) return null;
+
+  const [claimed] = await db.execute(
+    `UPDATE grading_job_items SET status = 'running', attempts = attempts + 1, started_at = NOW(), finished_at = NULL
+     WHERE id = ? AND status = 'queued'`,
+    [next.id]
+  );
+  if (claimed.affectedRows === 0) return null;
+
+  await db.execute(`UPDATE grading_jobs SET status = 'running' WHERE id = ? AND status = 'queued'`, [next.job_id]);
+
+  const [[item]] = await db.execute(
+    `SELECT i.id, i.job_id, i.position, i.student_name, i.filename, i.submission, i.sources, i.extraction, i.attempts,
+            j.backend, j.model, j.options, j.total
+     FROM grading_job_items i
+     JOIN grading_jobs j ON j.id = i.job_id
+     WHERE i.id = ?`,
+    [next.id]
+  );
+  return item || null;
+}
+
+/**
+ * Record the outcome of a job item: status "done" (with resultId), "failed" (with error) or "cancelled".
+ */
+async function finishJobItem(id, { status, resultId = null, error = null }) {
+  const db = getPool();
+  await db.execute(
+    `UPDATE grading_job_items SET status = ?, result_id = ?, error = ?, finished_at = NOW() WHERE id = ?`,
+    [status, resultId, error, id]
+  );
+}
+
+/**
+ * Mark active jobs (one, or all when jobId is null) as completed once none of
+ * their items are queued or running. Returns the number of jobs completed.
+ */
+async function completeFinishedJobs(jobId = null) {
+  const db = getPool();
+  const [result] = await db.execute(
+    `UPDATE grading_jobs j
+     SET j.status = 'completed', j.finished_at = NOW()
+     WHERE j.status IN ('queued', 'running')
+       ${jobId != null ? "AND j.id = ?" : ""}
+       AND NOT EXISTS (
+         SELECT 1 FROM grading_job_items i WHERE i.job_id = j.id AND i.status IN ('queued', 'running')
+       )`,
+    jobId != null ? [jobId] : []
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Cancel an active job: the job and its queued items are marked cancelled.
+ * Returns false if the job doesn't exist or already finished.
+ */
+async function cancelJob(id) {
+  const db = getPool();
+  const [result] = await db.execute(
+    `UPDATE grading_jobs SET status = 'cancelled', finished_at = NOW() WHERE id = ? AND status IN ('queued', 'running')`,
+    [id]
+  );
+  if (result.affectedRows === 0) return false;
+
+  await db.execute(
+    `UPDATE grading_job_items SET status = 'cancelled', finished_at = NOW() WHERE job_id = ? AND status = 'queued'`,
+    [id]
+  );
+  return true;
+}
+
+/**
+ * Re-queue a job's failed items (those that have a parsed submission) and
+ * reactivate the job. Returns the number of items re-queued.
+ */
+async function retryFailedJobItems(id) {
+  const db = getPool();
+  const [result] = await db.execute(
+    `UPDATE grading_job_items SET status = 'queued', error = NULL, started_at = NULL, finished_at = NULL
+     WHERE job_id = ? AND status = 'failed' AND submission IS NOT NULL`,
+    [id]
+  );
+  if (result.affectedRows > 0) {
+    await db.execute(`UPDATE grading_jobs SET status = 'queued', finished_at = NULL WHERE id = ?`, [id]);
+  }
+  return result.affectedRows;
+}
+
+/**
+ * After a restart, put items that were running back in the queue (or mark
+ * them cancelled if their job was cancelled). Returns the number re-queued.
+ */
+async function requeueInterruptedJobItems() {
+  const db = getPool();
+  await db.execute(
+    `UPDATE grading_job_items i
+     JOIN grading_jobs j ON j.id = i.job_id
+     SET i.status = 'cancelled', i.finished_at = NOW()
+     WHERE i.status = 'running' AND j.status NOT IN ('queued', 'running')`
+  );
+  const [result] = await db.execute(
+    `UPDATE grading_job_items SET status = 'queued', started_at = NULL WHERE status = 'running'`
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Map a prompt_templates row to the template shape used by services/templates.js
+ */
+function toTemplate(row) {
+  return {
+    id: row.template_id,
+    version: row.version,
+    description: row.description,
+    system: row.system_prompt,
+    body: row.body,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * List stored templates: the latest version of each, with its version count.
+ */
+async function listTemplates() {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT t.template_id, t.version, t.description, t.created_at, v.versions
+     FROM prompt_templates t
+     JOIN (SELECT template_id, MAX(version) AS latest, COUNT(*) AS versions
+           FROM prompt_templates GROUP BY template_id) v
+       ON v.template_id = t.template_id AND v.latest = t.version
+     ORDER BY t.template_id`
+  );
+  return rows.map((row) => ({
+    id: row.template_id,
+    version: row.version,
+    description: row.description,
+    versions: row.versions,
+    created_at: row.created_at,
+  }));
+}
+
+/**
+ * Get the latest version of a template, or null.
+ */
+async function getLatestTemplate(templateId) {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT * FROM prompt_templates WHERE template_id = ? ORDER BY version DESC LIMIT 1`,
+    [templateId]
+  );
+  return rows[0] ? toTemplate(rows[0]) : null;
+}
+
+/**
+ * Get one version of a template, or null.
+ */
+async function getTemplateVersion(templateId, version) {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT * FROM prompt_templates WHERE template_id = ? AND version = ?`,
+    [templateId, version]
+  );
+  return rows[0] ? toTemplate(rows[0]) : null;
+}
+
+/**
+ * List a template's versions (newest first, without bodies).
+ */
+async function getTemplateVersions(templateId) {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT version, description, created_at FROM prompt_templates WHERE template_id = ? ORDER BY version DESC`,
+    [templateId]
+  );
+  return rows;
+}
+
+/**
+ * Store a new version of a template (version 1 if it doesn't exist yet).
+ * Returns the stored template.
+ */
+async function createTemplateVersion({ id, description, system, body }) {
+  const db = getPool();
+  const [[{ latest }]] = await db.execute(
+    `SELECT MAX(version) AS latest FROM prompt_templates WHERE template_id = ?`,
+    [id]
+  );
+  const version = (latest || 0) + 1;
+  await db.execute(
+    `INSERT INTO prompt_templates (template_id, version, description, system_prompt, body) VALUES (?, ?, ?, ?, ?)`,
+    [id, version, description ? String(description).slice(0, 500) : null, system || null, body]
+  );
+  return getTemplateVersion(id, version);
+}
+
+/**
+ * Delete every version of a template. Results graded with it keep its id and version.
+ */
+async function deleteTemplate(templateId) {
+  const db = getPool();
+  const [result] = await db.execute(`DELETE FROM prompt_templates WHERE template_id = ?`, [templateId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Map a rubrics row to the library rubric shape used by services/rubricLibrary.js
+ */
+function toLibraryRubric(row) {
+  return {
+    id: row.rubric_id,
+    version: row.version,
+    name: row.name,
+    description: row.description,
+    tags: row.tags || [],
+    rubric: row.rubric,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * List library rubrics: the latest version of each (without the rubric
+ * itself), with its version count. `tag` keeps rubrics whose latest version
+ * has that tag.
+ */
+async function listRubrics({ tag = null } = {}) {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT r.rubric_id, r.version, r.name, r.description, r.tags, r.created_at, v.versions
+     FROM rubrics r
+     JOIN (SELECT rubric_id, MAX(version) AS latest, COUNT(*) AS versions
+           FROM rubrics GROUP BY rubric_id) v
+       ON v.rubric_id = r.rubric_id AND v.latest = r.version
+     ${tag ? "WHERE JSON_CONTAINS(r.tags, JSON_QUOTE(?))" : ""}
+     ORDER BY r.name, r.rubric_id`,
+    tag ? [tag] : []
+  );
+  return rows.map((row) => ({
+    id: row.rubric_id,
+    version: row.version,
+    name: row.name,
+    description: row.description,
+    tags: row.tags || [],
+    versions: row.versions,
+    created_at: row.created_at,
+  }));
+}
+
+/**
+ * Get the latest version of a library rubric, or null.
+ */
+async function getLatestRubric(rubricId) {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT * FROM rubrics WHERE rubric_id = ? ORDER BY version DESC LIMIT 1`,
+    [rubricId]
+  );
+  return rows[0] ? toLibraryRubric(rows[0]) : null;
+}
+
+/**
+ * Get one version of a library rubric, or null.
+ */
+async function getRubricVersion(rubricId, version) {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT * FROM rubrics WHERE rubric_id = ? AND version = ?`,
+    [rubricId, version]
+  );
+  return rows[0] ? toLibraryRubric(rows[0]) : null;
+}
+
+/**
+ * List a library rubric's versions (newest first, without the rubric itself).
+ */
+async function getRubricVersions(rubricId) {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT version, name, description, tags, created_at FROM rubrics WHERE rubric_id = ? ORDER BY version DESC`,
+    [rubricId]
+  );
+  return rows.map((row) => ({ ...row, tags: row.tags || [] }));
+}
+
+/**
+ * Store `version` of a library rubric: 1 for a new rubric, the latest + 1 for
+ * an update. When another request saved that version first, the primary key
+ * rejects the insert with err.code "ER_DUP_ENTRY". Returns the stored rubric.
+ */
+async function createRubricVersion({ id, version, name, description, tags, rubric }) {
+  const db = getPool();
+  await db.execute(
+    `INSERT INTO rubrics (rubric_id, version, name, description, rubric, tags) VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      version,
+      String(name).slice(0, 255),
+      description || null,
+      JSON.stringify(rubric),
+      JSON.stringify(tags || []),
+    ]
+  );
+  return getRubricVersion(id, version);
+}
+
+/**
+ * Delete every version of a library rubric. Results graded with it keep its id and version.
+ */
+async function deleteRubric(rubricId) {
+  const db = getPool();
+  const [result] = await db.execute(`DELETE FROM rubrics WHERE rubric_id = ?`, [rubricId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Map an assignments row to the assignment shape used by services/assignments.js
+ */
+function toAssignment(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    instructions: row.instructions,
+    rubric: row.rubric ?? null,
+    rubricId: row.rubric_id,
+    rubricVersion: row.rubric_version,
+    note: row.note,
+    answerKey: row.answer_key ?? null,
+    maxScore: row.max_score,
+    leniency: row.leniency,
+    model: row.model,
+    backend: row.backend,
+    options: row.options || {},
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * List assignments (without instructions, rubric, note and answer key) with their result counts.
+ */
+async function listAssignments() {
+  const db = getPool();
+  const [rows] = await db.execute(
+    `SELECT a.id, a.name, a.rubric_id, a.rubric_version, a.max_score, a.leniency, a.model, a.backend,
+            a.created_at, a.updated_at, COUNT(r.id) AS results, MAX(r.graded_at) AS last_graded_at
+     FROM assignments a
+     LEFT JOIN grading_results r ON r.assignment_id = a.id
+     GROUP BY a.id
+     ORDER BY a.created_at DESC`
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    name: row.name,
+    rubricId: row.rubric_id,
+    rubricVersion: row.rubric_version,
+    maxScore: row.max_score,
+    leniency: row.leniency,
+    model: row.model,
+    backend: row.backend,
+    results: row.results,
+    last_graded_at: row.last_graded_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  }));
+}
+
+/**
+ * Get an assignment by ID, or null.
+ */
+async function getAssignment(id) {
+  const db = getPool();
+  const [rows] = await db.execute(`SELECT * FROM assignments WHERE id = ?`, [id]);
+  return rows[0] ? toAssignment(rows[0]) : null;
+}
+
+/**
+ * Column values for an assignment (shape of toAssignment)
+ */
+function assignmentColumns(a) {
+  return [
+    String(a.name).slice(0, 255),
+    a.instructions,
+    a.rubric != null ? JSON.stringify(a.rubric) : null,
+    a.rubricId || null,
+    a.rubricVersion ?? null,
+    a.note || null,
+    a.answerKey || null,
+    a.maxScore ?? null,
+    a.leniency || null,
+    a.model ? String(a.model).slice(0, 100) : null,
+    a.backend || null,
+    JSON.stringify(a.options || {}),
+  ];
+}
+
+/**
+ * Create an assignment. Returns the stored assignment.
+ */
+async function createAssignment(assignment) {
+  const db = getPool();
+  const [result] = await db.execute(
+    `INSERT INTO assignments
+      (name, instructions, rubric, rubric_id, rubric_version, note, answer_key, max_score, leniency, model, backend, options)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    assignmentColumns(assignment)
+  );
+  return getAssignment(result.insertId);
+}
+
+/**
+ * Replace an assignment's settings. Returns the stored assignment, or null if it doesn't exist.
+ */
+async function updateAssignment(id, assignment) {
+  const db = getPool();
+  const [result] = await db.execute(
+    `UPDATE assignments
+     SET name = ?, instructions = ?, rubric = ?, rubric_id = ?, rubric_version = ?, note = ?, answer_key = ?,
+         max_score = ?, leniency = ?, model = ?, backend = ?, options = ?
+     WHERE id = ?`,
+    [...assignmentColumns(assignment), id]
+  );
+  return result.affectedRows > 0 ? getAssignment(id) : null;
+}
+
+/**
+ * Delete an assignment. Its results stay, with assignment_id cleared.
+ */
+async function deleteAssignment(id) {
+  const db = getPool();
+  const [result] = await db.execute(`DELETE FROM assignments WHERE id = ?`, [id]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Map a leniency_profiles row to the profile shape used by services/leniency.js
+ */
+function toLeniencyProfile(row) {
+  return {
+    name: row.name,
+    label: row.label,
+    instructions: row.instructions,
+    floor: row.score_floor != null ? parseFloat(row.score_floor) : null,
+    curve: row.curve || null,
+    builtin: false,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * List stored leniency profiles by name.
+ */
+async function listLeniencyProfiles() {
+  const db = getPool();
+  const [rows] = await db.execute(`SELECT * FROM leniency_profiles ORDER BY name`);
+  return rows.map(toLeniencyProfile);
+}
+
+/**
+ * Get a stored leniency profile by name, or null.
+ */
+async function getLeniencyProfile(name) {
+  const db = getPool();
+  const [rows] = await db.execute(`SELECT * FROM leniency_profiles WHERE name = ?`, [name]);
+  return rows[0] ? toLeniencyProfile(rows[0]) : null;
+}
+
+/**
+ * Insert or replace a stored leniency profile. Returns the saved profile.
+ */
+async function saveLeniencyProfile({ name, label, instructions, floor, curve }) {
+  const db = getPool();
+  await db.execute(
+    `INSERT INTO leniency_profiles (name, label, instructions, score_floor, curve)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE label = VALUES(label), instructions = VALUES(instructions),
+       score_floor = VALUES(score_floor), curve = VALUES(curve)`,
+    [name, label || null, instructions, floor ?? null, curve ? JSON.stringify(curve) : null]
+  );
+  return getLeniencyProfile(name);
+}
+
+/**
+ * Delete a stored leniency profile.
+ */
+async function deleteLeniencyProfile(name) {
+  const db = getPool();
+  const [result] = await db.execute(`DELETE FROM leniency_profiles WHERE name = ?`, [name]);
+  return result.affectedRows > 0;
+}
+
 module.exports = {
   initDb,
   getPool,
@@ -154,4 +1034,39 @@ module.exports = {
   getResults,
   getResultById,
   deleteResult,
+  saveFingerprint,
+  getFingerprints,
+  getShingles,
+  saveSimilarityMatches,
+  getSimilarResults,
+  createJob,
+  getJob,
+  getJobs,
+  claimNextJobItem,
+  finishJobItem,
+  completeFinishedJobs,
+  cancelJob,
+  retryFailedJobItems,
+  requeueInterruptedJobItems,
+  listTemplates,
+  getLatestTemplate,
+  getTemplateVersion,
+  getTemplateVersions,
+  createTemplateVersion,
+  deleteTemplate,
+  listRubrics,
+  getLatestRubric,
+  getRubricVersion,
+  getRubricVersions,
+  createRubricVersion,
+  deleteRubric,
+  listAssignments,
+  getAssignment,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  listLeniencyProfiles,
+  getLeniencyProfile,
+  saveLeniencyProfile,
+  deleteLeniencyProfile,
 };
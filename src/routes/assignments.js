@@ -0,0 +1,334 @@
+const express = require("express");
+
+const {
+  isDbAvailable,
+  listAssignments,
+  getAssignment,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  getResults,
+} = require("../db");
+const {
+  ASSIGNMENT_OPTION_FIELDS,
+  pickAssignmentOptions,
+  validateAssignment,
+} = require("../services/assignments");
+const { GRADING_MODES } = require("../services/grader");
+const { hasBackend, listBackendNames } = require("../services/backends");
+const { parseEnsembleOptions } = require("../services/ensemble");
+const { parsePostProcessingRules } = require("../services/postProcessing");
+const { resolveLeniency } = require("../services/leniency");
+const { resolveTemplate } = require("../services/templates");
+const { resolveRubric } = require("../services/rubricLibrary");
+const { validateRubric } = require("../services/rubricValidation");
+const { parseFile, importRubricFile } = require("../utils/fileParsers");
+const { optionalUpload, cleanupFiles } = require("../utils/uploads");
+const { parseSpreadsheetMode } = require("../utils/spreadsheets");
+const { parseInjectionCheck } = require("../services/promptInjection");
+
+const router = express.Router();
+
+/** Upload fields of POST / PUT /api/assignments */
+const ASSIGNMENT_UPLOAD_FIELDS = [
+  { name: "rubric", maxCount: 1 },
+  { name: "instructions", maxCount: 1 },
+  { name: "noteFiles", maxCount: 10 },
+  { name: "answerKey", maxCount: 1 },
+];
+
+/** Assignment fields read from the request body as is */
+const PLAIN_FIELDS = ["name", "maxScore", "leniency", "model", "backend", "rubricId", "rubricVersion"];
+
+/**
+ * Assignments live in MySQL — answer 503 when it isn't connected
+ */
+function requireDb(req, res, next) {
+  if (!isDbAvailable()) {
+    cleanupFiles(req.files);
+    return res.status(503).json({
+      success: false,
+      error: "Assignments need the database. Check MySQL connection settings in .env",
+    });
+  }
+  next();
+}
+
+function toText(parsed) {
+  return typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2);
+}
+
+/**
+ * Parse an uploaded file with `reader`; failures name the field and file
+ */
+async function readUpload(field, file, reader) {
+  try {
+    return await reader(file.path, file.originalname);
+  } catch (err) {
+    throw new Error(`Could not read the ${field} file "${file.originalname}": ${err.message}`);
+  }
+}
+
+/**
+ * Read the assignment fields a create/update request sets. Instructions,
+ * answer key and note files are parsed to text, rubric files read like /api/grade reads them
+ * (spreadsheet and Word tables become structured rubrics). A JSON `null`
+ * is kept, meaning "clear" for updates. Returns { fields, error } — `error`
+ * is a 400 response body when an uploaded file can't be parsed.
+ */
+async function readAssignmentFields(req) {
+  const body = req.body || {};
+  const fields = {};
+  for (const key of PLAIN_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+
+  try {
+    if (req.files?.instructions?.[0]) {
+      fields.instructions = toText(await readUpload("instructions", req.files.instructions[0], parseFile));
+    } else if (body.instructions !== undefined) {
+      fields.instructions = body.instructions;
+    }
+
+    if (req.files?.answerKey?.[0]) {
+      fields.answerKey = toText(await readUpload("answerKey", req.files.answerKey[0], parseFile));
+    } else if (body.answerKey !== undefined) {
+      fields.answerKey = body.answerKey;
+    }
+
+    if (req.files?.rubric?.[0]) {
+      fields.rubric = (await readUpload("rubric", req.files.rubric[0], importRubricFile)).rubric;
+    } else if (body.rubric !== undefined) {
+      fields.rubric = body.rubric;
+    }
+
+    const noteParts = [];
+    for (const nf of req.files?.noteFiles || []) {
+      noteParts.push(toText(await readUpload("noteFiles", nf, parseFile)));
+    }
+    if (body.note) noteParts.push(body.note);
+    if (noteParts.length > 0) fields.note = noteParts.join("\n\n");
+    else if (body.note !== undefined) fields.note = body.note;
+  } catch (err) {
+    return { error: { success: false, error: err.message } };
+  }
+
+  fields.options = pickAssignmentOptions(body);
+  fields.clearOptions = ASSIGNMENT_OPTION_FIELDS.filter((key) => body[key] === null);
+  return { fields };
+}
+
+/**
+ * Check that an assignment's settings would be accepted by /api/grade, so
+ * mistakes surface when the assignment is saved rather than on every
+ * submission. Normalizes leniency to the profile name. Throws with a
+ * client-facing message.
+ */
+async function checkSettings(assignment) {
+  if (assignment.backend && !hasBackend(assignment.backend)) {
+    throw new Error(`Unknown backend: ${assignment.backend}. Available: ${listBackendNames().join(", ")}`);
+  }
+  if (assignment.leniency) assignment.leniency = (await resolveLeniency(assignment.leniency)).name;
+  if (assignment.rubricId) await resolveRubric(assignment.rubricId, assignment.rubricVersion);
+
+  const { options } = assignment;
+  if (options.mode && !GRADING_MODES.includes(options.mode)) {
+    throw new Error(`mode must be one of: ${GRADING_MODES.join(", ")}`);
+  }
+  if (options.template || options.templateVersion) await resolveTemplate(options.template, options.templateVersion);
+  parseEnsembleOptions(options);
+  parsePostProcessingRules(options.postProcessing);
+  parseSpreadsheetMode(options.spreadsheetMode);
+  parseInjectionCheck(options.injectionCheck);
+}
+
+/**
+ * Build the stored assignment from the request's fields on top of `existing`
+ * (null when creating). Returns { assignment, report, error } where
+ * `report` is the rubric validation report and `error` a 400 response body.
+ */
+async function buildAssignment(fields, existing = null) {
+  const errors = validateAssignment(fields, { partial: Boolean(existing) });
+  if (fields.rubric != null && fields.rubric !== "" && fields.rubricId) {
+    errors.push("Provide either rubric or rubricId, not both");
+  }
+  if (errors.length > 0) return { error: { success: false, error: errors.join("; "), errors } };
+
+  const assignment = existing
+    ? { ...existing, options: { ...existing.options } }
+    : { rubric: null, rubricId: null, rubricVersion: null, options: {} };
+  for (const key of ["name", "instructions", "note", "answerKey", "maxScore", "leniency", "model", "backend", "rubricId", "rubricVersion", "rubric"]) {
+    if (fields[key] !== undefined) assignment[key] = fields[key] === "" ? null : fields[key];
+  }
+  if (existing && fields.rubric != null && fields.rubric !== "") {
+    assignment.rubricId = null;
+    assignment.rubricVersion = null;
+  } else if (existing && fields.rubricId) {
+    assignment.rubric = null;
+  }
+  for (const key of fields.clearOptions) delete assignment.options[key];
+  Object.assign(assignment.options, fields.options);
+
+  assignment.name = String(assignment.name).trim();
+  assignment.maxScore = assignment.maxScore != null ? Number(assignment.maxScore) : null;
+  assignment.rubricVersion = assignment.rubricId && assignment.rubricVersion != null ? Number(assignment.rubricVersion) : null;
+
+  let report = null;
+  if (assignment.rubric != null) {
+    const check = validateRubric(assignment.rubric, { maxScore: assignment.maxScore || 100 });
+    assignment.rubric = check.rubric;
+    report = { type: check.type, valid: check.valid, warnings: check.warnings };
+  }
+
+  try {
+    await checkSettings(assignment);
+  } catch (err) {
+    return { error: { success: false, error: err.message } };
+  }
+  return { assignment, report, error: null };
+}
+
+/**
+ * GET /api/assignments
+ *
+ * Lists assignments (settings without instructions, rubric, note and answer key) with
+ * their number of results.
+ */
+router.get("/assignments", async (_req, res) => {
+  try {
+    if (!isDbAvailable()) {
+      return res.json({ success: true, data: [], dbOffline: true });
+    }
+    res.json({ success: true, data: await listAssignments() });
+  } catch (err) {
+    console.error("Failed to list assignments:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/assignments/:id
+ *
+ * Returns an assignment with all its settings.
+ */
+router.get("/assignments/:id", requireDb, async (req, res) => {
+  try {
+    const assignment = await getAssignment(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ success: false, error: "Assignment not found" });
+    }
+    res.json({ success: true, data: assignment });
+  } catch (err) {
+    console.error("Failed to fetch assignment:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/assignments
+ *
+ * Creates an assignment. Accepts multipart/form-data or JSON with the
+ * /api/grade field names:
+ *   - name (text, required)
+ *   - instructions (file OR text, required)
+ *   - rubric (file OR text) or rubricId / rubricVersion (library rubric;
+ *       without a version the latest is used at grading time)
+ *   - noteFiles (files) and/or note (text)
+ *   - answerKey (file OR text): Reference solution to compare submissions against
+ *   - maxScore, leniency, model, backend (text)
+ *   - template, templateVersion, mode, parallelism, contextSize, postProcessing,
+ *       runs, models, aggregate, reviewThreshold, strictRubric (text)
+ *
+ * Settings are checked as /api/grade would check them; the rubric is stored
+ * normalized and its validation report returned as `rubric_validation`.
+ */
+router.post("/assignments", optionalUpload(ASSIGNMENT_UPLOAD_FIELDS), requireDb, async (req, res) => {
+  try {
+    const { fields, error: fileError } = await readAssignmentFields(req);
+    cleanupFiles(req.files);
+    if (fileError) return res.status(400).json(fileError);
+
+    const { assignment, report, error } = await buildAssignment(fields);
+    if (error) return res.status(400).json(error);
+
+    const stored = await createAssignment(assignment);
+    res.status(201).json({ success: true, data: stored, rubric_validation: report || undefined });
+  } catch (err) {
+    cleanupFiles(req.files);
+    console.error("Failed to create assignment:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * PUT /api/assignments/:id
+ *
+ * Updates an assignment with the same fields as POST. Omitted fields keep
+ * their value; send null (JSON) to clear an optional one. A new rubric
+ * replaces a library rubric and vice versa. Results already graded keep the
+ * rubric version they were graded with.
+ */
+router.put("/assignments/:id", optionalUpload(ASSIGNMENT_UPLOAD_FIELDS), requireDb, async (req, res) => {
+  try {
+    const { fields, error: fileError } = await readAssignmentFields(req);
+    cleanupFiles(req.files);
+    if (fileError) return res.status(400).json(fileError);
+
+    const existing = await getAssignment(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: "Assignment not found" });
+    }
+
+    const { assignment, report, error } = await buildAssignment(fields, existing);
+    if (error) return res.status(400).json(error);
+
+    const stored = await updateAssignment(existing.id, assignment);
+    res.json({ success: true, data: stored, rubric_validation: report || undefined });
+  } catch (err) {
+    cleanupFiles(req.files);
+    console.error("Failed to update assignment:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/assignments/:id
+ *
+ * Deletes an assignment. Its results stay in the history, no longer linked
+ * to an assignment.
+ */
+router.delete("/assignments/:id", requireDb, async (req, res) => {
+  try {
+    const deleted = await deleteAssignment(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: "Assignment not found" });
+    }
+    res.json({ success: true, message: "Assignment deleted" });
+  } catch (err) {
+    console.error("Failed to delete assignment:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/assignments/:id/results
+ *
+ * Lists an assignment's grading results, newest first (?limit=&offset=).
+ */
+router.get("/assignments/:id/results", requireDb, async (req, res) => {
+  try {
+    const assignment = await getAssignment(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ success: false, error: "Assignment not found" });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { rows, total } = await getResults({ limit, offset, assignmentId: assignment.id });
+    res.json({ success: true, data: rows, total, limit, offset, assignment: { id: assignment.id, name: assignment.name } });
+  } catch (err) {
+    console.error("Failed to fetch assignment results:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
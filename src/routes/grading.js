@@ -1,57 +1,258 @@
 const express = require("express");
-const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 
-const { parseFile, parseRubricFile, getSupportedExtensions } = require("../utils/fileParsers");
-const { gradeSubmission, buildGradingPrompt, generateSampleRubric, DEFAULT_MODEL, DEFAULT_BACKEND } = require("../services/grader");
-const { saveResult, getResults, getResultById, deleteResult, isDbAvailable } = require("../db");
+const {
+  parseFile,
+  extractFile,
+  parseRubricFile,
+  importRubricFile,
+  getFileType,
+  getSupportedExtensions,
+  listFileTypes,
+} = require("../utils/fileParsers");
+const { ARCHIVE_EXTENSIONS } = require("../utils/archives");
+const { optionalUpload, expandArchives, cleanupFiles } = require("../utils/uploads");
+const {
+  gradeSubmission,
+  buildGradingMessages,
+  generateSampleRubric,
+  isStructuredRubric,
+  DEFAULT_BACKEND,
+  GRADING_MODES,
+  MAX_PARALLELISM,
+} = require("../services/grader");
+const { hasBackend, listBackendNames, checkBackends } = require("../services/backends");
+const { parseEnsembleOptions } = require("../services/ensemble");
+const {
+  saveResult,
+  getResults,
+  getResultById,
+  getSimilarResults,
+  deleteResult,
+  getAssignment,
+  isDbAvailable,
+} = require("../db");
+const { createResponder } = require("../utils/sse");
+const { enqueueBatch } = require("../services/jobQueue");
+const { resolveTemplate } = require("../services/templates");
+const { resolveLeniency } = require("../services/leniency");
+const { parsePostProcessingRules } = require("../services/postProcessing");
+const { generateAnalyticSampleRubric } = require("../services/analyticRubric");
+const { validateRubric } = require("../services/rubricValidation");
+const { resolveRubric } = require("../services/rubricLibrary");
+const { applyAssignment } = require("../services/assignments");
+const { parseTestSuite, readUploadedFiles } = require("../services/testRunner");
+const { parseSpreadsheetMode } = require("../utils/spreadsheets");
+const { parseInjectionCheck, scanSubmission } = require("../services/promptInjection");
+const { compareBatch, recordSimilarity } = require("../services/similarity");
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const upload = multer({
-  dest: path.join(__dirname, "../../uploads"),
-  limits: { fileSize: 20 * 1024 * 1024 }, // 20 MB max
-  fileFilter: (_req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    const supported = getSupportedExtensions();
-    if (supported.includes(ext)) {
-      cb(null, true);
+/** Upload fields of POST /api/grade */
+const GRADE_UPLOAD_FIELDS = [
+  { name: "submission", maxCount: 20 },
+  { name: "rubric", maxCount: 1 },
+  { name: "instructions", maxCount: 1 },
+  { name: "noteFiles", maxCount: 10 },
+  { name: "answerKey", maxCount: 1 },
+  { name: "tests", maxCount: 20 },
+];
+
+/** Upload fields of POST /api/grade/batch */
+const BATCH_UPLOAD_FIELDS = [
+  { name: "submissions", maxCount: 50 },
+  { name: "rubric", maxCount: 1 },
+  { name: "instructions", maxCount: 1 },
+  { name: "noteFiles", maxCount: 10 },
+  { name: "answerKey", maxCount: 1 },
+  { name: "tests", maxCount: 20 },
+];
+
+/** Sample rubrics offered by GET /api/rubric/sample */
+const SAMPLE_RUBRIC_TYPES = ["points", "analytic"];
+
+/**
+ * Create an AbortSignal that fires if the client disconnects before the
+ * response is sent, so in-flight model calls (e.g. Cursor CLI processes) are killed.
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Parsed file content or a request value as prompt text
+ */
+function toText(parsed) {
+  return typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2);
+}
+
+/**
+ * Parse uploaded submission files into one submission; several files are
+ * joined with "--- File: <name> ---" headers. `onParse(file)` is called
+ * before each file, and `spreadsheetMode` picks how spreadsheets are read.
+ * Returns { submission, extraction } with each file's extraction summary
+ * (see fileParsers.extractFile).
+ */
+async function parseSubmissionFiles(files, { onParse = () => {}, spreadsheetMode = "values" } = {}) {
+  const parts = [];
+  const extraction = [];
+  for (const file of files) {
+    onParse(file);
+    const { text, summary } = await extractFile(file.path, file.originalname, { spreadsheetMode });
+    parts.push(files.length > 1 ? `--- File: ${file.originalname} ---\n${text}` : text);
+    extraction.push({ ...summary, file: file.originalname });
+  }
+  return { submission: parts.join("\n\n"), extraction };
+}
+
+/**
+ * Group batch submission files by student: the files unpacked from one .zip,
+ * or uploaded inside one top-level folder ("alice/main.py"), are one
+ * student's submission, named after the archive or folder; any other file is
+ * a student of its own, named after the file. Returns
+ * [{ studentName, filename, files }] with files named relative to their
+ * archive or folder.
+ */
+function groupSubmissions(files) {
+  const groups = new Map();
+  for (const [index, file] of files.entries()) {
+    let key, studentName, filename;
+    let name = file.originalname;
+    if (file.archive) {
+      key = `archive:${file.archive}`;
+      filename = file.archive;
+      studentName = path.basename(file.archive, path.extname(file.archive));
+    } else if (name.includes("/")) {
+      const [folder, ...rest] = name.split("/");
+      key = `folder:${folder}`;
+      filename = `${folder}/`;
+      studentName = folder;
+      name = rest.join("/");
     } else {
-      cb(new Error(`Unsupported file type: ${ext}. Supported: ${supported.join(", ")}`));
+      key = `file:${index}`;
+      filename = name;
+      studentName = path.basename(name, path.extname(name));
     }
-  },
-});
+    if (!groups.has(key)) groups.set(key, { studentName, filename, files: [] });
+    groups.get(key).files.push(name === file.originalname ? file : { ...file, originalname: name });
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Whether a boolean-ish request field is set ("1", "true", true)
+ */
+function isFlagSet(value) {
+  return value === true || ["1", "true"].includes(String(value ?? "").toLowerCase());
+}
+
+/**
+ * Validate and normalize a request's rubric against maxScore (see
+ * services/rubricValidation.js). Returns { rubric, report, error } where
+ * `error` is a 400 response body when strictRubric is set and the rubric
+ * has errors.
+ */
+function checkRequestRubric(body, rubric, maxScore) {
+  const check = validateRubric(rubric, { maxScore });
+  const report = { type: check.type, valid: check.valid, warnings: check.warnings };
+  if (!isFlagSet(body.strictRubric) || check.valid) return { rubric: check.rubric, report, error: null };
+
+  const problems = check.warnings.filter((w) => w.severity === "error").map((w) => w.message);
+  return {
+    rubric: check.rubric,
+    report,
+    error: { error: `Invalid rubric (strictRubric): ${problems.join("; ")}`, rubric_validation: report },
+  };
+}
+
+/**
+ * Load the library rubric named by the request's `rubricId` (and optional
+ * `rubricVersion`, default latest). Returns { rubric, rubricRef: { id, version } }.
+ * Throws with a client-facing message for unknown rubrics, or when a rubric
+ * file or text is sent as well.
+ */
+async function loadLibraryRubric(req) {
+  if (req.files?.rubric?.[0] || req.body.rubric) {
+    throw new Error("Provide either rubric or rubricId, not both");
+  }
+  const stored = await resolveRubric(req.body.rubricId, req.body.rubricVersion);
+  return { rubric: stored.rubric, rubricRef: { id: stored.id, version: stored.version } };
+}
 
 /**
- * Middleware wrapper: apply multer only for multipart requests,
- * skip gracefully for JSON bodies so the same route handles both.
+ * Load the assignment named by :id and fill the request body with its
+ * settings (see services/assignments.js applyAssignment), so the /api/grade
+ * and /api/grade/batch handlers grade against it. Sets `req.assignment`.
  */
-function optionalUpload(fields) {
-  const multerMiddleware = upload.fields(fields);
-  return (req, res, next) => {
-    const contentType = req.headers["content-type"] || "";
-    if (contentType.startsWith("multipart/form-data")) {
-      return multerMiddleware(req, res, next);
+async function withAssignment(req, res, next) {
+  if (!isDbAvailable()) {
+    cleanupFiles(req.files);
+    return res.status(503).json({ success: false, error: "Assignments need the database. Check MySQL connection settings in .env" });
+  }
+  try {
+    const assignment = await getAssignment(req.params.id);
+    if (!assignment) {
+      cleanupFiles(req.files);
+      return res.status(404).json({ success: false, error: "Assignment not found" });
     }
+    req.assignment = assignment;
+    req.body = applyAssignment(req.body || {}, req.files, assignment);
     next();
-  };
+  } catch (err) {
+    cleanupFiles(req.files);
+    console.error("Failed to load assignment:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
 }
 
 /**
- * Helper to clean up uploaded files after processing
+ * The request's instructor test suite (`tests` files, `testCommand`,
+ * `buildCommand`; see services/testRunner.js), or null. Throws with a
+ * client-facing message for invalid suites.
  */
-function cleanupFiles(files) {
-  if (!files) return;
-  const allFiles = Object.values(files).flat();
-  for (const file of allFiles) {
-    try {
-      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
-    } catch {
-      // ignore cleanup errors
+function readTestSuite(req) {
+  return parseTestSuite({
+    files: readUploadedFiles(req.files?.tests),
+    testCommand: req.body.testCommand,
+    buildCommand: req.body.buildCommand,
+  });
+}
+
+/**
+ * Read grading-mode options from the request body. Throws with a
+ * client-facing message for invalid values.
+ */
+function parseModeOptions(body, rubric) {
+  const mode = body.mode || "single";
+  if (!GRADING_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${GRADING_MODES.join(", ")}`);
+  }
+  if (mode === "per_criterion" && !isStructuredRubric(rubric)) {
+    throw new Error("mode=per_criterion requires a structured JSON rubric (criteria with max_points)");
+  }
+
+  let parallelism;
+  if (body.parallelism != null && body.parallelism !== "") {
+    parallelism = parseInt(body.parallelism);
+    if (!Number.isInteger(parallelism) || parallelism < 1 || parallelism > MAX_PARALLELISM) {
+      throw new Error(`parallelism must be an integer between 1 and ${MAX_PARALLELISM}`);
+    }
+  }
+
+  let contextSize;
+  if (body.contextSize != null && body.contextSize !== "") {
+    contextSize = parseInt(body.contextSize);
+    if (!Number.isInteger(contextSize) || contextSize < 1024) {
+      throw new Error("contextSize must be an integer of at least 1024 (tokens)");
     }
   }
+
+  return { mode, parallelism, contextSize };
 }
 
 /**
@@ -62,171 +263,285 @@ function cleanupFiles(files) {
  *
  * Form fields (multipart/form-data):
  *   - submission (one or more files OR text, required): Student's work.
- *       Multiple files are parsed and concatenated with headers.
+ *       Multiple files are parsed and concatenated with headers. A .zip is unpacked and
+ *       its supported files used (see utils/archives.js).
  *   - rubric (file OR text, optional): Grading rubric (text can be JSON string or plain text)
+ *   - rubricId, rubricVersion (text, optional): Grade with a library rubric instead (version
+ *       default latest) — see routes/rubrics.js. Results record the id and version used.
  *   - instructions (file OR text, required): Assignment instructions
+ *   - answerKey (file OR text, optional): Reference solution. Each criterion is compared
+ *       against it and reports its key_points (matched / partial / missing).
+ *   - tests (files, optional), testCommand, buildCommand (text, optional): Instructor test
+ *       suite, run against the submitted source files in a sandbox before grading; the
+ *       build and test output goes into the prompt and onto the result as test_run
+ *       (see services/testRunner.js). Needs source code submission files.
  *   - maxScore (text, optional): Maximum score (default 100)
  *   - studentName (text, optional): Student's name
- *   - model (text, optional): Ollama model name (default llama3.2)
- *   - backend (text, optional): "ollama" or "cursor" — use Cursor CLI instead of Ollama (default ollama)
+ *   - model (text, optional): Model name (default: the backend's default model, e.g. llama3.2 for Ollama)
+ *   - backend (text, optional): Registered backend name — "ollama", "cursor" or "openai" (default ollama)
+ *   - runs, models, aggregate, reviewThreshold (text, optional): Ensemble grading —
+ *       grade `runs` times (cycling through comma-separated `models`) and aggregate
+ *       per criterion by "median" (default) or "mean". Criteria with levels get the
+ *       level nearest the aggregated score. See services/ensemble.js.
+ *   - mode (text, optional): "single" (default) or "per_criterion" — one model call per
+ *       structured-rubric criterion plus a summary call
+ *   - parallelism (text, optional): Simultaneous criterion calls in per_criterion mode
+ *   - contextSize (text, optional): Override the model's context window (tokens). Submissions
+ *       that don't fit are condensed chunk by chunk before grading (see services/chunking.js).
+ *   - leniency (text, optional): Leniency profile name — built-in strict, normal (default),
+ *       lenient, very_lenient, or a stored profile (see routes/leniency.js). Unknown names are rejected.
+ *   - template, templateVersion (text, optional): Prompt template id (default "default") and
+ *       version (default latest) — see routes/templates.js
+ *   - postProcessing (text, optional): JSON array of post-processing rules replacing the default
+ *       pipeline (rescaling, contradiction penalty, clamping) — see services/postProcessing.js
+ *   - strictRubric (text, optional): "true" to reject a rubric with validation errors (see
+ *       POST /api/rubric/validate) instead of grading with it
+ *   - spreadsheetMode (text, optional): "values" (default) or "formulas" — spreadsheet
+ *       submissions listed cell by cell with formulas (see utils/spreadsheets.js)
+ *   - injectionCheck (text, optional): "heuristics" (default, or INJECTION_CHECK env) or
+ *       "classifier" — prompt-injection screening before grading; findings are returned as
+ *       `security_flags` and mark the result for human review (see services/promptInjection.js)
  *
  * Also accepts JSON body (Content-Type: application/json) with the same field names.
+ *
+ * Add `?stream=1` (or `Accept: text/event-stream`) to receive Server-Sent Events
+ * while grading: parsing, parsed, testing, tested, screening, screened, chunking, prompt, token, retry,
+ * validated, saved, compared, then a final `result` event with the usual response body (or `error`).
  */
-router.post(
-  "/grade",
-  optionalUpload([
-    { name: "submission", maxCount: 20 },
-    { name: "rubric", maxCount: 1 },
-    { name: "instructions", maxCount: 1 },
-    { name: "noteFiles", maxCount: 10 },
-  ]),
-  async (req, res) => {
+router.post("/grade", optionalUpload(GRADE_UPLOAD_FIELDS), expandArchives("submission"), handleGrade);
+
+async function handleGrade(req, res) {
+  const reply = createResponder(req, res);
+  try {
+    // Resolve submission: files first (multiple supported), then text field
+    let spreadsheetMode;
     try {
-      // Resolve submission: files first (multiple supported), then text field
-      let submission;
-      if (req.files?.submission && req.files.submission.length > 0) {
-        const parts = [];
-        for (const sf of req.files.submission) {
-          const parsed = await parseFile(sf.path, sf.originalname);
-          const text = typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2);
-          if (req.files.submission.length > 1) {
-            parts.push(`--- File: ${sf.originalname} ---\n${text}`);
-          } else {
-            parts.push(text);
-          }
-        }
-        submission = parts.join("\n\n");
-      } else if (req.body.submission) {
-        submission = req.body.submission;
-      } else {
-        return res.status(400).json({ error: "Missing required field: submission (provide file(s) or text)" });
-      }
+      spreadsheetMode = parseSpreadsheetMode(req.body.spreadsheetMode);
+    } catch (optErr) {
+      cleanupFiles(req.files);
+      return reply.fail(400, { error: optErr.message });
+    }
 
-      // Resolve rubric: file first, then text field, or null (AI will grade based on instructions alone)
-      let rubric = null;
-      if (req.files?.rubric?.[0]) {
-        rubric = await parseRubricFile(req.files.rubric[0].path, req.files.rubric[0].originalname);
-      } else if (req.body.rubric) {
-        rubric = req.body.rubric;
-        if (typeof rubric === "string") {
-          try { rubric = JSON.parse(rubric); } catch { /* keep as string */ }
-        }
-      }
+    let submission;
+    let extraction = null;
+    if (req.files?.submission && req.files.submission.length > 0) {
+      ({ submission, extraction } = await parseSubmissionFiles(req.files.submission, {
+        onParse: (sf) => reply.progress("parsing", { file: sf.originalname }),
+        spreadsheetMode,
+      }));
+    } else if (req.body.submission) {
+      submission = req.body.submission;
+    } else {
+      return reply.fail(400, { error: "Missing required field: submission (provide file(s) or text)" });
+    }
 
-      // Resolve instructions: file first, then text field
-      let instructions;
-      if (req.files?.instructions?.[0]) {
-        instructions = await parseFile(req.files.instructions[0].path, req.files.instructions[0].originalname);
-      } else if (req.body.instructions) {
-        instructions = req.body.instructions;
-      } else {
-        return res.status(400).json({ error: "Missing required field: instructions (provide a file or text)" });
+    // Resolve rubric: library rubric, file, then text field, or null (AI will grade based on instructions alone)
+    let rubric = null;
+    let rubricRef = null;
+    if (req.body.rubricId) {
+      try {
+        ({ rubric, rubricRef } = await loadLibraryRubric(req));
+      } catch (libErr) {
+        cleanupFiles(req.files);
+        return reply.fail(400, { error: libErr.message });
       }
+    } else if (req.files?.rubric?.[0]) {
+      reply.progress("parsing", { file: req.files.rubric[0].originalname });
+      rubric = await parseRubricFile(req.files.rubric[0].path, req.files.rubric[0].originalname);
+    } else if (req.body.rubric) {
+      rubric = req.body.rubric;
+    }
 
-      // Resolve note: combine all note files + text (all optional, stacked together)
-      const noteParts = [];
-      if (req.files?.noteFiles) {
-        for (const nf of req.files.noteFiles) {
-          const parsed = await parseFile(nf.path, nf.originalname);
-          noteParts.push(typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2));
-        }
+    // Resolve instructions: file first, then text field
+    let instructions;
+    if (req.files?.instructions?.[0]) {
+      reply.progress("parsing", { file: req.files.instructions[0].originalname });
+      instructions = await parseFile(req.files.instructions[0].path, req.files.instructions[0].originalname);
+    } else if (req.body.instructions) {
+      instructions = req.body.instructions;
+    } else {
+      return reply.fail(400, { error: "Missing required field: instructions (provide a file or text)" });
+    }
+
+    // Resolve note: combine all note files + text (all optional, stacked together)
+    const noteParts = [];
+    if (req.files?.noteFiles) {
+      for (const nf of req.files.noteFiles) {
+        reply.progress("parsing", { file: nf.originalname });
+        const parsed = await parseFile(nf.path, nf.originalname);
+        noteParts.push(typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2));
       }
-      if (req.body.note) {
-        noteParts.push(req.body.note);
+    }
+    if (req.body.note) {
+      noteParts.push(req.body.note);
+    }
+    const note = noteParts.length > 0 ? noteParts.join("\n\n") : null;
+
+    // Resolve answer key: file first, then text field (optional)
+    let answerKey = null;
+    if (req.files?.answerKey?.[0]) {
+      reply.progress("parsing", { file: req.files.answerKey[0].originalname });
+      answerKey = toText(await parseFile(req.files.answerKey[0].path, req.files.answerKey[0].originalname));
+    } else if (req.body.answerKey) {
+      answerKey = toText(req.body.answerKey);
+    }
+
+    const maxScore = parseInt(req.body.maxScore) || 100;
+    const rubricCheck = checkRequestRubric(req.body, rubric, maxScore);
+    if (rubricCheck.error) {
+      cleanupFiles(req.files);
+      return reply.fail(400, rubricCheck.error);
+    }
+    rubric = rubricCheck.rubric;
+
+    const studentName = req.body.studentName || "";
+    const model = req.body.model || null;
+    const backend = req.body.backend || DEFAULT_BACKEND;
+    if (!hasBackend(backend)) {
+      cleanupFiles(req.files);
+      return reply.fail(400, { error: `Unknown backend: ${backend}. Available: ${listBackendNames().join(", ")}` });
+    }
+
+    let ensemble, modeOptions, template, leniency, postProcessing, testSuite, injectionCheck;
+    let sourceFiles = [];
+    try {
+      ensemble = parseEnsembleOptions(req.body);
+      postProcessing = parsePostProcessingRules(req.body.postProcessing);
+      modeOptions = parseModeOptions(req.body, rubric);
+      injectionCheck = parseInjectionCheck(req.body.injectionCheck);
+      template = await resolveTemplate(req.body.template, req.body.templateVersion);
+      leniency = await resolveLeniency(req.body.leniency);
+      testSuite = readTestSuite(req);
+      if (testSuite) {
+        sourceFiles = readUploadedFiles(req.files?.submission, { codeOnly: true });
+        if (sourceFiles.length === 0) throw new Error("tests need source code files in submission");
       }
-      const note = noteParts.length > 0 ? noteParts.join("\n\n") : null;
+    } catch (optErr) {
+      cleanupFiles(req.files);
+      return reply.fail(400, { error: optErr.message });
+    }
 
-      const maxScore = parseInt(req.body.maxScore) || 100;
-      const studentName = req.body.studentName || "";
-      const leniency = req.body.leniency || "normal";
-      const model = req.body.model || DEFAULT_MODEL;
-      const backend = req.body.backend || DEFAULT_BACKEND;
+    const signal = abortOnDisconnect(res);
+    reply.progress("parsed", { characters: submission.length, extraction });
 
-      const result = await gradeSubmission({
-        submission,
-        rubric,
-        instructions,
-        note,
-        maxScore,
-        studentName,
-        leniency,
-        model,
-        backend,
-      });
+    const result = await gradeSubmission({
+      submission,
+      submissionFile: req.files?.submission?.length === 1 ? req.files.submission[0].originalname : null,
+      rubric,
+      instructions,
+      note,
+      answerKey,
+      maxScore,
+      studentName,
+      leniency,
+      model,
+      backend,
+      ensemble,
+      ...modeOptions,
+      template,
+      postProcessing,
+      rubricRef,
+      testSuite,
+      sourceFiles,
+      extraction,
+      injectionCheck,
+      signal,
+      onProgress: reply.progress,
+    });
 
-      // Save to database (if available)
-      let dbId = null;
-      if (isDbAvailable()) {
-        try {
-          dbId = await saveResult(result);
-        } catch (dbErr) {
-          console.error("Failed to save result to database:", dbErr.message);
-        }
+    if (req.assignment) result.assignmentId = req.assignment.id;
+
+    // Save to database (if available)
+    let dbId = null;
+    if (isDbAvailable()) {
+      try {
+        dbId = await saveResult(result);
+        reply.progress("saved", { id: dbId });
+      } catch (dbErr) {
+        console.error("Failed to save result to database:", dbErr.message);
       }
+    }
 
-      // Clean up temp files
-      cleanupFiles(req.files);
+    // Compare with earlier results of the assignment (needs the saved result)
+    let similar = null;
+    if (dbId) {
+      try {
+        similar = await recordSimilarity({ resultId: dbId, submission, instructions, assignmentId: result.assignmentId ?? null });
+        reply.progress("compared", { similar: similar.length });
+      } catch (simErr) {
+        console.error("Similarity check failed:", simErr.message);
+      }
+    }
 
-      res.json({
-        success: true,
-        data: { ...result, id: dbId },
-      });
-    } catch (err) {
-      cleanupFiles(req.files);
-      console.error("Grading error:", err);
-      res.status(500).json({
-        success: false,
-        error: err.message || "Internal server error during grading",
-      });
+    // Clean up temp files
+    cleanupFiles(req.files);
+
+    reply.done({
+      success: true,
+      data: { ...result, id: dbId, similar, archives: req.archives, rubric_validation: rubricCheck.report },
+    });
+  } catch (err) {
+    cleanupFiles(req.files);
+    if (err.name === "AbortError") {
+      console.log("Grading cancelled: client disconnected");
+      return;
     }
+    console.error("Grading error:", err);
+    reply.fail(500, {
+      success: false,
+      error: err.message || "Internal server error during grading",
+    });
   }
-);
+}
 
 /**
  * POST /api/prompt
  *
  * Generate the exact prompt that would be sent to the model, using the same
- * inputs as /api/grade. Does NOT call Ollama.
+ * inputs as /api/grade (including template / templateVersion, rubricId /
+ * rubricVersion and answerKey). Does NOT call Ollama, and does not run a
+ * test suite — the prompt has no test results section. `security_flags` holds
+ * the heuristic prompt-injection findings (no classifier call).
  */
 router.post(
   "/prompt",
-  optionalUpload([
-    { name: "submission", maxCount: 20 },
-    { name: "rubric", maxCount: 1 },
-    { name: "instructions", maxCount: 1 },
-    { name: "noteFiles", maxCount: 10 },
-  ]),
+  optionalUpload(GRADE_UPLOAD_FIELDS),
+  expandArchives("submission"),
   async (req, res) => {
     try {
       // Resolve submission: files first (multiple supported), then text field
+      let spreadsheetMode;
+      try {
+        spreadsheetMode = parseSpreadsheetMode(req.body.spreadsheetMode);
+      } catch (optErr) {
+        cleanupFiles(req.files);
+        return res.status(400).json({ error: optErr.message });
+      }
+
       let submission;
+      let extraction = null;
       if (req.files?.submission && req.files.submission.length > 0) {
-        const parts = [];
-        for (const sf of req.files.submission) {
-          const parsed = await parseFile(sf.path, sf.originalname);
-          const text = typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2);
-          if (req.files.submission.length > 1) {
-            parts.push(`--- File: ${sf.originalname} ---\n${text}`);
-          } else {
-            parts.push(text);
-          }
-        }
-        submission = parts.join("\n\n");
+        ({ submission, extraction } = await parseSubmissionFiles(req.files.submission, { spreadsheetMode }));
       } else if (req.body.submission) {
         submission = req.body.submission;
       } else {
         return res.status(400).json({ error: "Missing required field: submission (provide file(s) or text)" });
       }
 
-      // Resolve rubric: file first, then text field, or null
+      // Resolve rubric: library rubric, file, then text field, or null
       let rubric = null;
-      if (req.files?.rubric?.[0]) {
+      let rubricRef = null;
+      if (req.body.rubricId) {
+        try {
+          ({ rubric, rubricRef } = await loadLibraryRubric(req));
+        } catch (libErr) {
+          cleanupFiles(req.files);
+          return res.status(400).json({ error: libErr.message });
+        }
+      } else if (req.files?.rubric?.[0]) {
         rubric = await parseRubricFile(req.files.rubric[0].path, req.files.rubric[0].originalname);
       } else if (req.body.rubric) {
         rubric = req.body.rubric;
-        if (typeof rubric === "string") {
-          try { rubric = JSON.parse(rubric); } catch { /* keep as string */ }
-        }
       }
 
       // Resolve instructions: file first, then text field
@@ -252,30 +567,46 @@ router.post(
       }
       const note = noteParts.length > 0 ? noteParts.join("\n\n") : null;
 
+      // Resolve answer key: file first, then text field (optional)
+      let answerKey = null;
+      if (req.files?.answerKey?.[0]) {
+        answerKey = toText(await parseFile(req.files.answerKey[0].path, req.files.answerKey[0].originalname));
+      } else if (req.body.answerKey) {
+        answerKey = toText(req.body.answerKey);
+      }
+
       const maxScore = parseInt(req.body.maxScore) || 100;
+      const rubricCheck = checkRequestRubric(req.body, rubric, maxScore);
+      if (rubricCheck.error) {
+        cleanupFiles(req.files);
+        return res.status(400).json(rubricCheck.error);
+      }
+      rubric = rubricCheck.rubric;
+
       const studentName = req.body.studentName || "";
-      const leniency = req.body.leniency || "normal";
 
-      const userPrompt = buildGradingPrompt({
+      let template, leniency;
+      try {
+        template = await resolveTemplate(req.body.template, req.body.templateVersion);
+        leniency = await resolveLeniency(req.body.leniency);
+      } catch (optErr) {
+        cleanupFiles(req.files);
+        return res.status(400).json({ error: optErr.message });
+      }
+
+      // Build the exact same messages sent to the model
+      const messages = buildGradingMessages({
         submission,
         rubric,
         instructions,
         note,
+        answerKey,
         maxScore,
         leniency,
         studentName,
+        template,
       });
-
-      // Build the exact same payload sent to the model
-      const systemMessage = [
-        "You are a grading engine.",
-        "Follow instructions literally.",
-        "Output ONLY valid JSON.",
-        "Do NOT explain reasoning.",
-        "No markdown. No extra text.",
-      ].join("\n");
-
-      const fullPrompt = `[SYSTEM]\n${systemMessage}\n\n[USER]\n${userPrompt}`;
+      const fullPrompt = messages.map((m) => `[${m.role.toUpperCase()}]\n${m.content}`).join("\n\n");
 
       cleanupFiles(req.files);
 
@@ -285,7 +616,13 @@ router.post(
           prompt: fullPrompt,
           maxScore,
           studentName,
-          leniency,
+          leniency: leniency.name,
+          template: { id: template.id, version: template.version },
+          rubricRef,
+          answerKey: Boolean(answerKey),
+          extraction,
+          security_flags: scanSubmission(submission),
+          rubric_validation: rubricCheck.report,
         },
       });
     } catch (err) {
@@ -304,161 +641,382 @@ router.post(
  *
  * Grade multiple submissions at once.
  *
+ * With the database connected the batch becomes a persistent job: submissions
+ * are parsed, stored, and graded in the background (see services/jobQueue.js).
+ * Responds 202 with the job; follow it with GET /api/jobs/:id. Without the
+ * database the batch is graded inline and the results returned directly.
+ *
  * Form fields (multipart/form-data):
- *   - submissions (files, required): Multiple student submission files
- *   - rubric (file OR text, required): Grading rubric
+ *   - submissions (files, required): Student submissions — one file, one .zip or one
+ *       top-level folder ("alice/main.py", folder uploads) per student
+ *   - rubric (file OR text, required): Grading rubric — or rubricId / rubricVersion as for /api/grade
  *   - instructions (file OR text, required): Assignment instructions
+ *   - answerKey (file OR text, optional): Reference solution, as for /api/grade
+ *   - tests (files, optional), testCommand, buildCommand (text, optional): Instructor test
+ *       suite, run against each source code submission as for /api/grade
  *   - maxScore (text, optional)
  *   - model (text, optional)
- *   - backend (text, optional): "ollama" or "cursor"
+ *   - backend (text, optional): Registered backend name (default ollama)
+ *   - runs, models, aggregate, reviewThreshold (text, optional): Ensemble grading per submission
+ *   - leniency, mode, parallelism, contextSize, template, templateVersion, postProcessing,
+ *       strictRubric, spreadsheetMode, injectionCheck (text, optional): As for /api/grade
  *
- * Student names are inferred from filenames (without extension).
+ * Student names are inferred from filenames (without extension), archive
+ * names or folder names (see groupSubmissions).
+ *
+ * Inline batches stream progress with `?stream=1` as for /api/grade, with every
+ * event tagged by `student` (1-based index), plus `student` / `student_done`
+ * events around each submission and a final `result` event. Jobs stream the
+ * same events from GET /api/jobs/:id?stream=1.
  */
-router.post(
-  "/grade/batch",
-  optionalUpload([
-    { name: "submissions", maxCount: 50 },
-    { name: "rubric", maxCount: 1 },
-    { name: "instructions", maxCount: 1 },
-    { name: "noteFiles", maxCount: 10 },
-  ]),
-  async (req, res) => {
-    try {
-      if (!req.files?.submissions || req.files.submissions.length === 0) {
-        return res.status(400).json({ error: "Missing required files: submissions" });
-      }
+router.post("/grade/batch", optionalUpload(BATCH_UPLOAD_FIELDS), expandArchives("submissions"), handleBatch);
 
-      // Resolve rubric: file first, then text field, or null
-      let rubric = null;
-      if (req.files?.rubric?.[0]) {
-        rubric = await parseRubricFile(req.files.rubric[0].path, req.files.rubric[0].originalname);
-      } else if (req.body.rubric) {
-        rubric = req.body.rubric;
-        if (typeof rubric === "string") {
-          try { rubric = JSON.parse(rubric); } catch { /* keep as string */ }
-        }
-      }
+async function handleBatch(req, res) {
+  const reply = createResponder(req, res);
+  try {
+    if (!req.files?.submissions || req.files.submissions.length === 0) {
+      return reply.fail(400, { error: "Missing required files: submissions" });
+    }
 
-      // Resolve instructions: file first, then text field
-      let instructions;
-      if (req.files?.instructions?.[0]) {
-        instructions = await parseFile(req.files.instructions[0].path, req.files.instructions[0].originalname);
-      } else if (req.body.instructions) {
-        instructions = req.body.instructions;
-      } else {
-        return res.status(400).json({ error: "Missing required field: instructions (provide a file or text)" });
+    // Resolve rubric: library rubric, file, then text field, or null
+    let rubric = null;
+    let rubricRef = null;
+    if (req.body.rubricId) {
+      try {
+        ({ rubric, rubricRef } = await loadLibraryRubric(req));
+      } catch (libErr) {
+        cleanupFiles(req.files);
+        return reply.fail(400, { error: libErr.message });
       }
+    } else if (req.files?.rubric?.[0]) {
+      rubric = await parseRubricFile(req.files.rubric[0].path, req.files.rubric[0].originalname);
+    } else if (req.body.rubric) {
+      rubric = req.body.rubric;
+    }
 
-      // Resolve note: combine all note files + text
-      const noteParts = [];
-      if (req.files?.noteFiles) {
-        for (const nf of req.files.noteFiles) {
-          const parsed = await parseFile(nf.path, nf.originalname);
-          noteParts.push(typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2));
-        }
-      }
-      if (req.body.note) {
-        noteParts.push(req.body.note);
+    // Resolve instructions: file first, then text field
+    let instructions;
+    if (req.files?.instructions?.[0]) {
+      instructions = await parseFile(req.files.instructions[0].path, req.files.instructions[0].originalname);
+    } else if (req.body.instructions) {
+      instructions = req.body.instructions;
+    } else {
+      return reply.fail(400, { error: "Missing required field: instructions (provide a file or text)" });
+    }
+
+    // Resolve note: combine all note files + text
+    const noteParts = [];
+    if (req.files?.noteFiles) {
+      for (const nf of req.files.noteFiles) {
+        const parsed = await parseFile(nf.path, nf.originalname);
+        noteParts.push(typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2));
       }
-      const note = noteParts.length > 0 ? noteParts.join("\n\n") : null;
+    }
+    if (req.body.note) {
+      noteParts.push(req.body.note);
+    }
+    const note = noteParts.length > 0 ? noteParts.join("\n\n") : null;
 
-      const maxScore = parseInt(req.body.maxScore) || 100;
-      const leniency = req.body.leniency || "normal";
-      const model = req.body.model || DEFAULT_MODEL;
-      const backend = req.body.backend || DEFAULT_BACKEND;
+    // Resolve answer key: file first, then text field (optional)
+    let answerKey = null;
+    if (req.files?.answerKey?.[0]) {
+      answerKey = toText(await parseFile(req.files.answerKey[0].path, req.files.answerKey[0].originalname));
+    } else if (req.body.answerKey) {
+      answerKey = toText(req.body.answerKey);
+    }
 
-      const results = [];
+    const maxScore = parseInt(req.body.maxScore) || 100;
+    const rubricCheck = checkRequestRubric(req.body, rubric, maxScore);
+    if (rubricCheck.error) {
+      cleanupFiles(req.files);
+      return reply.fail(400, rubricCheck.error);
+    }
+    rubric = rubricCheck.rubric;
 
-      // Grade each submission sequentially to avoid overwhelming Ollama
-      for (const submissionFile of req.files.submissions) {
-        const studentName = path.basename(
-          submissionFile.originalname,
-          path.extname(submissionFile.originalname)
-        );
+    const model = req.body.model || null;
+    const backend = req.body.backend || DEFAULT_BACKEND;
+    if (!hasBackend(backend)) {
+      cleanupFiles(req.files);
+      return reply.fail(400, { error: `Unknown backend: ${backend}. Available: ${listBackendNames().join(", ")}` });
+    }
 
-        try {
-          const parsed = await parseFile(submissionFile.path, submissionFile.originalname);
-          const submission = typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2);
-
-          const result = await gradeSubmission({
-            submission,
-            rubric,
-            instructions,
-            note,
-            maxScore,
-            studentName,
-            leniency,
-            model,
-            backend,
-          });
-
-          // Save to database (if available)
-          let dbId = null;
-          if (isDbAvailable()) {
-            try {
-              dbId = await saveResult(result);
-            } catch (dbErr) {
-              console.error("Failed to save batch result to database:", dbErr.message);
-            }
-          }
+    let ensemble, modeOptions, template, leniency, postProcessing, testSuite, spreadsheetMode, injectionCheck;
+    try {
+      ensemble = parseEnsembleOptions(req.body);
+      postProcessing = parsePostProcessingRules(req.body.postProcessing);
+      modeOptions = parseModeOptions(req.body, rubric);
+      template = await resolveTemplate(req.body.template, req.body.templateVersion);
+      leniency = await resolveLeniency(req.body.leniency);
+      testSuite = readTestSuite(req);
+      spreadsheetMode = parseSpreadsheetMode(req.body.spreadsheetMode);
+      injectionCheck = parseInjectionCheck(req.body.injectionCheck);
+    } catch (optErr) {
+      cleanupFiles(req.files);
+      return reply.fail(400, { error: optErr.message });
+    }
+
+    const students = groupSubmissions(req.files.submissions);
 
-          results.push({
-            studentName,
-            filename: submissionFile.originalname,
-            id: dbId,
-            ...result,
-          });
-        } catch (err) {
-          results.push({
-            studentName,
-            filename: submissionFile.originalname,
-            error: err.message,
-          });
+    if (isDbAvailable()) {
+      const items = [];
+      for (const { studentName, filename, files } of students) {
+        try {
+          const { submission, extraction } = await parseSubmissionFiles(files, { spreadsheetMode });
+          const sources = testSuite ? readUploadedFiles(files, { codeOnly: true }) : null;
+          items.push({ studentName, filename, submission, sources, extraction });
+        } catch (parseErr) {
+          items.push({ studentName, filename, error: `Could not parse file: ${parseErr.message}` });
         }
       }
-
       cleanupFiles(req.files);
+      const similarity = compareBatch(items, { instructions });
 
-      res.json({
-        success: true,
-        totalSubmissions: req.files.submissions.length,
-        data: results,
+      const job = await enqueueBatch({
+        backend,
+        model,
+        options: {
+          rubric,
+          rubricRef,
+          instructions,
+          note,
+          answerKey,
+          maxScore,
+          leniency,
+          ensemble,
+          ...modeOptions,
+          template,
+          postProcessing,
+          testSuite,
+          injectionCheck,
+          assignmentId: req.assignment?.id ?? null,
+        },
+        items,
       });
-    } catch (err) {
-      cleanupFiles(req.files);
-      console.error("Batch grading error:", err);
-      res.status(500).json({
-        success: false,
-        error: err.message || "Internal server error during batch grading",
+      return res.status(202).json({
+        success: true,
+        data: job,
+        similarity,
+        archives: req.archives,
+        rubric_validation: rubricCheck.report,
       });
     }
+
+    const signal = abortOnDisconnect(res);
+    const results = [];
+    const parsed = [];
+    const total = students.length;
+
+    // Grade each submission sequentially to avoid overwhelming Ollama
+    for (const [index, { studentName, filename, files }] of students.entries()) {
+      if (signal.aborted) break;
+
+      const student = { index: index + 1, total, studentName, filename };
+      const progress = (event, data) => reply.progress(event, { ...data, student: student.index });
+      reply.progress("student", student);
+
+      try {
+        const { submission, extraction } = await parseSubmissionFiles(files, {
+          onParse: (f) => progress("parsing", { file: f.originalname }),
+          spreadsheetMode,
+        });
+        parsed.push({ studentName, filename, submission });
+
+        const result = await gradeSubmission({
+          submission,
+          submissionFile: files.length === 1 ? files[0].originalname : null,
+          rubric,
+          instructions,
+          note,
+          answerKey,
+          maxScore,
+          studentName,
+          leniency,
+          model,
+          backend,
+          ensemble,
+          ...modeOptions,
+          template,
+          postProcessing,
+          rubricRef,
+          testSuite,
+          sourceFiles: testSuite ? readUploadedFiles(files, { codeOnly: true }) : [],
+          extraction,
+          injectionCheck,
+          signal,
+          onProgress: progress,
+        });
+
+        if (req.assignment) result.assignmentId = req.assignment.id;
+
+        // Save to database (if available)
+        let dbId = null;
+        if (isDbAvailable()) {
+          try {
+            dbId = await saveResult(result);
+            progress("saved", { id: dbId });
+          } catch (dbErr) {
+            console.error("Failed to save batch result to database:", dbErr.message);
+          }
+        }
+        if (dbId) {
+          try {
+            result.similar = await recordSimilarity({ resultId: dbId, submission, instructions, assignmentId: result.assignmentId ?? null });
+          } catch (simErr) {
+            console.error("Similarity check failed:", simErr.message);
+          }
+        }
+
+        results.push({
+          studentName,
+          filename,
+          id: dbId,
+          ...result,
+        });
+        reply.progress("student_done", {
+          ...student,
+          id: dbId,
+          total_score: result.results.total_score ?? null,
+          percentage: result.results.percentage ?? null,
+        });
+      } catch (err) {
+        if (err.name === "AbortError") break;
+        results.push({
+          studentName,
+          filename,
+          error: err.message,
+        });
+        reply.progress("student_done", { ...student, error: err.message });
+      }
+    }
+
+    cleanupFiles(req.files);
+
+    if (signal.aborted) {
+      console.log(`Batch grading cancelled: client disconnected after ${results.length} submission(s)`);
+      return;
+    }
+
+    reply.done({
+      success: true,
+      totalSubmissions: total,
+      data: results,
+      similarity: compareBatch(parsed, { instructions }),
+      archives: req.archives,
+      rubric_validation: rubricCheck.report,
+    });
+  } catch (err) {
+    cleanupFiles(req.files);
+    console.error("Batch grading error:", err);
+    reply.fail(500, {
+      success: false,
+      error: err.message || "Internal server error during batch grading",
+    });
   }
+}
+
+/**
+ * POST /api/assignments/:id/grade
+ * POST /api/assignments/:id/grade/batch
+ *
+ * Grade submissions against a stored assignment (see routes/assignments.js):
+ * same fields and responses as /api/grade and /api/grade/batch, with the
+ * assignment's instructions, rubric, note and settings filled in. Fields
+ * sent with the request override the assignment's. Results are saved with
+ * the assignment's id.
+ */
+router.post("/assignments/:id/grade", optionalUpload(GRADE_UPLOAD_FIELDS), expandArchives("submission"), withAssignment, handleGrade);
+router.post(
+  "/assignments/:id/grade/batch",
+  optionalUpload(BATCH_UPLOAD_FIELDS),
+  expandArchives("submissions"),
+  withAssignment,
+  handleBatch
 );
 
 /**
  * GET /api/rubric/sample
  *
- * Returns a sample rubric template
+ * Returns a sample rubric template.
+ * Query params:
+ *   - type: "points" (default, max_points and a checklist per criterion) or
+ *     "analytic" (performance levels with descriptors and points)
  */
-router.get("/rubric/sample", (_req, res) => {
+router.get("/rubric/sample", (req, res) => {
+  const type = req.query.type || "points";
+  if (!SAMPLE_RUBRIC_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, error: `type must be one of: ${SAMPLE_RUBRIC_TYPES.join(", ")}` });
+  }
   res.json({
     success: true,
-    data: generateSampleRubric(),
+    type,
+    data: type === "analytic" ? generateAnalyticSampleRubric() : generateSampleRubric(),
   });
 });
 
+/**
+ * POST /api/rubric/validate
+ *
+ * Validate a rubric and return it normalized, without grading anything.
+ * Accepts multipart/form-data or JSON:
+ *   - rubric (file OR text, required): Any supported rubric file, JSON or plain text
+ *   - maxScore (text, optional): Check that the criteria's max_points add up to it
+ *
+ * Returns { valid, type, rubric, warnings, totalPoints, criteriaCount, imported } where
+ * type is "none", "freeform", "structured" or "analytic" and `imported`
+ * describes the table a spreadsheet, CSV or Word rubric was read from.
+ */
+router.post(
+  "/rubric/validate",
+  optionalUpload([{ name: "rubric", maxCount: 1 }]),
+  async (req, res) => {
+    try {
+      let rubric;
+      let imported = null;
+      const file = req.files?.rubric?.[0];
+      if (file && getFileType(file.originalname) === "json") {
+        // Read JSON files as text so duplicate criterion names can be spotted
+        rubric = await fs.promises.readFile(file.path, "utf-8");
+      } else if (file) {
+        ({ rubric, imported } = await importRubricFile(file.path, file.originalname));
+      } else if (req.body.rubric) {
+        rubric = req.body.rubric;
+      } else {
+        return res.status(400).json({ success: false, error: "Missing required field: rubric (provide a file or text)" });
+      }
+
+      let maxScore = null;
+      if (req.body.maxScore != null && req.body.maxScore !== "") {
+        maxScore = parseFloat(req.body.maxScore);
+        if (!Number.isFinite(maxScore) || maxScore <= 0) {
+          cleanupFiles(req.files);
+          return res.status(400).json({ success: false, error: "maxScore must be a positive number" });
+        }
+      }
+
+      cleanupFiles(req.files);
+      res.json({ success: true, data: { ...validateRubric(rubric, { maxScore }), imported } });
+    } catch (err) {
+      cleanupFiles(req.files);
+      console.error("Rubric validation error:", err);
+      res.status(500).json({ success: false, error: err.message || "Internal server error during rubric validation" });
+    }
+  }
+);
+
 /**
  * GET /api/supported-formats
  *
- * Returns the list of supported file formats
+ * Returns the supported file formats, from the parser registry: extensions
+ * accepted per upload field, and every file type with its label
  */
 router.get("/supported-formats", (_req, res) => {
   res.json({
     success: true,
     data: {
-      submission: getSupportedExtensions(),
+      submission: [...getSupportedExtensions(), ...ARCHIVE_EXTENSIONS],
       rubric: getSupportedExtensions(),
       instructions: getSupportedExtensions(),
+      types: listFileTypes(),
     },
   });
 });
@@ -466,31 +1024,20 @@ router.get("/supported-formats", (_req, res) => {
 /**
  * GET /api/health
  *
- * Health check endpoint
+ * Health check endpoint. Reports every registered backend; the service is
+ * healthy when the default backend is reachable.
  */
 router.get("/health", async (_req, res) => {
-  try {
-    const { Ollama } = require("ollama");
-    const client = new Ollama();
-    const models = await client.list();
-    res.json({
-      success: true,
-      status: "healthy",
-      ollama: {
-        connected: true,
-        models: models.models.map((m) => m.name),
-      },
-    });
-  } catch (err) {
-    res.status(503).json({
-      success: false,
-      status: "unhealthy",
-      ollama: {
-        connected: false,
-        error: err.message,
-      },
-    });
-  }
+  const backends = await checkBackends();
+  const defaultStatus = backends.find((b) => b.name === DEFAULT_BACKEND);
+  const healthy = Boolean(defaultStatus && defaultStatus.connected);
+
+  res.status(healthy ? 200 : 503).json({
+    success: healthy,
+    status: healthy ? "healthy" : "unhealthy",
+    defaultBackend: DEFAULT_BACKEND,
+    backends,
+  });
 });
 
 /**
@@ -500,6 +1047,9 @@ router.get("/health", async (_req, res) => {
  * Query params:
  *   - limit (number, default 50)
  *   - offset (number, default 0)
+ *   - assignmentId (number, optional): Only results graded for this assignment
+ *   - needsReview (text, optional): "true" for results flagged for human review (possible
+ *       prompt injection), "false" for the rest
  */
 router.get("/results", async (req, res) => {
   if (!isDbAvailable()) {
@@ -508,7 +1058,15 @@ router.get("/results", async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 50, 200);
     const offset = parseInt(req.query.offset) || 0;
-    const { rows, total } = await getResults({ limit, offset });
+    let assignmentId = null;
+    if (req.query.assignmentId != null && req.query.assignmentId !== "") {
+      assignmentId = parseInt(req.query.assignmentId);
+      if (!Number.isInteger(assignmentId) || assignmentId < 1) {
+        return res.status(400).json({ success: false, error: "assignmentId must be a positive integer" });
+      }
+    }
+    const needsReview = req.query.needsReview != null && req.query.needsReview !== "" ? isFlagSet(req.query.needsReview) : null;
+    const { rows, total } = await getResults({ limit, offset, assignmentId, needsReview });
     res.json({ success: true, data: rows, total, limit, offset });
   } catch (err) {
     console.error("Failed to fetch results:", err);
@@ -534,6 +1092,28 @@ router.get("/results/:id", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/results/:id/similar
+ *
+ * Returns the results found similar to this one (see services/similarity.js):
+ * earlier results of the same assignment or batch job it was compared with
+ * when saved, and later ones compared with it. Each has the pair's
+ * `similarity`, `overlap` and matching `passages`.
+ */
+router.get("/results/:id/similar", async (req, res) => {
+  try {
+    const row = await getResultById(req.params.id);
+    if (!row) {
+      return res.status(404).json({ success: false, error: "Result not found" });
+    }
+    const similar = await getSimilarResults(row.id);
+    res.json({ success: true, data: { id: row.id, fingerprinted: row.fingerprint != null, similar } });
+  } catch (err) {
+    console.error("Failed to fetch similar results:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 /**
  * DELETE /api/results/:id
  *
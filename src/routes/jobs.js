@@ -0,0 +1,144 @@
+const express = require("express");
+
+const { getJob, getJobs, isDbAvailable } = require("../db");
+const { cancelJob, retryFailed, subscribe, workerStats } = require("../services/jobQueue");
+const { wantsEventStream, openEventStream } = require("../utils/sse");
+
+const router = express.Router();
+
+/** Job statuses after which nothing more will happen (until retry-failed) */
+const FINAL_STATUSES = ["completed", "cancelled"];
+
+/**
+ * Jobs live in MySQL — answer 503 when it isn't connected
+ */
+function requireDb(_req, res, next) {
+  if (!isDbAvailable()) {
+    return res.status(503).json({
+      success: false,
+      error: "Batch jobs need the database. Check MySQL connection settings in .env",
+    });
+  }
+  next();
+}
+
+router.use("/jobs", requireDb);
+
+/**
+ * GET /api/jobs
+ *
+ * Lists batch grading jobs (newest first) and the worker's load per backend.
+ * Query params:
+ *   - limit (number, default 50)
+ *   - offset (number, default 0)
+ */
+router.get("/jobs", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { rows, total } = await getJobs({ limit, offset });
+    res.json({ success: true, data: rows, total, limit, offset, workers: workerStats() });
+  } catch (err) {
+    console.error("Failed to fetch jobs:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ *
+ * Returns a job with per-submission status (queued, running, done, failed,
+ * cancelled) and the ID of each saved result.
+ *
+ * With `?stream=1` (or `Accept: text/event-stream`) the job is streamed as
+ * Server-Sent Events instead: a `job` snapshot, then student / student_done
+ * and grading progress events as they happen, then a final `result` event
+ * with the finished job.
+ */
+router.get("/jobs/:id", async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    if (!wantsEventStream(req)) {
+      return res.json({ success: true, data: job });
+    }
+
+    const stream = openEventStream(res);
+    stream.send("job", job);
+    if (FINAL_STATUSES.includes(job.status)) {
+      stream.send("result", { success: true, data: job });
+      return stream.close();
+    }
+
+    let finished = false;
+    const finish = async () => {
+      if (finished) return;
+      finished = true;
+      unsubscribe();
+      try {
+        stream.send("result", { success: true, data: await getJob(job.id) });
+      } catch (err) {
+        stream.send("error", { status: 500, success: false, error: err.message });
+      }
+      stream.close();
+    };
+    const unsubscribe = subscribe(job.id, (event, data) => {
+      if (event === "job" && FINAL_STATUSES.includes(data.status)) return finish();
+      stream.send(event, data);
+    });
+    res.on("close", unsubscribe);
+
+    // The job may have finished while we were subscribing
+    const latest = await getJob(job.id);
+    if (FINAL_STATUSES.includes(latest.status)) await finish();
+  } catch (err) {
+    console.error("Failed to fetch job:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ *
+ * Cancels a queued or running job. Submissions being graded are aborted;
+ * those already graded keep their results.
+ */
+router.post("/jobs/:id/cancel", async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    if (!(await cancelJob(job.id))) {
+      return res.status(409).json({ success: false, error: `Job is already ${job.status}` });
+    }
+    res.json({ success: true, data: await getJob(job.id) });
+  } catch (err) {
+    console.error("Failed to cancel job:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/retry-failed
+ *
+ * Re-queues the job's failed submissions (not ones whose file couldn't be parsed).
+ */
+router.post("/jobs/:id/retry-failed", async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    const requeued = await retryFailed(job.id);
+    res.json({ success: true, requeued, data: await getJob(job.id) });
+  } catch (err) {
+    console.error("Failed to retry job:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
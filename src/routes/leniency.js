@@ -0,0 +1,167 @@
+const express = require("express");
+
+const {
+  isDbAvailable,
+  listLeniencyProfiles,
+  getLeniencyProfile,
+  saveLeniencyProfile,
+  deleteLeniencyProfile,
+} = require("../db");
+const {
+  BUILTIN_PROFILES,
+  PROFILE_NAME_PATTERN,
+  CURVE_TYPES,
+  getBuiltinProfile,
+  resolveLeniency,
+  validateProfile,
+} = require("../services/leniency");
+
+const router = express.Router();
+
+/**
+ * Stored profiles live in MySQL — answer 503 for writes when it isn't connected
+ */
+function requireDb(_req, res, next) {
+  if (!isDbAvailable()) {
+    return res.status(503).json({
+      success: false,
+      error: "Saving leniency profiles needs the database. Check MySQL connection settings in .env",
+    });
+  }
+  next();
+}
+
+/**
+ * Built-in profiles can be used, not changed
+ */
+function rejectBuiltin(req, res, next) {
+  if (getBuiltinProfile(req.params.name)) {
+    return res.status(400).json({
+      success: false,
+      error: `The "${req.params.name}" profile is built in and read-only — create a new profile instead`,
+    });
+  }
+  next();
+}
+
+/**
+ * GET /api/leniency-profiles
+ *
+ * Lists the built-in profiles followed by stored ones.
+ */
+router.get("/leniency-profiles", async (_req, res) => {
+  try {
+    const stored = isDbAvailable() ? await listLeniencyProfiles() : [];
+    res.json({
+      success: true,
+      data: [...BUILTIN_PROFILES, ...stored],
+      curveTypes: CURVE_TYPES,
+      dbOffline: !isDbAvailable() || undefined,
+    });
+  } catch (err) {
+    console.error("Failed to list leniency profiles:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/leniency-profiles/:name
+ */
+router.get("/leniency-profiles/:name", async (req, res) => {
+  try {
+    let profile;
+    try {
+      profile = await resolveLeniency(req.params.name);
+    } catch (err) {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    res.json({ success: true, data: profile });
+  } catch (err) {
+    console.error("Failed to fetch leniency profile:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/leniency-profiles
+ *
+ * Creates a profile.
+ * JSON body: { name, instructions, label?, floor?, curve? }
+ *   - floor: minimum percentage after grading (0–100)
+ *   - curve: { type: "linear", multiply?, add? } or { type: "sqrt" }
+ */
+router.post("/leniency-profiles", requireDb, async (req, res) => {
+  try {
+    const { name, label, instructions, floor, curve } = req.body || {};
+    if (!name || !PROFILE_NAME_PATTERN.test(String(name))) {
+      return res.status(400).json({ success: false, error: "name is required (letters, digits, - and _; max 100 characters)" });
+    }
+    const errors = validateProfile({ label, instructions, floor, curve });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; "), errors });
+    }
+    if (getBuiltinProfile(name) || (await getLeniencyProfile(name))) {
+      return res.status(409).json({ success: false, error: `Leniency profile already exists: ${name}` });
+    }
+
+    const profile = await saveLeniencyProfile({ name, label, instructions, floor, curve });
+    res.status(201).json({ success: true, data: profile });
+  } catch (err) {
+    console.error("Failed to create leniency profile:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * PUT /api/leniency-profiles/:name
+ *
+ * Updates a stored profile. Omitted fields keep their value; send null to
+ * clear floor or curve.
+ * JSON body: { instructions?, label?, floor?, curve? }
+ */
+router.put("/leniency-profiles/:name", rejectBuiltin, requireDb, async (req, res) => {
+  try {
+    const existing = await getLeniencyProfile(req.params.name);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: `Unknown leniency profile: ${req.params.name}` });
+    }
+
+    const { label, instructions, floor, curve } = req.body || {};
+    const errors = validateProfile({ label, instructions, floor, curve }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; "), errors });
+    }
+
+    const profile = await saveLeniencyProfile({
+      name: existing.name,
+      label: label !== undefined ? label : existing.label,
+      instructions: instructions || existing.instructions,
+      floor: floor !== undefined ? floor : existing.floor,
+      curve: curve !== undefined ? curve : existing.curve,
+    });
+    res.json({ success: true, data: profile });
+  } catch (err) {
+    console.error("Failed to update leniency profile:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/leniency-profiles/:name
+ *
+ * Deletes a stored profile. Saved results keep the profile name they were graded with.
+ */
+router.delete("/leniency-profiles/:name", rejectBuiltin, requireDb, async (req, res) => {
+  try {
+    const deleted = await deleteLeniencyProfile(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `Unknown leniency profile: ${req.params.name}` });
+    }
+    res.json({ success: true, message: "Leniency profile deleted" });
+  } catch (err) {
+    console.error("Failed to delete leniency profile:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
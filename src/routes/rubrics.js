@@ -0,0 +1,181 @@
+const express = require("express");
+
+const {
+  isDbAvailable,
+  listRubrics,
+  getRubricVersions,
+  createRubricVersion,
+  deleteRubric,
+  getLatestRubric,
+} = require("../db");
+const {
+  RUBRIC_ID_PATTERN,
+  normalizeTags,
+  validateLibraryRubric,
+  resolveRubric,
+} = require("../services/rubricLibrary");
+
+const router = express.Router();
+
+/**
+ * The rubric library lives in MySQL — answer 503 when it isn't connected
+ */
+function requireDb(_req, res, next) {
+  if (!isDbAvailable()) {
+    return res.status(503).json({
+      success: false,
+      error: "The rubric library needs the database. Check MySQL connection settings in .env",
+    });
+  }
+  next();
+}
+
+/**
+ * GET /api/rubrics
+ *
+ * Lists the latest version of every library rubric (without the rubric
+ * itself). `?tag=` keeps rubrics with that tag.
+ */
+router.get("/rubrics", async (req, res) => {
+  try {
+    if (!isDbAvailable()) {
+      return res.json({ success: true, data: [], dbOffline: true });
+    }
+    const tag = req.query.tag ? String(req.query.tag).trim().toLowerCase() : null;
+    res.json({ success: true, data: await listRubrics({ tag }) });
+  } catch (err) {
+    console.error("Failed to list rubrics:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/rubrics/:id
+ *
+ * Returns a library rubric (latest version, or ?version=N) with its version history.
+ */
+router.get("/rubrics/:id", requireDb, async (req, res) => {
+  try {
+    let stored;
+    try {
+      stored = await resolveRubric(req.params.id, req.query.version);
+    } catch (err) {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    const versions = await getRubricVersions(stored.id);
+    res.json({ success: true, data: { ...stored, versions } });
+  } catch (err) {
+    console.error("Failed to fetch rubric:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/rubrics
+ *
+ * Adds a rubric to the library (version 1). The rubric is validated and
+ * stored normalized, as POST /api/rubric/validate would return it; rubrics
+ * with validation errors are rejected.
+ * JSON body: { id, name, rubric, description?, tags? }
+ */
+router.post("/rubrics", requireDb, async (req, res) => {
+  try {
+    const { id, name, description, rubric } = req.body || {};
+    if (!id || !RUBRIC_ID_PATTERN.test(String(id))) {
+      return res.status(400).json({ success: false, error: "id is required (letters, digits, - and _; max 100 characters)" });
+    }
+
+    let tags;
+    try {
+      tags = normalizeTags(req.body.tags);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    const check = validateLibraryRubric({ name, description, rubric });
+    if (check.errors.length > 0) {
+      return res.status(400).json({ success: false, error: check.errors.join("; "), errors: check.errors, rubric_validation: check.report });
+    }
+    if (await getLatestRubric(id)) {
+      return res.status(409).json({ success: false, error: `Rubric already exists: ${id} (use PUT to add a version)` });
+    }
+
+    const stored = await createRubricVersion({ id, version: 1, name: name.trim(), description, tags, rubric: check.rubric });
+    res.status(201).json({ success: true, data: stored, rubric_validation: check.report });
+  } catch (err) {
+    // Created by a concurrent request between the check above and the insert
+    if (err.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ success: false, error: `Rubric already exists: ${req.body.id} (use PUT to add a version)` });
+    }
+    console.error("Failed to create rubric:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * PUT /api/rubrics/:id
+ *
+ * Saves a new version of a library rubric. Omitted fields are carried over
+ * from the latest version. Earlier versions stay available. Answers 409 when
+ * another update saved a version first (nothing is lost; send it again).
+ * JSON body: { name?, rubric?, description?, tags? }
+ */
+router.put("/rubrics/:id", requireDb, async (req, res) => {
+  try {
+    const latest = await getLatestRubric(req.params.id);
+    if (!latest) {
+      return res.status(404).json({ success: false, error: `Unknown rubric: ${req.params.id}` });
+    }
+
+    const { name, description, rubric, tags } = req.body || {};
+    let newTags;
+    try {
+      newTags = tags !== undefined ? normalizeTags(tags) : latest.tags;
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    const check = validateLibraryRubric({ name, description, rubric }, { partial: true });
+    if (check.errors.length > 0) {
+      return res.status(400).json({ success: false, error: check.errors.join("; "), errors: check.errors, rubric_validation: check.report });
+    }
+
+    const stored = await createRubricVersion({
+      id: latest.id,
+      version: latest.version + 1,
+      name: name ? name.trim() : latest.name,
+      description: description !== undefined ? description : latest.description,
+      tags: newTags,
+      rubric: check.rubric ?? latest.rubric,
+    });
+    res.json({ success: true, data: stored, rubric_validation: check.report || undefined });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({
+        success: false,
+        error: `Rubric ${req.params.id} was changed by another request while saving; reload it and send the update again`,
+      });
+    }
+    console.error("Failed to update rubric:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/rubrics/:id
+ *
+ * Deletes a library rubric and all its versions. Saved results keep the
+ * rubric id and version they were graded with.
+ */
+router.delete("/rubrics/:id", requireDb, async (req, res) => {
+  try {
+    const deleted = await deleteRubric(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `Unknown rubric: ${req.params.id}` });
+    }
+    res.json({ success: true, message: "Rubric deleted" });
+  } catch (err) {
+    console.error("Failed to delete rubric:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require("express");
+
+const {
+  isDbAvailable,
+  listTemplates,
+  getTemplateVersions,
+  createTemplateVersion,
+  deleteTemplate,
+  getLatestTemplate,
+} = require("../db");
+const {
+  DEFAULT_TEMPLATE,
+  DEFAULT_TEMPLATE_ID,
+  TEMPLATE_ID_PATTERN,
+  PLACEHOLDERS,
+  validateTemplate,
+  resolveTemplate,
+} = require("../services/templates");
+
+const router = express.Router();
+
+/**
+ * Stored templates live in MySQL — answer 503 for writes when it isn't connected
+ */
+function requireDb(_req, res, next) {
+  if (!isDbAvailable()) {
+    return res.status(503).json({
+      success: false,
+      error: "Saving templates needs the database. Check MySQL connection settings in .env",
+    });
+  }
+  next();
+}
+
+/**
+ * The built-in template can be read and copied, not changed
+ */
+function rejectBuiltin(req, res, next) {
+  if (req.params.id === DEFAULT_TEMPLATE_ID) {
+    return res.status(400).json({
+      success: false,
+      error: `The "${DEFAULT_TEMPLATE_ID}" template is built in and read-only — create a new template from its body instead`,
+    });
+  }
+  next();
+}
+
+/**
+ * GET /api/templates
+ *
+ * Lists the built-in template and the latest version of every stored
+ * template, plus the placeholders a template body can use.
+ */
+router.get("/templates", async (_req, res) => {
+  try {
+    const builtin = {
+      id: DEFAULT_TEMPLATE.id,
+      version: DEFAULT_TEMPLATE.version,
+      description: DEFAULT_TEMPLATE.description,
+      versions: 1,
+      builtin: true,
+    };
+    const stored = isDbAvailable() ? await listTemplates() : [];
+    res.json({
+      success: true,
+      data: [builtin, ...stored.map((t) => ({ ...t, builtin: false }))],
+      placeholders: PLACEHOLDERS,
+      dbOffline: !isDbAvailable() || undefined,
+    });
+  } catch (err) {
+    console.error("Failed to list templates:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/templates/:id
+ *
+ * Returns a template (latest version, or ?version=N) with its version history.
+ */
+router.get("/templates/:id", async (req, res) => {
+  try {
+    let template;
+    try {
+      template = await resolveTemplate(req.params.id, req.query.version);
+    } catch (err) {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+
+    const versions = template.builtin
+      ? [{ version: template.version, description: template.description }]
+      : await getTemplateVersions(template.id);
+
+    res.json({ success: true, data: { ...template, builtin: Boolean(template.builtin), versions } });
+  } catch (err) {
+    console.error("Failed to fetch template:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/templates
+ *
+ * Creates a template (version 1).
+ * JSON body: { id, body, system?, description? }
+ */
+router.post("/templates", requireDb, async (req, res) => {
+  try {
+    const { id, body, system, description } = req.body || {};
+    if (!id || !TEMPLATE_ID_PATTERN.test(String(id))) {
+      return res.status(400).json({ success: false, error: "id is required (letters, digits, - and _; max 100 characters)" });
+    }
+    if (id === DEFAULT_TEMPLATE_ID) {
+      return res.status(409).json({ success: false, error: `Template already exists: ${id}` });
+    }
+    const errors = validateTemplate({ body, system, description });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; "), errors });
+    }
+    if (await getLatestTemplate(id)) {
+      return res.status(409).json({ success: false, error: `Template already exists: ${id} (use PUT to add a version)` });
+    }
+
+    const template = await createTemplateVersion({ id, body, system, description });
+    res.status(201).json({ success: true, data: template });
+  } catch (err) {
+    console.error("Failed to create template:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * PUT /api/templates/:id
+ *
+ * Saves a new version of a template. Omitted fields are carried over from
+ * the latest version. Earlier versions stay available.
+ * JSON body: { body?, system?, description? }
+ */
+router.put("/templates/:id", rejectBuiltin, requireDb, async (req, res) => {
+  try {
+    const latest = await getLatestTemplate(req.params.id);
+    if (!latest) {
+      return res.status(404).json({ success: false, error: `Unknown template: ${req.params.id}` });
+    }
+
+    const { body, system, description } = req.body || {};
+    const errors = validateTemplate({ body, system, description }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; "), errors });
+    }
+
+    const template = await createTemplateVersion({
+      id: latest.id,
+      body: body || latest.body,
+      system: system !== undefined ? system : latest.system,
+      description: description !== undefined ? description : latest.description,
+    });
+    res.json({ success: true, data: template });
+  } catch (err) {
+    console.error("Failed to update template:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/templates/:id
+ *
+ * Deletes a template and all its versions. Saved results keep the template
+ * id and version they were graded with.
+ */
+router.delete("/templates/:id", rejectBuiltin, requireDb, async (req, res) => {
+  try {
+    const deleted = await deleteTemplate(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `Unknown template: ${req.params.id}` });
+    }
+    res.json({ success: true, message: "Template deleted" });
+  } catch (err) {
+    console.error("Failed to delete template:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
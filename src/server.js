@@ -4,7 +4,15 @@ const cors = require("cors");
 const path = require("path");
 const fs = require("fs");
 const gradingRoutes = require("./routes/grading");
+const jobRoutes = require("./routes/jobs");
+const templateRoutes = require("./routes/templates");
+const leniencyRoutes = require("./routes/leniency");
+const rubricRoutes = require("./routes/rubrics");
+const assignmentRoutes = require("./routes/assignments");
 const { initDb } = require("./db");
+const { startJobWorker } = require("./services/jobQueue");
+const { describeBackends } = require("./services/backends");
+const { getSupportedExtensions } = require("./utils/fileParsers");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,25 +33,60 @@ app.use(express.static(path.join(__dirname, "../public")));
 
 // Routes
 app.use("/api", gradingRoutes);
+app.use("/api", jobRoutes);
+app.use("/api", templateRoutes);
+app.use("/api", leniencyRoutes);
+app.use("/api", rubricRoutes);
+app.use("/api", assignmentRoutes);
 
 // API info endpoint
 app.get("/api/info", (_req, res) => {
   res.json({
     name: "Checker — AI Grading API",
     version: "1.0.0",
-    description: "AI-powered student grading API using Ollama",
+    description: "AI-powered student grading API using Ollama or other model backends",
     endpoints: {
       "POST   /api/grade": "Grade a single submission (files, text, or JSON body)",
-      "POST   /api/prompt": "Generate the grading prompt only (no Ollama call)",
-      "POST   /api/grade/batch": "Grade multiple submissions (file upload)",
-      "GET    /api/results": "List grading history (?limit=&offset=)",
+      "POST   /api/prompt": "Generate the grading prompt only (no model call)",
+      "POST   /api/grade/batch": "Grade multiple submissions (file upload) — queued as a job when MySQL is available",
+      "GET    /api/jobs": "List batch grading jobs",
+      "GET    /api/jobs/:id": "Get a job's per-submission status (?stream=1 for live progress)",
+      "POST   /api/jobs/:id/cancel": "Cancel a queued or running job",
+      "POST   /api/jobs/:id/retry-failed": "Re-queue a job's failed submissions",
+      "GET    /api/results": "List grading history (?limit=&offset=&assignmentId=&needsReview=)",
       "GET    /api/results/:id": "Get a single grading result",
+      "GET    /api/results/:id/similar": "Results similar to this one (possible plagiarism)",
       "DELETE /api/results/:id": "Delete a grading result",
-      "GET    /api/rubric/sample": "Get a sample rubric template",
+      "GET    /api/assignments": "List assignments with their result counts",
+      "GET    /api/assignments/:id": "Get an assignment's instructions, rubric and settings",
+      "POST   /api/assignments": "Create an assignment (files, text, or JSON body)",
+      "PUT    /api/assignments/:id": "Update an assignment",
+      "DELETE /api/assignments/:id": "Delete an assignment (its results are kept)",
+      "POST   /api/assignments/:id/grade": "Grade a submission against an assignment",
+      "POST   /api/assignments/:id/grade/batch": "Grade multiple submissions against an assignment",
+      "GET    /api/assignments/:id/results": "List an assignment's grading results",
+      "GET    /api/templates": "List prompt templates and available placeholders",
+      "GET    /api/templates/:id": "Get a prompt template (?version=) with its versions",
+      "POST   /api/templates": "Create a prompt template",
+      "PUT    /api/templates/:id": "Save a new version of a prompt template",
+      "DELETE /api/templates/:id": "Delete a prompt template",
+      "GET    /api/leniency-profiles": "List leniency profiles (built-in and stored)",
+      "GET    /api/leniency-profiles/:name": "Get a leniency profile",
+      "POST   /api/leniency-profiles": "Create a leniency profile (instructions, optional floor/curve)",
+      "PUT    /api/leniency-profiles/:name": "Update a stored leniency profile",
+      "DELETE /api/leniency-profiles/:name": "Delete a stored leniency profile",
+      "GET    /api/rubrics": "List library rubrics (?tag=)",
+      "GET    /api/rubrics/:id": "Get a library rubric (?version=) with its versions",
+      "POST   /api/rubrics": "Add a rubric to the library",
+      "PUT    /api/rubrics/:id": "Save a new version of a library rubric",
+      "DELETE /api/rubrics/:id": "Delete a library rubric",
+      "GET    /api/rubric/sample": "Get a sample rubric template (?type=analytic for performance levels)",
+      "POST   /api/rubric/validate": "Validate and normalize a rubric (file or text)",
       "GET    /api/supported-formats": "List supported file formats",
-      "GET    /api/health": "Health check (Ollama connection)",
+      "GET    /api/health": "Health check (all registered model backends)",
     },
-    supportedFiles: [".txt", ".pdf", ".docx", ".doc", ".xlsx", ".xls", ".ods", ".md", ".csv", ".json"],
+    backends: describeBackends(),
+    supportedFiles: getSupportedExtensions(),
   });
 });
 
@@ -64,7 +107,12 @@ app.use((err, _req, res, _next) => {
 
 // Initialize database, then start server
 initDb()
-  .then(() => {
+  .then(async () => {
+    try {
+      await startJobWorker();
+    } catch (err) {
+      console.warn(`  WARNING: Job queue could not start — ${err.message}`);
+    }
     startServer();
   })
   .catch((err) => {
@@ -0,0 +1,191 @@
+/**
+ * Analytic rubrics: criteria with performance levels instead of a free score.
+ *
+ *   "Thesis": {
+ *     "description": "Clarity and strength of the central claim",
+ *     "levels": [
+ *       { "name": "Exemplary", "points": 10, "descriptor": "Precise, arguable thesis that frames the whole paper" },
+ *       { "name": "Proficient", "points": 8, "descriptor": "Clear thesis, somewhat broad" },
+ *       ...
+ *     ]
+ *   }
+ *
+ * The model picks a level and justifies it; the criterion's points are then
+ * taken from the level, never from the model. max_points defaults to the
+ * highest level's points.
+ */
+
+/**
+ * A criterion's levels as [{ name, points, descriptor }], or null when it has
+ * no usable levels. Entries without a name or numeric points are skipped.
+ */
+function getLevels(criterion) {
+  if (!criterion || typeof criterion !== "object" || !Array.isArray(criterion.levels)) return null;
+  const levels = criterion.levels
+    .filter((l) => l && typeof l === "object" && typeof l.name === "string" && l.name.trim() && typeof l.points === "number")
+    .map((l) => ({ name: l.name.trim(), points: l.points, descriptor: l.descriptor ?? l.description ?? "" }));
+  return levels.length > 0 ? levels : null;
+}
+
+/**
+ * Check if a rubric has at least one criterion with levels
+ */
+function isAnalyticRubric(rubric) {
+  if (typeof rubric !== "object" || rubric === null || Array.isArray(rubric)) return false;
+  return Object.values(rubric).some((c) => getLevels(c));
+}
+
+/**
+ * A criterion's max_points: as given, else the highest level's points (null if neither)
+ */
+function criterionMaxPoints(criterion) {
+  if (!criterion || typeof criterion !== "object") return null;
+  if (typeof criterion.max_points === "number") return criterion.max_points;
+  const levels = getLevels(criterion);
+  return levels ? Math.max(...levels.map((l) => l.points)) : null;
+}
+
+/**
+ * Copy of a rubric where every criterion with levels has max_points filled
+ * in and its levels normalized. Other rubrics are returned unchanged.
+ */
+function withLevelPoints(rubric) {
+  if (!isAnalyticRubric(rubric)) return rubric;
+  return Object.fromEntries(
+    Object.entries(rubric).map(([name, criterion]) => {
+      const levels = getLevels(criterion);
+      if (!levels) return [name, criterion];
+      return [name, { ...criterion, max_points: criterionMaxPoints(criterion), levels }];
+    })
+  );
+}
+
+/**
+ * Find a level by name (case- and whitespace-insensitive)
+ */
+function findLevel(levels, name) {
+  if (typeof name !== "string") return null;
+  const wanted = name.trim().toLowerCase();
+  return levels.find((l) => l.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * The level whose points are nearest `score`; halfway between two levels, the lower one
+ */
+function nearestLevel(levels, score) {
+  return levels.reduce((best, l) => {
+    const d = Math.abs(l.points - score);
+    const bestD = Math.abs(best.points - score);
+    return d < bestD || (d === bestD && l.points < best.points) ? l : best;
+  });
+}
+
+/**
+ * Set the score of every leveled criterion in `results.rubric_breakdown` from
+ * its chosen level (in place). A missing or unknown level falls back to the
+ * level nearest the model's score, marked `level_inferred: true`; without a
+ * score either, the criterion is left as is. With `fromScore` (ensemble
+ * results, whose score is the runs' median or mean) the level nearest the
+ * score is used whatever `level` says. Returns the results.
+ */
+function applyRubricLevels(results, rubric, { fromScore = false } = {}) {
+  if (!results || results.parse_error || !results.rubric_breakdown || !isAnalyticRubric(rubric)) return results;
+
+  for (const [name, criterion] of Object.entries(rubric)) {
+    const levels = getLevels(criterion);
+    const entry = results.rubric_breakdown[name];
+    if (!levels || !entry || typeof entry !== "object") continue;
+
+    let level = fromScore ? null : findLevel(levels, entry.level);
+    let inferred = false;
+    if (!level && typeof entry.score === "number") {
+      const scale = typeof entry.max_points === "number" && entry.max_points > 0 ? criterionMaxPoints(criterion) / entry.max_points : 1;
+      level = nearestLevel(levels, entry.score * scale);
+      inferred = !fromScore;
+    }
+    if (!level) continue;
+
+    entry.level = level.name;
+    entry.score = level.points;
+    entry.max_points = criterionMaxPoints(criterion);
+    if (inferred) entry.level_inferred = true;
+    else delete entry.level_inferred;
+  }
+  return results;
+}
+
+/**
+ * Format a criterion's levels for a prompt, highest points first
+ */
+function formatLevels(levels) {
+  return [...levels]
+    .sort((a, b) => b.points - a.points)
+    .map((l) => `  - "${l.name}" (${l.points} pts)${l.descriptor ? `: ${l.descriptor}` : ""}`)
+    .join("\n");
+}
+
+/**
+ * Sample analytic rubric (four-level grid)
+ */
+function generateAnalyticSampleRubric() {
+  const grid = (exemplary, proficient, developing, beginning, max) => [
+    { name: "Exemplary", points: max, descriptor: exemplary },
+    { name: "Proficient", points: Math.round(max * 0.8 * 2) / 2, descriptor: proficient },
+    { name: "Developing", points: Math.round(max * 0.6 * 2) / 2, descriptor: developing },
+    { name: "Beginning", points: Math.round(max * 0.3 * 2) / 2, descriptor: beginning },
+  ];
+
+  return {
+    "Thesis & Argument": {
+      description: "Clarity and strength of the central claim",
+      levels: grid(
+        "Precise, arguable thesis that frames the whole work; every section advances it",
+        "Clear thesis; most sections support it, with minor drift",
+        "Thesis is present but vague or only partly supported",
+        "No identifiable thesis, or the work does not argue one",
+        30
+      ),
+    },
+    "Evidence & Analysis": {
+      description: "Use of sources and examples to support the argument",
+      levels: grid(
+        "Relevant, well-chosen evidence throughout, analyzed rather than just summarized",
+        "Adequate evidence with some analysis; a few claims unsupported",
+        "Limited evidence, mostly summary with little analysis",
+        "Little or no evidence; claims are asserted",
+        30
+      ),
+    },
+    Organization: {
+      description: "Structure and flow of the work",
+      levels: grid(
+        "Logical structure with clear introduction, smooth transitions and a strong conclusion",
+        "Mostly logical structure; occasional abrupt transitions",
+        "Some structure, but ordering or paragraphing often obscures the argument",
+        "No discernible structure",
+        20
+      ),
+    },
+    "Writing Mechanics": {
+      description: "Grammar, style, and citation format",
+      levels: grid(
+        "Virtually error-free, appropriate academic tone, consistent citations",
+        "Few errors that do not impede reading; citations mostly consistent",
+        "Frequent errors that sometimes impede reading; inconsistent citations",
+        "Pervasive errors; citations missing",
+        20
+      ),
+    },
+  };
+}
+
+module.exports = {
+  getLevels,
+  isAnalyticRubric,
+  criterionMaxPoints,
+  withLevelPoints,
+  findLevel,
+  applyRubricLevels,
+  formatLevels,
+  generateAnalyticSampleRubric,
+};
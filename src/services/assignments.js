@@ -0,0 +1,115 @@
+/**
+ * Assignments: instructions, rubric, notes and grading settings stored once
+ * (MySQL, table `assignments`) so submissions can be graded against them
+ * with POST /api/assignments/:id/grade and grouped by assignment afterwards.
+ *
+ * An assignment is { id, name, instructions, rubric, rubricId, rubricVersion,
+ * note, answerKey, maxScore, leniency, model, backend, options } where `rubric` is an
+ * inline rubric and rubricId / rubricVersion a library rubric (version null:
+ * the latest at grading time). `options` holds any other /api/grade fields.
+ */
+
+/** Other /api/grade fields an assignment can store, as sent in a request */
+const ASSIGNMENT_OPTION_FIELDS = [
+  "template",
+  "templateVersion",
+  "mode",
+  "parallelism",
+  "contextSize",
+  "postProcessing",
+  "runs",
+  "models",
+  "aggregate",
+  "reviewThreshold",
+  "strictRubric",
+  "spreadsheetMode",
+  "injectionCheck",
+];
+
+function isSet(value) {
+  return value != null && value !== "";
+}
+
+/**
+ * The option fields a request sets
+ */
+function pickAssignmentOptions(body) {
+  return Object.fromEntries(ASSIGNMENT_OPTION_FIELDS.filter((key) => isSet(body[key])).map((key) => [key, body[key]]));
+}
+
+/**
+ * Check an assignment's fields. Returns a list of problems (empty when
+ * valid). `partial` allows omitting (not clearing) required fields, for updates.
+ */
+function validateAssignment({ name, instructions, answerKey, maxScore, rubricVersion } = {}, { partial = false } = {}) {
+  const errors = [];
+
+  if (!isSet(name)) {
+    if (!partial || name !== undefined) errors.push("name is required");
+  } else if (typeof name !== "string" || !name.trim()) {
+    errors.push("name must be a non-empty string");
+  } else if (name.length > 255) {
+    errors.push("name must be at most 255 characters");
+  }
+
+  if (!isSet(instructions)) {
+    if (!partial || instructions !== undefined) errors.push("instructions are required (provide a file or text)");
+  } else if (typeof instructions !== "string") {
+    errors.push("instructions must be text");
+  }
+  if (isSet(answerKey) && typeof answerKey !== "string") errors.push("answerKey must be text");
+
+  if (isSet(maxScore)) {
+    const value = Number(maxScore);
+    if (!Number.isInteger(value) || value < 1) errors.push("maxScore must be a positive integer");
+  }
+  if (isSet(rubricVersion)) {
+    const value = Number(rubricVersion);
+    if (!Number.isInteger(value) || value < 1) errors.push("rubricVersion must be a positive integer");
+  }
+
+  return errors;
+}
+
+/**
+ * Request body for grading a submission of an assignment: the assignment's
+ * settings, overridden by every field the request sets. A rubric in the
+ * request (file, text or rubricId) replaces the assignment's rubric, and an
+ * instructions or answer key file its instructions or answer key; note files
+ * are added to its note.
+ */
+function applyAssignment(body, files, assignment) {
+  const merged = { ...assignment.options };
+  const defaults = {
+    instructions: files?.instructions?.length ? null : assignment.instructions,
+    note: assignment.note,
+    answerKey: files?.answerKey?.length ? null : assignment.answerKey,
+    maxScore: assignment.maxScore,
+    leniency: assignment.leniency,
+    model: assignment.model,
+    backend: assignment.backend,
+  };
+
+  const requestRubric = files?.rubric?.length || isSet(body.rubric) || isSet(body.rubricId);
+  if (!requestRubric && assignment.rubricId) {
+    defaults.rubricId = assignment.rubricId;
+    defaults.rubricVersion = assignment.rubricVersion;
+  } else if (!requestRubric) {
+    defaults.rubric = assignment.rubric;
+  }
+
+  for (const [key, value] of Object.entries(defaults)) {
+    if (isSet(value)) merged[key] = value;
+  }
+  for (const [key, value] of Object.entries(body)) {
+    if (isSet(value)) merged[key] = value;
+  }
+  return merged;
+}
+
+module.exports = {
+  ASSIGNMENT_OPTION_FIELDS,
+  pickAssignmentOptions,
+  validateAssignment,
+  applyAssignment,
+};
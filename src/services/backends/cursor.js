@@ -0,0 +1,197 @@
+const { spawn } = require("child_process");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const { createLimiter, createAbortError } = require("../../utils/limiter");
+
+/** Cursor agent binary (default: `agent` on PATH) */
+const CURSOR_BIN = process.env.CURSOR_CLI_PATH || "agent";
+
+/** Kill a run that takes longer than this (default 5 minutes) */
+const CURSOR_TIMEOUT_MS = parseInt(process.env.CURSOR_TIMEOUT_MS) || 300000;
+
+/** Max simultaneous Cursor CLI processes; extra runs wait their turn */
+const CURSOR_MAX_CONCURRENCY = parseInt(process.env.CURSOR_MAX_CONCURRENCY) || 2;
+
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024; // 10 MB
+
+/** Prompt budget in tokens */
+const CURSOR_CONTEXT_TOKENS = parseInt(process.env.CURSOR_CONTEXT_TOKENS) || 30000;
+
+/**
+ * Largest prompt passed as an argv entry, in bytes: Linux caps a single
+ * argument at 128 KiB including its terminating NUL. The token budget counts
+ * characters, so non-ASCII text or a repair transcript can go over this;
+ * longer prompts are handed to the agent in a file (see getCompletionFromCursor).
+ */
+const MAX_ARG_BYTES = 128 * 1024 - 1;
+
+const limit = createLimiter(CURSOR_MAX_CONCURRENCY);
+
+/**
+ * Flatten a chat transcript into a single prompt for the CLI.
+ * A lone user message is passed through unchanged.
+ */
+function messagesToPrompt(messages) {
+  if (messages.length === 1) return messages[0].content;
+  return messages.map((m) => `[${m.role.toUpperCase()}]\n${m.content}`).join("\n\n");
+}
+
+/**
+ * Run Cursor CLI agent with a prompt as an async child process.
+ * Command: agent -p "<COMMAND/PROMPT>" --output-format text
+ * The prompt is passed as a single argv entry (no shell), so no escaping is needed.
+ * stdout is streamed to `onToken` as it arrives; the process is killed when
+ * `signal` aborts or the timeout elapses.
+ */
+function runCursorAgent(prompt, { signal, onToken } = {}) {
+  if (signal?.aborted) return Promise.reject(createAbortError("Cursor CLI run cancelled"));
+
+  return new Promise((resolve, reject) => {
+    console.log(`[Cursor CLI] ${CURSOR_BIN} -p <${prompt.length} chars> --output-format text`);
+
+    const child = spawn(CURSOR_BIN, ["-p", prompt, "--output-format", "text"], {
+      env: process.env,
+      cwd: process.cwd(),
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    let stdout = "";
+    let stderr = "";
+    let killReason = null;
+    let killTimer = null;
+
+    const kill = (reason) => {
+      if (killReason || child.exitCode !== null) return;
+      killReason = reason;
+      child.kill("SIGTERM");
+      // Escalate if the CLI ignores SIGTERM
+      killTimer = setTimeout(() => child.kill("SIGKILL"), 5000);
+      killTimer.unref();
+    };
+
+    const timeout = setTimeout(() => kill("timeout"), CURSOR_TIMEOUT_MS);
+    const onAbort = () => kill("cancelled");
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    child.stdout.setEncoding("utf-8");
+    child.stdout.on("data", (chunk) => {
+      if (stdout.length + chunk.length > MAX_OUTPUT_BYTES) {
+        kill("output limit");
+        return;
+      }
+      stdout += chunk;
+      if (onToken) onToken(chunk);
+    });
+
+    child.stderr.setEncoding("utf-8");
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+
+    const finish = () => {
+      clearTimeout(timeout);
+      clearTimeout(killTimer);
+      signal?.removeEventListener("abort", onAbort);
+    };
+
+    child.on("error", (err) => {
+      finish();
+      console.error("[Cursor CLI] failed to start:", err.message);
+      reject(new Error(`Cursor CLI error: ${err.code === "ENOENT" ? `${CURSOR_BIN} not found in PATH` : err.message}`));
+    });
+
+    child.on("close", (code, sig) => {
+      finish();
+
+      if (killReason === "cancelled") {
+        console.log("[Cursor CLI] run cancelled, process killed");
+        return reject(createAbortError("Cursor CLI run cancelled"));
+      }
+
+      const response = stdout.trim();
+      if (code === 0 && !killReason) {
+        console.log("[Cursor CLI] response:", response);
+        return resolve(response);
+      }
+
+      const parts = [
+        killReason ? `killed (${killReason})` : null,
+        code != null ? `exit ${code}` : sig ? `signal ${sig}` : null,
+        stderr.trim() || null,
+        response || null,
+      ].filter(Boolean);
+      const msg = parts.join(" — ");
+      console.error("[Cursor CLI] failed:", msg);
+      reject(new Error(`Cursor CLI error: ${msg}`));
+    });
+  });
+}
+
+/**
+ * Get a completion from the Cursor CLI. Prompts over MAX_ARG_BYTES are
+ * written to a private temp file (removed after the run) and the agent is
+ * told to read and follow it, instead of failing to spawn with E2BIG.
+ */
+async function getCompletionFromCursor(prompt, options = {}) {
+  const bytes = Buffer.byteLength(prompt);
+  if (bytes <= MAX_ARG_BYTES) return runCursorAgent(prompt, options);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checker-cursor-"));
+  try {
+    const file = path.join(dir, "prompt.md");
+    fs.writeFileSync(file, prompt, { mode: 0o600 });
+    console.log(`[Cursor CLI] prompt is ${bytes} bytes, over the ${MAX_ARG_BYTES}-byte argument limit; passing it in ${file}`);
+    return await runCursorAgent(
+      `Your complete task is in the file ${file} (${bytes} bytes). Read the whole file, then do exactly what it asks and reply only in the format it requires. Do not modify any files.`,
+      options
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Look up an executable on PATH without running it
+ */
+function findOnPath(command) {
+  const dirs = (process.env.PATH || "").split(path.delimiter).filter(Boolean);
+  const exts = process.platform === "win32" ? (process.env.PATHEXT || ".EXE").split(";") : [""];
+  for (const dir of dirs) {
+    for (const ext of exts) {
+      const candidate = path.join(dir, command + ext);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Cursor CLI backend — runs the `agent` command and uses its text output.
+ * The model is chosen by Cursor, so the `model` request field is ignored.
+ * Runs go through a shared pool capped at CURSOR_MAX_CONCURRENCY.
+ */
+module.exports = {
+  name: "cursor",
+  label: "Cursor CLI",
+  defaultModel: null,
+  supportsModels: false,
+  supportsSchema: false,
+
+  async chat({ messages, signal, onToken }) {
+    const prompt = messagesToPrompt(messages);
+    return limit(() => getCompletionFromCursor(prompt, { signal, onToken }), signal);
+  },
+
+  async contextSize() {
+    return CURSOR_CONTEXT_TOKENS;
+  },
+
+  async health() {
+    const binary = path.isAbsolute(CURSOR_BIN) ? (fs.existsSync(CURSOR_BIN) ? CURSOR_BIN : null) : findOnPath(CURSOR_BIN);
+    const pool = limit.stats();
+    return binary
+      ? { connected: true, models: [], path: binary, pool }
+      : { connected: false, models: [], pool, error: `Cursor CLI (${CURSOR_BIN}) not found in PATH` };
+  },
+};
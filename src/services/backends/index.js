@@ -0,0 +1,109 @@
+/**
+ * Model backend registry.
+ *
+ * A backend provider is a plain object with this shape:
+ *
+ *   {
+ *     name: "ollama",                 // id used in the `backend` request field
+ *     label: "Ollama",                // human-readable name for the UI
+ *     defaultModel: "llama3.2",       // model used when the request names none (null if not applicable)
+ *     supportsModels: true,           // whether the `model` request field is honoured
+ *     supportsSchema: true,           // whether `format` (a JSON Schema) constrains the output
+ *     chat({ model, messages, options, format, signal, onToken }) -> Promise<string>,
+ *     contextSize(model) -> Promise<number>,   // optional: usable context window in tokens
+ *     health() -> Promise<{ connected, models, error? }>,
+ *   }
+ *
+ * `messages` uses the usual [{ role, content }] chat format and `options` uses
+ * Ollama's option names (temperature, num_predict); providers translate as needed.
+ * Providers that can't enforce `format` ignore it — responses are validated either way.
+ */
+
+const providers = new Map();
+
+/**
+ * Register a backend provider. Re-registering a name replaces the previous provider.
+ */
+function registerBackend(provider) {
+  if (!provider || typeof provider.name !== "string" || typeof provider.chat !== "function") {
+    throw new Error("A backend provider needs a string `name` and a `chat` function");
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * Check whether a backend with the given name is registered
+ */
+function hasBackend(name) {
+  return providers.has(name);
+}
+
+/**
+ * Get a registered backend by name. Throws for unknown names.
+ */
+function getBackend(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown backend: ${name}. Registered backends: ${listBackendNames().join(", ")}`);
+  }
+  return provider;
+}
+
+/**
+ * Names of all registered backends, in registration order
+ */
+function listBackendNames() {
+  return [...providers.keys()];
+}
+
+/**
+ * Public description of every registered backend (for /api/info and the UI)
+ */
+function describeBackends() {
+  return [...providers.values()].map(describe);
+}
+
+function describe(p) {
+  return {
+    name: p.name,
+    label: p.label || p.name,
+    defaultModel: p.defaultModel || null,
+    supportsModels: p.supportsModels !== false,
+    supportsSchema: Boolean(p.supportsSchema),
+  };
+}
+
+/**
+ * Run every backend's health check. Never throws — failures are reported per backend.
+ */
+async function checkBackends() {
+  return Promise.all(
+    [...providers.values()].map(async (p) => {
+      const base = describe(p);
+      if (typeof p.health !== "function") {
+        return { ...base, connected: null, models: [] };
+      }
+      try {
+        const status = await p.health();
+        return { ...base, models: [], ...status };
+      } catch (err) {
+        return { ...base, connected: false, models: [], error: err.message };
+      }
+    })
+  );
+}
+
+// Built-in providers
+registerBackend(require("./ollama"));
+registerBackend(require("./cursor"));
+registerBackend(require("./openaiCompatible"));
+
+module.exports = {
+  registerBackend,
+  hasBackend,
+  getBackend,
+  listBackendNames,
+  describeBackends,
+  checkBackends,
+};
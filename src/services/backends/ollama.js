@@ -0,0 +1,78 @@
+const { Ollama } = require("ollama");
+const { createAbortError } = require("../../utils/limiter");
+
+const ollama = new Ollama();
+
+/**
+ * Context window requested from Ollama (num_ctx). Ollama's own default is much
+ * smaller than most models support, so grading calls ask for this explicitly.
+ */
+const OLLAMA_NUM_CTX = parseInt(process.env.OLLAMA_NUM_CTX) || 8192;
+
+const contextCache = new Map();
+
+/**
+ * Ollama backend — the default local model server.
+ */
+module.exports = {
+  name: "ollama",
+  label: "Ollama",
+  defaultModel: "llama3.2",
+  supportsModels: true,
+  supportsSchema: true,
+
+  /**
+   * Responses are always streamed so tokens can be forwarded to `onToken`
+   * and the request can be aborted mid-generation. `format` (a JSON Schema)
+   * constrains the output to that schema. num_ctx defaults to contextSize(model).
+   */
+  async chat({ model, messages, options = {}, format, signal, onToken }) {
+    if (signal?.aborted) throw createAbortError("Ollama request cancelled");
+
+    const numCtx = options.num_ctx || (await this.contextSize(model));
+    const stream = await ollama.chat({ model, messages, options: { ...options, num_ctx: numCtx }, format, stream: true });
+    const onAbort = () => stream.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    let content = "";
+    try {
+      for await (const part of stream) {
+        const token = part.message?.content || "";
+        content += token;
+        if (token && onToken) onToken(token);
+      }
+    } catch (err) {
+      if (signal?.aborted) throw createAbortError("Ollama request cancelled");
+      throw err;
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+    }
+    return content;
+  },
+
+  /**
+   * Usable context size in tokens: OLLAMA_NUM_CTX, capped by the model's own
+   * context_length when Ollama reports it.
+   */
+  async contextSize(model) {
+    if (contextCache.has(model)) return contextCache.get(model);
+    let size = OLLAMA_NUM_CTX;
+    try {
+      const info = await ollama.show({ model });
+      const key = Object.keys(info.model_info || {}).find((k) => k.endsWith(".context_length"));
+      if (key && info.model_info[key] > 0) size = Math.min(size, info.model_info[key]);
+    } catch {
+      // model unknown or Ollama unreachable — the chat call will report it
+    }
+    contextCache.set(model, size);
+    return size;
+  },
+
+  async health() {
+    const models = await ollama.list();
+    return {
+      connected: true,
+      models: models.models.map((m) => m.name),
+    };
+  },
+};
@@ -0,0 +1,135 @@
+/**
+ * OpenAI-compatible backend — any server exposing /v1/chat/completions
+ * (llama.cpp server, vLLM, LM Studio, ...).
+ *
+ * Configured via env:
+ *   OPENAI_COMPAT_BASE_URL  base URL including /v1 (default http://localhost:8080/v1)
+ *   OPENAI_COMPAT_API_KEY   optional bearer token
+ *   OPENAI_COMPAT_MODEL     default model name (default "default")
+ *   OPENAI_COMPAT_CONTEXT   server context size in tokens (default 8192)
+ */
+
+const DEFAULT_BASE_URL = "http://localhost:8080/v1";
+
+function baseUrl() {
+  return (process.env.OPENAI_COMPAT_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+}
+
+function headers() {
+  const h = { "Content-Type": "application/json" };
+  if (process.env.OPENAI_COMPAT_API_KEY) {
+    h.Authorization = `Bearer ${process.env.OPENAI_COMPAT_API_KEY}`;
+  }
+  return h;
+}
+
+/**
+ * fetch() against the configured base URL
+ */
+function request(urlPath, init = {}) {
+  return fetch(`${baseUrl()}${urlPath}`, { ...init, headers: headers() });
+}
+
+/**
+ * Throw an error carrying the server's message for non-2xx responses
+ */
+async function assertOk(res) {
+  if (res.ok) return;
+  const body = await res.text();
+  let message = body;
+  try {
+    message = JSON.parse(body).error?.message || body;
+  } catch {
+    // keep raw body
+  }
+  throw new Error(`OpenAI-compatible backend error: HTTP ${res.status}${message ? ` — ${message}` : ""}`);
+}
+
+/**
+ * Read a `stream: true` chat completion (server-sent events), forwarding each
+ * content delta to `onToken`. Returns the full message text.
+ */
+async function readStream(res, onToken) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let content = "";
+
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return content;
+      try {
+        const token = JSON.parse(data).choices?.[0]?.delta?.content || "";
+        content += token;
+        if (token && onToken) onToken(token);
+      } catch {
+        // ignore keep-alive or malformed lines
+      }
+    }
+  }
+  return content;
+}
+
+module.exports = {
+  name: "openai",
+  label: "OpenAI-compatible",
+  get defaultModel() {
+    return process.env.OPENAI_COMPAT_MODEL || "default";
+  },
+  supportsModels: true,
+  supportsSchema: true,
+
+  /**
+   * Streams when an `onToken` callback is given; `signal` aborts the HTTP request.
+   * `format` (a JSON Schema) is sent as a json_schema response_format,
+   * non-strict: strict mode rejects the grading schemas (open-ended
+   * rubric_breakdown keys, minLength, minProperties), and replies are
+   * validated against the schema here anyway.
+   */
+  async chat({ model, messages, options = {}, format, signal, onToken }) {
+    const payload = { model, messages, stream: Boolean(onToken) };
+    if (options.temperature != null) payload.temperature = options.temperature;
+    if (options.num_predict != null) payload.max_tokens = options.num_predict;
+    if (format) {
+      payload.response_format = {
+        type: "json_schema",
+        json_schema: { name: "grading_result", strict: false, schema: format },
+      };
+    }
+
+    const res = await request("/chat/completions", {
+      method: "POST",
+      body: JSON.stringify(payload),
+      signal,
+    });
+    await assertOk(res);
+
+    if (payload.stream) return readStream(res, onToken);
+
+    const data = await res.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== "string") {
+      throw new Error("OpenAI-compatible backend returned no message content");
+    }
+    return content;
+  },
+
+  async contextSize() {
+    return parseInt(process.env.OPENAI_COMPAT_CONTEXT) || 8192;
+  },
+
+  async health() {
+    const res = await request("/models", { signal: AbortSignal.timeout(5000) });
+    await assertOk(res);
+    const data = await res.json();
+    return {
+      connected: true,
+      models: (data.data || []).map((m) => m.id),
+    };
+  },
+};
@@ -0,0 +1,190 @@
+/**
+ * Helpers for grading submissions that don't fit in the model's context window:
+ * token estimation, chunking, and the evidence-note prompts used to condense
+ * each chunk before the final grade (map-reduce).
+ */
+
+const { fenceSubmission } = require("./promptInjection");
+
+/** Rough characters-per-token ratio for English prose and code */
+const CHARS_PER_TOKEN = 4;
+
+/** Tokens kept free for the model's reply on the final grading call */
+const RESPONSE_RESERVE_TOKENS = 4096;
+
+/** Tokens kept free for the reply on each evidence-extraction call */
+const EVIDENCE_RESERVE_TOKENS = 1536;
+
+const FILE_HEADER = /--- File: (.+?) ---/g;
+
+/**
+ * JSON Schema for one chunk's evidence notes
+ */
+const EVIDENCE_SCHEMA = {
+  type: "object",
+  required: ["notes"],
+  properties: {
+    notes: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["criterion", "evidence"],
+        properties: {
+          criterion: { type: "string", minLength: 1 },
+          evidence: { type: "string", minLength: 1 },
+          quote: { type: "string" },
+        },
+      },
+    },
+    summary: { type: "string" },
+  },
+};
+
+/**
+ * Estimate the token count of a string (no tokenizer — a deliberate overestimate is fine)
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split a string on a separator, keeping the separator at the start of each following piece
+ */
+function splitKeeping(text, separator) {
+  const parts = text.split(separator);
+  return parts.map((p, i) => (i === 0 ? p : separator + p)).filter((p) => p.length > 0);
+}
+
+/**
+ * Break a segment into pieces no longer than maxChars, preferring file
+ * boundaries, then paragraphs, then lines, then sentences, then a hard cut.
+ */
+function segment(text, maxChars, separators = ["\n--- File: ", "\n\n", "\n", ". "]) {
+  if (text.length <= maxChars) return [text];
+
+  for (let i = 0; i < separators.length; i++) {
+    const parts = splitKeeping(text, separators[i]);
+    if (parts.length > 1) {
+      return parts.flatMap((p) => segment(p, maxChars, separators.slice(i + 1)));
+    }
+  }
+
+  const pieces = [];
+  for (let i = 0; i < text.length; i += maxChars) pieces.push(text.slice(i, i + maxChars));
+  return pieces;
+}
+
+/**
+ * Split a submission into contiguous chunks of at most `maxTokens` (estimated).
+ * Each chunk records its character range and the source files it covers
+ * (from the `--- File: name ---` headers added for multi-file submissions).
+ */
+function splitIntoChunks(text, maxTokens) {
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+
+  const headers = [...text.matchAll(FILE_HEADER)].map((m) => ({ index: m.index, name: m[1] }));
+  const chunks = [];
+  let current = "";
+  let start = 0;
+
+  const flush = () => {
+    if (!current) return;
+    const end = start + current.length;
+    const before = headers.filter((h) => h.index <= start).pop();
+    const inside = headers.filter((h) => h.index > start && h.index < end).map((h) => h.name);
+    const files = [...new Set([...(before ? [before.name] : []), ...inside])];
+    chunks.push({ text: current, start, end, files });
+    start = end;
+    current = "";
+  };
+
+  for (const piece of segment(text, maxChars)) {
+    if (current.length + piece.length > maxChars) flush();
+    current += piece;
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Describe what the evidence notes should be tied to: rubric criterion names
+ * for structured rubrics, otherwise the rubric text or the instructions.
+ */
+function describeCriteria(rubric) {
+  if (rubric && typeof rubric === "object" && !Array.isArray(rubric)) {
+    const names = Object.keys(rubric);
+    if (names.length > 0) {
+      return `RUBRIC CRITERIA:\n${names
+        .map((n) => {
+          const c = rubric[n];
+          return `- ${n}${c && c.description ? `: ${c.description}` : ""}`;
+        })
+        .join("\n")}`;
+    }
+  }
+  if (rubric) return `GRADING RUBRIC:\n${typeof rubric === "string" ? rubric : JSON.stringify(rubric, null, 2)}`;
+  return "No rubric was provided — tie notes to the requirements in the assignment instructions.";
+}
+
+/**
+ * Build the prompt that condenses one chunk into rubric-tied evidence notes
+ */
+function buildEvidencePrompt({ chunk, index, total, rubric, instructions }) {
+  const files = chunk.files.length > 0 ? ` (files: ${chunk.files.join(", ")})` : "";
+
+  return `You are helping grade a long student submission that has been split into ${total} parts. This is part ${index + 1} of ${total}${files}.
+Do NOT grade. Extract evidence notes a grader will use to score the full submission.
+
+ASSIGNMENT INSTRUCTIONS:
+${instructions}
+
+${describeCriteria(rubric)}
+
+SUBMISSION PART ${index + 1} OF ${total}:
+${fenceSubmission(chunk.text)}
+---
+For each rubric criterion (or instruction requirement) this part provides evidence for, write notes that:
+- State what the student did, with specific values, names, numbers, or results.
+- Include a short verbatim "quote" from the part where useful.
+- Note errors, contradictions, or missing required items visible in this part.
+Skip criteria this part says nothing about. Return an empty "notes" array if nothing is relevant.
+
+Respond with ONLY a valid JSON object. No markdown fences, no explanation outside the JSON.
+
+{
+  "notes": [
+    { "criterion": "<criterion or requirement name>", "evidence": "<what this part shows>", "quote": "<short verbatim quote>" }
+  ],
+  "summary": "<one sentence describing what this part contains>"
+}`;
+}
+
+/**
+ * Render all chunks' evidence notes as the condensed submission text used for the final grade
+ */
+function formatEvidenceNotes(chunkNotes) {
+  const sections = chunkNotes.map(({ chunk, index, total, notes, summary }) => {
+    const files = chunk.files.length > 0 ? ` — ${chunk.files.join(", ")}` : "";
+    const lines = [`[Part ${index + 1} of ${total}${files}]`];
+    if (summary) lines.push(`Contents: ${summary}`);
+    if (notes.length === 0) lines.push("- (no rubric-relevant evidence)");
+    for (const n of notes) {
+      lines.push(`- (${n.criterion}) ${n.evidence}${n.quote ? ` — "${n.quote}"` : ""}`);
+    }
+    return lines.join("\n");
+  });
+
+  return `EVIDENCE NOTES (condensed from the full submission, which was split into ${chunkNotes.length} parts):\n\n${sections.join("\n\n")}`;
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  RESPONSE_RESERVE_TOKENS,
+  EVIDENCE_RESERVE_TOKENS,
+  EVIDENCE_SCHEMA,
+  estimateTokens,
+  splitIntoChunks,
+  buildEvidencePrompt,
+  formatEvidenceNotes,
+};
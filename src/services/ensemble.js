@@ -0,0 +1,155 @@
+/**
+ * Ensemble grading — aggregate several independent grading runs of the same
+ * submission into one result, with per-criterion spread and confidence.
+ */
+
+const AGGREGATES = ["median", "mean"];
+
+/** Max ensemble size accepted per submission */
+const MAX_RUNS = 10;
+
+/**
+ * Default disagreement threshold: a criterion whose scores spread over more
+ * than this fraction of its max_points is flagged for human review.
+ */
+const DEFAULT_REVIEW_THRESHOLD = 0.2;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stddev(values) {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map((v) => (v - m) ** 2)));
+}
+
+/**
+ * Normalize ensemble options from request fields. Returns null when the
+ * request asks for a single run. Throws on invalid values.
+ *
+ *   runs            number of grading runs (default: number of models, or 1)
+ *   models          array or comma-separated list; runs cycle through it
+ *   aggregate       "median" (default) or "mean"
+ *   reviewThreshold spread / max_points above which a criterion is flagged
+ */
+function parseEnsembleOptions({ runs, models, aggregate, reviewThreshold } = {}) {
+  const modelList = (Array.isArray(models) ? models : String(models || "").split(","))
+    .map((m) => String(m).trim())
+    .filter(Boolean);
+
+  const runCount = runs != null && runs !== "" ? parseInt(runs) : Math.max(modelList.length, 1);
+  if (!Number.isInteger(runCount) || runCount < 1 || runCount > MAX_RUNS) {
+    throw new Error(`runs must be an integer between 1 and ${MAX_RUNS}`);
+  }
+  if (runCount === 1) return null;
+
+  const method = aggregate || "median";
+  if (!AGGREGATES.includes(method)) {
+    throw new Error(`aggregate must be one of: ${AGGREGATES.join(", ")}`);
+  }
+
+  const threshold = reviewThreshold != null && reviewThreshold !== "" ? parseFloat(reviewThreshold) : DEFAULT_REVIEW_THRESHOLD;
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error("reviewThreshold must be a number between 0 and 1");
+  }
+
+  return { runs: runCount, models: modelList, aggregate: method, reviewThreshold: threshold };
+}
+
+/**
+ * Aggregate successful runs into one result.
+ *
+ * Scores and max_points are combined per criterion with the chosen method;
+ * feedback text is taken from the run closest to the aggregate (per criterion
+ * for criterion feedback, by total for strengths/improvements/overall_feedback).
+ * Criteria missing from some runs are aggregated over the runs that have them
+ * and flagged when fewer than half the runs produced them.
+ *
+ * @param {Array<{ model: string, results: object }>} runs - parsed, clamped run results
+ */
+function aggregateRuns(runs, { aggregate = "median", reviewThreshold = DEFAULT_REVIEW_THRESHOLD } = {}) {
+  const combine = aggregate === "mean" ? mean : median;
+
+  const names = [];
+  for (const run of runs) {
+    for (const name of Object.keys(run.results.rubric_breakdown || {})) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+
+  const breakdown = {};
+  const flagged = [];
+  const confidences = [];
+
+  for (const name of names) {
+    const samples = runs
+      .map((run) => run.results.rubric_breakdown?.[name])
+      .filter((d) => d && typeof d.score === "number" && typeof d.max_points === "number");
+    if (samples.length === 0) continue;
+
+    const scores = samples.map((d) => d.score);
+    const score = round2(combine(scores));
+    const maxPoints = round2(combine(samples.map((d) => d.max_points)));
+    const spread = round2(Math.max(...scores) - Math.min(...scores));
+    const relative = maxPoints > 0 ? spread / maxPoints : 0;
+    const confidence = round2(Math.max(0, 1 - relative));
+    const sparse = samples.length < runs.length / 2;
+    const needsReview = relative > reviewThreshold || sparse;
+
+    // Feedback from the sample whose score is closest to the aggregate
+    const representative = samples.reduce((best, d) =>
+      Math.abs(d.score - score) < Math.abs(best.score - score) ? d : best
+    );
+
+    breakdown[name] = {
+      ...representative,
+      score,
+      max_points: maxPoints,
+      scores,
+      spread,
+      stddev: round2(stddev(scores)),
+      confidence,
+      needs_review: needsReview,
+    };
+    confidences.push(confidence);
+    if (needsReview) flagged.push(name);
+  }
+
+  const totals = runs.map((run) => run.results.total_score ?? 0);
+  const aggregateTotal = combine(totals);
+  const closest = runs.reduce((best, run) =>
+    Math.abs((run.results.total_score ?? 0) - aggregateTotal) < Math.abs((best.results.total_score ?? 0) - aggregateTotal) ? run : best
+  );
+
+  return {
+    ...closest.results,
+    rubric_breakdown: breakdown,
+    ensemble: {
+      aggregate,
+      runs: runs.length,
+      models: [...new Set(runs.map((r) => r.model))],
+      review_threshold: reviewThreshold,
+      confidence: confidences.length ? round2(mean(confidences)) : null,
+      total_spread: round2(Math.max(...totals) - Math.min(...totals)),
+      needs_review: flagged.length > 0,
+      flagged_criteria: flagged,
+    },
+  };
+}
+
+module.exports = {
+  parseEnsembleOptions,
+  aggregateRuns,
+  MAX_RUNS,
+  DEFAULT_REVIEW_THRESHOLD,
+};
@@ -0,0 +1,316 @@
+/**
+ * Evidence verification: every rubric_breakdown entry quotes the submission
+ * verbatim in `evidence`, and the server checks that each quote really is in
+ * the submission before the result reaches a student.
+ *
+ * Quotes are located exactly, then ignoring case, whitespace and typographic
+ * quotes/dashes (and then punctuation), then fuzzily (best word window, compared character by
+ * character). Found quotes get offsets into the parsed text of the file they
+ * come from. Criteria with a quote that can't be found, or that is only found
+ * fuzzily (a changed word may be a changed fact), are flagged.
+ */
+
+const FILE_HEADER = /--- File: (.+?) ---\n/g;
+
+/** Minimum similarity (0–1) for a fuzzy match */
+const FUZZY_THRESHOLD = 0.8;
+
+/** Share of a quote's words a window must contain to be compared fuzzily */
+const MIN_WORD_OVERLAP = 0.6;
+
+/** Quotes longer than this are cut before fuzzy matching */
+const MAX_FUZZY_CHARS = 400;
+
+/** Word windows compared character by character per quote */
+const FUZZY_CANDIDATES = 3;
+
+/** Typographic characters compared as their plain equivalents */
+const CHAR_FOLDS = {
+  "‘": "'",
+  "’": "'",
+  "′": "'",
+  "“": '"',
+  "”": '"',
+  "″": '"',
+  "–": "-",
+  "—": "-",
+  "−": "-",
+  "…": "...",
+};
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Lower-case, fold typographic characters and collapse whitespace (`compact`:
+ * drop whitespace and punctuation altogether). Returns { text, map } where
+ * map[i] is the offset in `original` of text[i].
+ */
+function normalize(original, { compact = false } = {}) {
+  let text = "";
+  const map = [];
+  let pendingSpace = false;
+  for (let i = 0; i < original.length; i++) {
+    const ch = original[i];
+    if (/\s/.test(ch)) {
+      pendingSpace = !compact && text.length > 0;
+      continue;
+    }
+    if (compact && !/[\p{L}\p{N}]/u.test(ch)) continue;
+    if (pendingSpace) {
+      text += " ";
+      map.push(i - 1);
+      pendingSpace = false;
+    }
+    for (const c of (CHAR_FOLDS[ch] || ch).toLowerCase()) {
+      text += c;
+      map.push(i);
+    }
+  }
+  return { text, map };
+}
+
+/**
+ * Levenshtein distance between two strings (two-row dynamic programming)
+ */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Word key for fuzzy matching: letters and digits only
+ */
+function wordKey(word) {
+  return word.replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * Words that differ between a quote and the passage it was matched to (word
+ * keys compared, ignoring case and typography): [{ quote, text }] with the
+ * quote's words and the passage's words of each differing stretch, either
+ * side "" for an added or missing stretch.
+ */
+function diffWords(quote, text) {
+  const a = quote.split(/\s+/).filter(Boolean);
+  const b = text.split(/\s+/).filter(Boolean);
+  const key = (w) => wordKey(normalize(w).text);
+  const ka = a.map(key);
+  const kb = b.map(key);
+
+  // Longest common subsequence of word keys, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = ka[i] === kb[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const differences = [];
+  let pending = null;
+  const flush = () => {
+    if (pending) differences.push({ quote: pending.quote.join(" "), text: pending.text.join(" ") });
+    pending = null;
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && ka[i] === kb[j]) {
+      flush();
+      i++;
+      j++;
+    } else {
+      pending = pending || { quote: [], text: [] };
+      if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) pending.quote.push(a[i++]);
+      else pending.text.push(b[j++]);
+    }
+  }
+  flush();
+  return differences;
+}
+
+/**
+ * Index a submission once for all its quotes: its normalized and compact
+ * text, and the words of the normalized text
+ */
+function indexSubmission(submission) {
+  const normalized = normalize(submission);
+  const words = [...normalized.text.matchAll(/\S+/g)].map((m) => ({
+    word: wordKey(m[0]),
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+  return { submission, normalized, compact: normalize(submission, { compact: true }), words };
+}
+
+/**
+ * Best fuzzy window for a normalized quote: slide a window of the quote's
+ * word count over the submission, keep the windows sharing the most words,
+ * and compare those character by character. Returns { start, end, similarity }
+ * in normalized-text offsets, or null.
+ */
+function fuzzyFind(quote, { normalized, words }) {
+  const quoteWords = quote.split(" ").map(wordKey);
+  const n = quoteWords.length;
+  if (n === 0 || words.length < n) return null;
+
+  const need = new Map();
+  for (const w of quoteWords) need.set(w, (need.get(w) || 0) + 1);
+  const have = new Map();
+  let overlap = 0;
+  const add = (w) => {
+    const count = have.get(w) || 0;
+    if (count < (need.get(w) || 0)) overlap++;
+    have.set(w, count + 1);
+  };
+  const remove = (w) => {
+    const count = have.get(w) - 1;
+    have.set(w, count);
+    if (count < (need.get(w) || 0)) overlap--;
+  };
+
+  const candidates = [];
+  for (let i = 0; i < words.length; i++) {
+    add(words[i].word);
+    if (i >= n) remove(words[i - n].word);
+    if (i >= n - 1 && overlap / n >= MIN_WORD_OVERLAP) {
+      candidates.push({ first: i - n + 1, last: i, overlap });
+    }
+  }
+  candidates.sort((a, b) => b.overlap - a.overlap);
+
+  let best = null;
+  for (const { first, last } of candidates.slice(0, FUZZY_CANDIDATES)) {
+    const start = words[first].start;
+    const end = words[last].end;
+    const window = normalized.text.slice(start, end);
+    const similarity = 1 - editDistance(quote, window) / Math.max(quote.length, window.length);
+    if (!best || similarity > best.similarity) best = { start, end, similarity };
+  }
+  return best && best.similarity >= FUZZY_THRESHOLD ? best : null;
+}
+
+/**
+ * File segments of a submission: multi-file submissions are joined with
+ * "--- File: <name> ---" headers (see routes/grading.js); text before the
+ * first header belongs to `fileName`.
+ */
+function splitSources(submission, fileName = null) {
+  const sources = [];
+  let start = 0;
+  let file = fileName;
+  for (const m of submission.matchAll(FILE_HEADER)) {
+    if (m.index > start) sources.push({ file, start, end: m.index });
+    file = m[1];
+    start = m.index + m[0].length;
+  }
+  sources.push({ file, start, end: submission.length });
+  return sources;
+}
+
+/**
+ * Find one quote in an indexed submission. Returns
+ * { quote, found, match, similarity, start, end, file, text } where start /
+ * end are offsets into the parsed text of `file` and `text` is what the
+ * submission actually says there, or { quote, found: false }. Fuzzy matches
+ * also get `differences` (see diffWords).
+ */
+function locateQuote(quote, index, sources) {
+  const { submission, normalized, compact } = index;
+  const wanted = String(quote ?? "").trim();
+  if (!wanted) return { quote: wanted, found: false };
+
+  let located = null;
+  const exact = submission.indexOf(wanted);
+  if (exact !== -1) {
+    located = { match: "exact", similarity: 1, start: exact, end: exact + wanted.length };
+  } else {
+    // Same text up to case, spacing, typography — or punctuation — else the closest passage
+    const query = normalize(wanted).text;
+    const compactQuery = normalize(wanted, { compact: true }).text;
+    const at = normalized.text.indexOf(query);
+    const compactAt = at === -1 && compactQuery ? compact.text.indexOf(compactQuery) : -1;
+    let hit = null;
+    if (at !== -1) {
+      hit = { map: normalized.map, start: at, end: at + query.length, similarity: 1, match: "normalized" };
+    } else if (compactAt !== -1) {
+      hit = { map: compact.map, start: compactAt, end: compactAt + compactQuery.length, similarity: 1, match: "normalized" };
+    } else {
+      const fuzzy = fuzzyFind(query.slice(0, MAX_FUZZY_CHARS), index);
+      if (fuzzy) hit = { map: normalized.map, ...fuzzy, match: "fuzzy" };
+    }
+    if (hit) {
+      located = {
+        match: hit.match,
+        similarity: round2(hit.similarity),
+        start: hit.map[hit.start],
+        end: hit.map[hit.end - 1] + 1,
+      };
+    }
+  }
+  if (!located) return { quote: wanted, found: false };
+
+  const source = sources.find((s) => located.start >= s.start && located.start < s.end) || sources[0];
+  const text = submission.slice(located.start, located.end);
+  const result = {
+    quote: wanted,
+    found: true,
+    match: located.match,
+    similarity: located.similarity,
+    start: located.start - source.start,
+    end: Math.min(located.end, source.end) - source.start,
+    file: source.file,
+    text,
+  };
+  if (located.match === "fuzzy") result.differences = diffWords(wanted, text);
+  return result;
+}
+
+/**
+ * Locate every criterion's evidence quotes in the submission, in place:
+ * `evidence` becomes a list of located quotes (see locateQuote), criteria
+ * with a quote that wasn't found or only matched fuzzily get
+ * `evidence_unverified: true`, and the
+ * result gets an `evidence_check` summary. `fileName` names a single-file
+ * submission.
+ */
+function verifyEvidence(results, submission, { fileName = null } = {}) {
+  if (!results || results.parse_error || !results.rubric_breakdown) return results;
+
+  const index = indexSubmission(String(submission || ""));
+  const sources = splitSources(index.submission, fileName);
+  const check = { quotes: 0, exact: 0, normalized: 0, fuzzy: 0, not_found: 0, flagged_criteria: [] };
+
+  for (const [name, details] of Object.entries(results.rubric_breakdown)) {
+    if (!details || typeof details !== "object" || !Array.isArray(details.evidence)) continue;
+
+    details.evidence = details.evidence
+      .map((q) => (typeof q === "object" && q !== null ? q.quote : q))
+      .filter((q) => typeof q === "string" && q.trim())
+      .map((q) => locateQuote(q, index, sources));
+
+    for (const e of details.evidence) {
+      check.quotes++;
+      check[e.found ? e.match : "not_found"]++;
+    }
+    details.evidence_unverified = details.evidence.some((e) => !e.found || e.match === "fuzzy");
+    if (details.evidence_unverified) check.flagged_criteria.push(name);
+  }
+
+  results.evidence_check = check;
+  return results;
+}
+
+module.exports = {
+  FUZZY_THRESHOLD,
+  locateQuote,
+  verifyEvidence,
+};
@@ -1,64 +1,132 @@
-const { Ollama } = require("ollama");
-const { execSync } = require("child_process");
-const path = require("path");
-const fs = require("fs");
-const os = require("os");
-
-const ollama = new Ollama();
-
-/** Backend: "ollama" (default) or "cursor" (Cursor CLI) */
+const { getBackend } = require("./backends");
+const {
+  buildGradingSchema,
+  checkGradingResult,
+  buildRepairSchema,
+  mergeRepair,
+  buildCriterionGradeSchema,
+  SUMMARY_SCHEMA,
+} = require("./gradingSchema");
+const { aggregateRuns } = require("./ensemble");
+const { createLimiter } = require("../utils/limiter");
+const {
+  CHARS_PER_TOKEN,
+  RESPONSE_RESERVE_TOKENS,
+  EVIDENCE_RESERVE_TOKENS,
+  EVIDENCE_SCHEMA,
+  estimateTokens,
+  splitIntoChunks,
+  buildEvidencePrompt,
+  formatEvidenceNotes,
+} = require("./chunking");
+const { DEFAULT_TEMPLATE, renderTemplate } = require("./templates");
+const { verifyEvidence } = require("./evidence");
+const { runTestSuite, formatTestResults } = require("./testRunner");
+const { toProfile, applyLeniencyAdjustment } = require("./leniency");
+const { DEFAULT_RULES, applyPostProcessing, pipelineRounding } = require("./postProcessing");
+const {
+  DEFAULT_INJECTION_CHECK,
+  CLASSIFIER_SCHEMA,
+  fenceSubmission,
+  scanSubmission,
+  buildClassifierPrompt,
+  classifierFlags,
+} = require("./promptInjection");
+const {
+  getLevels,
+  isAnalyticRubric,
+  criterionMaxPoints,
+  withLevelPoints,
+  applyRubricLevels,
+  formatLevels,
+} = require("./analyticRubric");
+
+/** Backend used when the request names none — see ./backends for the registry */
 const DEFAULT_BACKEND = "ollama";
 
 
 /**
- * Default model to use
+ * Default model to use (the default backend's default model)
  */
-const DEFAULT_MODEL = "llama3.2";
+const DEFAULT_MODEL = getBackend(DEFAULT_BACKEND).defaultModel;
+
+/** Grading modes: one call for the whole rubric, or one call per criterion */
+const GRADING_MODES = ["single", "per_criterion"];
+
+/** Max simultaneous criterion calls in per-criterion mode (also used for chunk condensing) */
+const MAX_PARALLELISM = 8;
+
+/** Default simultaneous criterion calls (CRITERION_PARALLELISM env, default 1) */
+const DEFAULT_PARALLELISM = Math.min(parseInt(process.env.CRITERION_PARALLELISM) || 1, MAX_PARALLELISM);
+
+/** Default progress callback (see gradeSubmission) */
+function noProgress() {}
 
 /**
- * Check if a rubric is structured (JSON object with max_points per criterion)
+ * Check if a rubric is structured (JSON object with max_points or levels per criterion)
  */
 function isStructuredRubric(rubric) {
   if (typeof rubric !== "object" || rubric === null || Array.isArray(rubric)) return false;
-  // Check if at least one key has a max_points property
-  return Object.values(rubric).some(
-    (v) => typeof v === "object" && v !== null && typeof v.max_points === "number"
-  );
+  // Check if at least one key has a max_points property (or levels to derive it from)
+  return Object.values(rubric).some((v) => criterionMaxPoints(v) != null);
+}
+
+/**
+ * How to fill each criterion's `evidence` (every prompt asks for it; the
+ * quotes are checked against the submission, see services/evidence.js)
+ */
+const EVIDENCE_INSTRUCTIONS = `
+EVIDENCE (MANDATORY):
+- Give each criterion an "evidence" array of 1-4 short quotes (one sentence or less each) that support its score.
+- Copy every quote VERBATIM from the STUDENT SUBMISSION — same words, numbers and punctuation. No paraphrasing, no "...", no added words. For evidence notes, quote their quoted passages.
+- Quotes are checked against the submission; a quote that cannot be found flags the criterion for human review.
+- Use an empty array only when the submission contains nothing relevant to the criterion.`;
+
+/**
+ * Answer key section of a grading prompt: the instructor's reference solution
+ * and how to compare the submission against it. `criterionName` limits the
+ * comparison to one criterion (per-criterion mode).
+ */
+function buildAnswerKeySection(answerKey, criterionName = null) {
+  const scope = criterionName
+    ? `for the criterion "${criterionName}" only: identify the key points of the answer key that this criterion covers`
+    : "criterion by criterion: for each criterion, identify the key points of the answer key that it covers";
+
+  return `
+ANSWER KEY (reference solution from the instructor):
+${answerKey}
+
+ANSWER KEY COMPARISON (MANDATORY):
+- Compare the submission against the answer key ${scope} (facts, values, steps, conclusions).
+- Report them in "key_points": { "matched": [...], "partial": [...], "missing": [...] }.
+  matched = present and correct; partial = present but incomplete or partly wrong; missing = absent or wrong.
+- Write each key point as a short phrase from the answer key. Every key point goes in exactly one list.
+- A correct answer reached with a different valid method or wording counts as matched.
+- The score MUST follow the comparison: partial and missing key points lose points and are named in the feedback.`;
 }
 
 /**
  * Build the grading prompt from inputs.
  * Adapts automatically based on whether the rubric is structured JSON or freeform text.
+ * `leniency` is a profile (see leniency.js) or a built-in profile name.
+ * With an `answerKey`, the model compares the submission against it per criterion.
+ * `testResults` is the test suite section (see testRunner.formatTestResults).
  */
-const LENIENCY_INSTRUCTIONS = {
-  strict: `
-- Award full points ONLY if a criterion is fully met
-- Do NOT infer intent or missing details
-- Penalize inaccuracies, omissions, or unclear explanations
-- Partial correctness receives partial credit`,
-
-  normal: `
-- Apply the rubric/criteria as written
-- Allow reasonable interpretation when the submission is clearly correct
-- Penalize clear errors and missing required elements
-- Partial correctness receives proportional credit`,
-
-  lenient: `
-- Favor the student when intent is reasonably clear
-- Focus on major requirements and core concepts
-- Minor issues should cause small deductions only
-- Partial correctness receives generous partial credit`,
-
-  very_lenient: `
-- Reward effort and basic understanding
-- Deduct only for major conceptual misunderstandings
-- Ignore minor errors unless explicitly required
-- Give generous partial credit for relevant attempts`,
-};
-
-function buildGradingPrompt({ submission, rubric, instructions, note, maxScore, studentName, leniency = "normal" }) {
+function buildGradingPrompt({
+  submission,
+  rubric,
+  instructions,
+  note,
+  answerKey = null,
+  testResults = null,
+  maxScore,
+  studentName,
+  leniency = "normal",
+  template = DEFAULT_TEMPLATE,
+}) {
   let rubricSection;
   let rubricResponseInstruction;
+  rubric = withLevelPoints(rubric);
 
   if (!rubric) {
     // No rubric provided — derive criteria from the assignment instructions
@@ -91,6 +159,16 @@ For each criterion:
 
 STEP 4 — GRADE INTENT, NOT STYLE:
 - If the student follows instructions and shows understanding, do not give a low grade for imperfect execution.`;
+  } else if (isAnalyticRubric(rubric)) {
+    // Analytic rubric: criteria with performance levels
+    rubricSection = `\nGRADING RUBRIC:\n${JSON.stringify(rubric, null, 2)}`;
+    rubricResponseInstruction = `
+The rubric above is an analytic rubric. For each criterion that has "levels":
+  1. Compare the submission against EVERY level descriptor of that criterion.
+  2. Choose the ONE level whose descriptor best matches the submission and put its exact name in "level".
+  3. In "justification", explain why the submission fits that level's descriptor and not the level above or below it, citing the submission.
+  4. Set "score" to the chosen level's points and "max_points" to the highest level's points. Do NOT give points between levels.
+For criteria without levels, provide a score (out of its max_points) and feedback. Every criterion goes in the "rubric_breakdown" field.`;
   } else if (isStructuredRubric(rubric)) {
     // Structured rubric with explicit criteria and point values
     rubricSection = `\nGRADING RUBRIC:\n${JSON.stringify(rubric, null, 2)}`;
@@ -104,104 +182,173 @@ The rubric above has specific criteria with point values. For each criterion in
 The rubric above is in freeform/text format. Read it carefully, identify the grading criteria described, and create your own reasonable point breakdown that adds up to the maximum score of ${maxScore}. For each criterion you identify, provide a score and feedback in the "rubric_breakdown" field.`;
   }
 
-  const leniencyInstruction = LENIENCY_INSTRUCTIONS[leniency] || LENIENCY_INSTRUCTIONS.normal;
+  const profile = toProfile(leniency);
+  let noteSection = note ? `\nADDITIONAL NOTES FROM GRADER:\n${note}` : "";
+  let answerKeySection = answerKey ? `\n${buildAnswerKeySection(answerKey)}` : "";
+  let testSection = testResults ? `\n${testResults}` : "";
+  // Custom templates written before {{answer_key}} / {{test_results}} existed get them after the notes,
+  // and the evidence rules too when they leave out {{rubric_instructions}}
+  if (answerKeySection && !/\{\{\s*answer_key\s*\}\}/.test(template.body)) {
+    noteSection += answerKeySection;
+    answerKeySection = "";
+  }
+  if (testSection && !/\{\{\s*test_results\s*\}\}/.test(template.body)) {
+    noteSection += testSection;
+    testSection = "";
+  }
+  if (!/\{\{\s*rubric_instructions\s*\}\}/.test(template.body)) {
+    noteSection += `\n${EVIDENCE_INSTRUCTIONS}`;
+  }
+
+  return renderTemplate(template.body, {
+    instructions,
+    rubric: rubricSection,
+    rubric_instructions: rubricResponseInstruction + "\n" + EVIDENCE_INSTRUCTIONS,
+    submission: fenceSubmission(submission),
+    note: noteSection,
+    answer_key: answerKeySection,
+    test_results: testSection,
+    leniency: profile.instructions,
+    leniency_name: profile.name.toUpperCase(),
+    max_score: maxScore,
+    student: studentName ? `STUDENT: ${studentName}` : "",
+    student_name: studentName || "Anonymous",
+  });
+}
+
+/**
+ * Build the chat messages for the single-call grading prompt: the template's
+ * system message (if any) and the rendered user prompt.
+ */
+function buildGradingMessages(params) {
+  const template = params.template || DEFAULT_TEMPLATE;
+  const messages = [{ role: "user", content: buildGradingPrompt({ ...params, template }) }];
+  return template.system ? [{ role: "system", content: template.system }, ...messages] : messages;
+}
+
+/**
+ * Build a focused prompt for ONE rubric criterion (per-criterion mode).
+ * Only that criterion's description and checklist are included, so the model
+ * spends its whole response on it.
+ */
+function buildCriterionPrompt({ submission, criterionName, criterion, instructions, note, answerKey = null, testResults = null, studentName, leniency = "normal" }) {
+  const levels = getLevels(criterion);
+  if (levels) return buildLevelCriterionPrompt({ submission, criterionName, criterion, levels, instructions, note, answerKey, testResults, studentName, leniency });
+
+  const profile = toProfile(leniency);
+  const checklist = Array.isArray(criterion.criteria) && criterion.criteria.length > 0
+    ? `\nCHECKLIST:\n${criterion.criteria.map((c) => `- ${c}`).join("\n")}`
+    : "";
 
-  return `You are an expert academic grader. Grade the following student submission carefully and objectively.
+  return `You are an expert academic grader. Grade ONE criterion of the following student submission carefully and objectively.
 
 ASSIGNMENT INSTRUCTIONS:
 ${instructions}
-${rubricSection}
-MAXIMUM SCORE: ${maxScore}
+
+CRITERION: ${criterionName}
+MAXIMUM POINTS: ${criterion.max_points}
+${criterion.description ? `DESCRIPTION: ${criterion.description}` : ""}${checklist}
 ${studentName ? `STUDENT: ${studentName}` : ""}
 
 STUDENT SUBMISSION:
-${submission}
-${note ? `\nADDITIONAL NOTES FROM GRADER:\n${note}` : ""}
+${fenceSubmission(submission)}
+${note ? `\nADDITIONAL NOTES FROM GRADER:\n${note}` : ""}${answerKey ? `\n${buildAnswerKeySection(answerKey, criterionName)}` : ""}${testResults ? `\n${testResults}` : ""}
 ---
-${rubricResponseInstruction}
+Grade ONLY the criterion "${criterionName}". Ignore everything the other criteria would cover.
 
 Respond with ONLY a valid JSON object. No markdown fences, no explanation outside the JSON.
 
 {
-  "student_name": "${studentName || "Anonymous"}",
-  "total_score": <number>,
-  "max_score": ${maxScore},
-  "percentage": <number>,
-  "rubric_breakdown": {
-    "<CriterionName>": {
-      "score": <number>,
-      "max_points": <number>,
-      "feedback": "<3-6 sentence detailed paragraph: list what was addressed with specific values, identify errors/gaps, note missing items>"
-    }
-  },
-  "strengths": ["<detailed strength citing specific content/values from submission>", "<another detailed strength>", "<another detailed strength>"],
-  "improvements": ["<name exact section/field to fix and explain what to add or correct>", "<another specific improvement>", "<another specific improvement>"],
-  "overall_feedback": "<3-5 sentence summary: what was done well, what is missing, what to do next>"
+  "score": <number between 0 and ${criterion.max_points}>,
+  "feedback": "<3-6 sentence detailed paragraph: list what was addressed with specific values, identify errors/gaps, note missing items>",
+  "evidence": ["<verbatim quote from the submission>", "<another verbatim quote>"]
 }
 
-IMPORTANT RULES:
-- The "rubric_breakdown" must have only 3-7 TOP-LEVEL criteria (e.g. "Functionality", "Code Quality"). Do NOT list every sub-item as its own key.
-- Each criterion MUST have "score" (number), "max_points" (number), and "feedback" (string).
-- The sum of all "score" values must equal "total_score".
-- The sum of all "max_points" values must equal ${maxScore}.
-- "percentage" must equal round(total_score / max_score * 100).
-
 FEEDBACK–SCORE ALIGNMENT (MANDATORY):
-Step 1: Write honest, detailed feedback FIRST — describe all strengths AND all problems you find.
-Step 2: Set the score to MATCH the feedback.
-
-- If feedback mentions ANY problem, gap, or missing item → score MUST be less than max_points.
-- If feedback is entirely positive with no issues → score MAY be full marks.
-- Partial marks feedback MUST state (1) what was done well AND (2) what caused the point loss.
-- Zero marks feedback MUST state what was expected and what was missing.
-
-CONTENT OVER FORMATTING (MANDATORY):
-- Grade based on the CONTENT and SUBSTANCE of the submission as described in the assignment instructions.
-- Do NOT penalize for formatting, layout, styling, or presentation issues (e.g. missing headers, inconsistent bullet styles, font choices, spacing, capitalization style).
-- What matters is whether the student addressed the required topics, provided correct and complete information, and met the learning objectives outlined in the instructions.
-- If the content is accurate and complete but poorly formatted, it should still receive full or near-full marks.
-
-FEEDBACK QUALITY RULES (MANDATORY — apply to ALL feedback, strengths, improvements, overall_feedback):
-
-Each criterion feedback MUST be a DETAILED paragraph (3–6 sentences) that does ALL of the following:
-1. LIST what the student addressed, citing specific sections, values, or content from the submission in parentheses.
-   Example: "The submission addresses all three requirements: (1) Performance Metrics examines latency (15-100ms), CPU (98%), and uptime (2%). (2) Capacity Limitations assesses scalability with thresholds (bandwidth at 75-85% of 100 Mbps). (3) Security Analysis reviews vulnerabilities (disabled encryption, inactive IDS)."
-2. INCLUDE actual data, numbers, or quotes from the submission to support your evaluation.
-   Example: "Performance metrics are realistic for legacy infrastructure (98% bandwidth utilization, 1.5% packet loss, 100ms jitter)."
-3. IDENTIFY specific errors, contradictions, or gaps.
-   Example: "However, the 2% uptime value contradicts all devices showing 'Active' status — this appears to be an error and should likely be 98% uptime."
-4. NOTE specific missing items or incomplete entries.
-   Example: "The Capacity Limitations section omits the recommended monitoring interval; Security Analysis does not list mitigation steps for the identified vulnerabilities."
-
-strengths MUST be 3–4 items. Each item MUST be a detailed sentence citing specific content, values, or sections from the submission.
-improvements MUST be 3–4 items. Each item MUST name the exact section/field to fix and explain what to add or correct.
-overall_feedback MUST be 3–5 sentences summarizing what was done well, what is missing, and what to do next.
-
-Tone: Constructive and educational. Explain what is missing, not just that it is wrong. Be strict but fair.
+- Write honest, detailed feedback FIRST, then set the score to MATCH it.
+- If feedback mentions ANY problem, gap, or missing item → score MUST be less than ${criterion.max_points}.
+- Partial marks feedback MUST state what was done well AND what caused the point loss.
+- Cite specific sections, values, or quotes from the submission.
+- Grade CONTENT, not formatting or presentation.
+${EVIDENCE_INSTRUCTIONS}
+
+LENIENCY MODE: ${profile.name.toUpperCase()}
+${profile.instructions}`;
+}
+
+/**
+ * Per-criterion prompt for a criterion with levels: the model picks a level
+ * and justifies it instead of scoring freely.
+ */
+function buildLevelCriterionPrompt({ submission, criterionName, criterion, levels, instructions, note, answerKey, testResults, studentName, leniency }) {
+  const profile = toProfile(leniency);
+
+  return `You are an expert academic grader. Grade ONE criterion of the following student submission carefully and objectively, using its performance levels.
+
+ASSIGNMENT INSTRUCTIONS:
+${instructions}
+
+CRITERION: ${criterionName}
+${criterion.description ? `DESCRIPTION: ${criterion.description}\n` : ""}PERFORMANCE LEVELS:
+${formatLevels(levels)}
+${studentName ? `STUDENT: ${studentName}` : ""}
+
+STUDENT SUBMISSION:
+${fenceSubmission(submission)}
+${note ? `\nADDITIONAL NOTES FROM GRADER:\n${note}` : ""}${answerKey ? `\n${buildAnswerKeySection(answerKey, criterionName)}` : ""}${testResults ? `\n${testResults}` : ""}
+---
+Grade ONLY the criterion "${criterionName}". Ignore everything the other criteria would cover.
+
+Respond with ONLY a valid JSON object. No markdown fences, no explanation outside the JSON.
+
+{
+  "level": "<exact name of ONE level: ${levels.map((l) => l.name).join(" | ")}>",
+  "justification": "<2-4 sentences: why the submission matches this level's descriptor and not the level above or below, citing the submission>",
+  "feedback": "<3-6 sentence detailed paragraph: what was done well, errors/gaps, and what would reach the next level>",
+  "evidence": ["<verbatim quote from the submission>", "<another verbatim quote>"]
+}
+
+Points come from the level you choose — pick the level whose descriptor fits best, do not average between levels.
+${EVIDENCE_INSTRUCTIONS}
+
+LENIENCY MODE: ${profile.name.toUpperCase()}
+${profile.instructions}`;
+}
+
+/**
+ * Build the final summarization prompt (per-criterion mode): turns the
+ * already-graded criteria into strengths, improvements and overall feedback.
+ */
+function buildSummaryPrompt({ submission, instructions, breakdown, studentName }) {
+  const graded = Object.entries(breakdown)
+    .map(([name, d]) => `- ${name}: ${d.score}/${d.max_points}${d.level ? ` (${d.level})` : ""} — ${d.feedback}`)
+    .join("\n");
+
+  return `You are an expert academic grader. The criteria of this submission have already been graded. Write the summary feedback.
+
+ASSIGNMENT INSTRUCTIONS:
+${instructions}
+${studentName ? `STUDENT: ${studentName}` : ""}
+
+STUDENT SUBMISSION:
+${fenceSubmission(submission)}
+
+CRITERION GRADES:
+${graded}
+---
+Do NOT change any score. Base the summary on the criterion grades above.
 
 Respond with ONLY a valid JSON object. No markdown fences, no explanation outside the JSON.
 
 {
-  "student_name": "${studentName || "Anonymous"}",
-  "total_score": <number>,
-  "max_score": ${maxScore},
-  "percentage": <number>,
-  "rubric_breakdown": {
-    "<CriterionName>": {
-      "score": <number>,
-      "max_points": <number>,
-      "feedback": "<3-6 sentence detailed paragraph: list what was addressed with specific values, identify errors/gaps, note missing items>"
-    }
-  },
   "strengths": ["<detailed strength citing specific content/values from submission>", "<another detailed strength>", "<another detailed strength>"],
   "improvements": ["<name exact section/field to fix and explain what to add or correct>", "<another specific improvement>", "<another specific improvement>"],
   "overall_feedback": "<3-5 sentence summary: what was done well, what is missing, what to do next>"
 }
 
-FINAL STEP — APPLY LENIENCY (adjust scores AFTER grading):
-LENIENCY MODE: ${leniency.toUpperCase()}
-${leniencyInstruction}
-Review your scores above and adjust them according to this leniency mode before outputting the final JSON.`;
+strengths MUST be 3–4 items, each citing specific content from the submission.
+improvements MUST be 3–4 items, each naming the exact section/field to fix.
+overall_feedback MUST be 3–5 sentences. Tone: constructive and educational.`;
 }
 
 /**
@@ -254,6 +401,14 @@ function repairTruncatedJson(jsonStr) {
  * Parse the grading response from the model
  */
 function parseGradingResponse(responseText) {
+  // Schema-constrained backends return bare JSON — take the fast path
+  try {
+    const direct = JSON.parse(responseText);
+    if (direct && typeof direct === "object" && !Array.isArray(direct)) return direct;
+  } catch {
+    // fall through to extraction
+  }
+
   // Try to extract JSON from the response
   let jsonStr = responseText.trim();
 
@@ -294,10 +449,10 @@ function parseGradingResponse(responseText) {
 }
 
 /**
- * Validate and clamp grading results so no score exceeds its max_points,
- * totals are consistent, and required fields are always present.
+ * Fill in required fields and run the post-processing rule pipeline (see
+ * services/postProcessing.js) so scores, max_points and totals are consistent.
  */
-function validateAndClampResults(results, maxScore, studentName) {
+function validateAndClampResults(results, maxScore, studentName, rules = DEFAULT_RULES) {
   if (!results || results.parse_error) return results;
 
   // --- Ensure required top-level fields ---
@@ -307,84 +462,7 @@ function validateAndClampResults(results, maxScore, studentName) {
 
   if (!results.rubric_breakdown) return results;
 
-  // --- Rescale max_points if they don't add up to maxScore ---
-  const entries = Object.entries(results.rubric_breakdown);
-  let rawMaxSum = 0;
-  for (const [, details] of entries) {
-    if (typeof details.max_points === "number") {
-      rawMaxSum += details.max_points;
-    }
-  }
-
-  if (rawMaxSum !== maxScore && rawMaxSum > 0) {
-    for (const [, details] of entries) {
-      if (typeof details.score === "number" && typeof details.max_points === "number") {
-        const ratio = details.max_points / rawMaxSum;
-        const newMax = Math.round(ratio * maxScore);
-        const newScore = Math.round((details.score / details.max_points) * newMax);
-        details.max_points = newMax;
-        details.score = newScore;
-      }
-    }
-
-    // Fix rounding: adjust the largest criterion so max_points sum exactly to maxScore
-    let rescaledMaxSum = 0;
-    let largestCriterion = null;
-    let largestMax = 0;
-    for (const [criterion, details] of entries) {
-      rescaledMaxSum += details.max_points;
-      if (details.max_points >= largestMax) {
-        largestMax = details.max_points;
-        largestCriterion = criterion;
-      }
-    }
-    if (rescaledMaxSum !== maxScore && largestCriterion) {
-      results.rubric_breakdown[largestCriterion].max_points += maxScore - rescaledMaxSum;
-    }
-  }
-
-  // --- Detect feedback–score contradictions and fix them ---
-  const DEFICIT_PATTERNS = /\b(but|however|missing|incomplete|lacking|incorrect|inaccuracies|inaccuracy|not fully|not adequately|did not|doesn't provide|does not provide|wasn't|weren't|failed to|fell short|weak|poorly|insufficient|absent|needs further|needs more|needs improvement|remains largely|lack of)\b/i;
-
-  for (const [criterion, details] of Object.entries(results.rubric_breakdown)) {
-    if (typeof details.score !== "number" || typeof details.max_points !== "number") continue;
-    if (typeof details.feedback !== "string") continue;
-
-    // Only check full-score criteria for contradictions
-    if (details.score === details.max_points) {
-      if (DEFICIT_PATTERNS.test(details.feedback)) {
-        // Feedback describes real issues — always adjust the score down, not the feedback
-        details.score = Math.max(0, details.score - 1);
-      }
-    }
-  }
-
-  // --- Clamp each score to [0, max_points] ---
-  let totalClamped = 0;
-  for (const [, details] of Object.entries(results.rubric_breakdown)) {
-    if (typeof details.score === "number" && typeof details.max_points === "number") {
-      if (details.score > details.max_points) {
-        details.score = details.max_points;
-      }
-      if (details.score < 0) {
-        details.score = 0;
-      }
-      totalClamped += details.score;
-    }
-  }
-
-  // --- Recalculate totals ---
-  results.total_score = totalClamped;
-  results.max_score = maxScore;
-
-  if (results.total_score > results.max_score) {
-    results.total_score = results.max_score;
-  }
-
-  results.percentage = Math.round((results.total_score / results.max_score) * 100);
-  if (results.percentage > 100) results.percentage = 100;
-
-  return results;
+  return applyPostProcessing(results, maxScore, rules || DEFAULT_RULES);
 }
 
 /**
@@ -405,6 +483,40 @@ function formatTextReport(results) {
   lines.push(
     `Score: ${results.total_score}/${results.max_score} (${results.percentage}%)`
   );
+
+  if (results.leniency_adjustment) {
+    const a = results.leniency_adjustment;
+    lines.push(`Adjusted by leniency profile "${a.profile}" from ${a.raw_total_score}/${results.max_score} (${a.raw_percentage}%)`);
+  }
+
+  if (results.chunking && results.chunking.chunked) {
+    lines.push(`Submission condensed from ${results.chunking.chunks} chunks (~${results.chunking.estimated_tokens} tokens)`);
+  }
+
+  if (results.ensemble) {
+    const e = results.ensemble;
+    lines.push(`Ensemble: ${e.runs} run(s), ${e.aggregate}, confidence ${e.confidence ?? "n/a"}`);
+    if (e.needs_review) {
+      lines.push(`⚑ Needs human review: ${e.flagged_criteria.join(", ")}`);
+    }
+  }
+  if (results.evidence_check && results.evidence_check.flagged_criteria.length > 0) {
+    lines.push(`⚑ Evidence not verified in submission: ${results.evidence_check.flagged_criteria.join(", ")}`);
+  }
+  if (results.test_run) {
+    const t = results.test_run;
+    const counts = t.tests && t.tests.passed != null ? ` (${t.tests.passed} passed, ${t.tests.failed} failed)` : "";
+    lines.push(`Tests: ${t.status}${counts}${t.error ? ` — ${t.error}` : ""}`);
+  }
+  for (const file of results.extraction || []) {
+    for (const warning of file.warnings) lines.push(`⚑ ${file.file}: ${warning}`);
+  }
+  if (results.security_flags && results.security_flags.length > 0) {
+    lines.push("⚑ Needs human review — possible prompt injection:");
+    for (const f of results.security_flags) {
+      lines.push(`    ${f.rule}: ${f.message}${f.excerpt ? ` — "${f.excerpt}"` : ""}`);
+    }
+  }
   lines.push("");
   lines.push("─".repeat(60));
   lines.push("RUBRIC BREAKDOWN:");
@@ -412,10 +524,40 @@ function formatTextReport(results) {
 
   if (results.rubric_breakdown) {
     for (const [criterion, details] of Object.entries(results.rubric_breakdown)) {
-      lines.push(`  ${criterion}: ${details.score}/${details.max_points}`);
+      const spread = details.spread != null ? ` (spread ${details.spread}${details.needs_review ? ", ⚑ review" : ""})` : "";
+      const level = details.level ? ` — ${details.level}${details.level_inferred ? " (inferred)" : ""}` : "";
+      lines.push(`  ${criterion}: ${details.score}/${details.max_points}${level}${spread}`);
+      if (details.justification) {
+        lines.push(`    ≡ ${details.justification}`);
+      }
       if (details.feedback) {
         lines.push(`    → ${details.feedback}`);
       }
+      for (const e of Array.isArray(details.evidence) ? details.evidence : []) {
+        if (typeof e === "string") lines.push(`    ❝ ${e}`);
+        else if (!e.found) lines.push(`    ⚑ Quote not found in submission: "${e.quote}"`);
+        else if (e.match === "fuzzy") {
+          const changes = (e.differences || []).map((d) => `"${d.quote}" → "${d.text}"`).join(", ");
+          lines.push(`    ⚑ Inexact quote (${Math.round(e.similarity * 100)}% similar${changes ? `: ${changes}` : ""}): ${e.text}${e.file ? ` (${e.file})` : ""}`);
+        } else lines.push(`    ❝ ${e.text}${e.file ? ` (${e.file})` : ""}`);
+      }
+      if (details.key_points) {
+        const marks = { matched: "✓", partial: "~", missing: "✗" };
+        for (const [status, mark] of Object.entries(marks)) {
+          for (const point of details.key_points[status] || []) lines.push(`    ${mark} ${point}`);
+        }
+      }
+    }
+  }
+
+  if (results.adjustments && results.adjustments.length > 0) {
+    lines.push("");
+    lines.push("─".repeat(60));
+    lines.push("SCORE ADJUSTMENTS:");
+    lines.push("─".repeat(60));
+    for (const a of results.adjustments) {
+      const target = a.criterion ? `${a.criterion} ${a.field}` : a.field;
+      lines.push(`  • ${target}: ${a.from} → ${a.to} (${a.rule}${a.reason ? `: ${a.reason}` : ""})`);
     }
   }
 
@@ -454,146 +596,666 @@ function formatTextReport(results) {
 }
 
 /**
- * Run Cursor CLI agent with a prompt via execSync (shell).
- * Command: cursor agent -p "<COMMAND/PROMPT>" --output-format text
- * Prompt is passed via a temp file so the shell sees the user's PATH and no escaping is needed.
+ * Ask a backend for a JSON object matching `schema` and validate the reply.
+ * The schema is passed as `format` so backends that support it constrain
+ * their output; every reply is validated regardless.
+ *
+ * - Unparseable output is re-asked once in full (with `correctionPrompt`).
+ * - Parseable output with invalid fields is re-asked once for ONLY those
+ *   fields, and the answer merged back in.
+ *
+ * Returns { results, responseText, validation } where validation is
+ * { valid, errors: [{ field, message }], reasked: [field, ...] }.
+ *
+ * `onProgress(event, data)` receives "prompt", "token" and "retry" events,
+ * each tagged with `stage` (plus any `context`, e.g. the criterion name).
  */
-function getCompletionFromCursor(prompt) {
-  const tempPath = path.join(os.tmpdir(), `cursor-prompt-${Date.now()}-${process.pid}.txt`);
-  fs.writeFileSync(tempPath, prompt, "utf-8");
+async function requestStructured({
+  provider,
+  model,
+  messages,
+  schema,
+  options = {},
+  correctionPrompt,
+  signal = null,
+  onProgress = noProgress,
+  stage = "grade",
+  context = {},
+}) {
+  const format = provider.supportsSchema ? schema : undefined;
+  const emit = (event, data = {}) => onProgress(event, { stage, ...context, ...data });
+  const onToken = onProgress === noProgress ? undefined : (text) => emit("token", { text });
 
-  const cmd = `agent -p "$(cat "$CURSOR_PROMPT_FILE")" --output-format text`;
-  console.log("[Cursor CLI] agent -p " + JSON.stringify(prompt) + " --output-format text");
+  const promptText = messages.map((m) => m.content).join("\n");
+  emit("prompt", { characters: promptText.length, tokens_estimate: estimateTokens(promptText) });
 
-  const env = { ...process.env, CURSOR_PROMPT_FILE: tempPath };
+  const responseText = await provider.chat({ model, messages, options, format, signal, onToken });
+  let results = parseGradingResponse(responseText);
 
-  try {
-    const stdout = execSync(cmd, {
-      encoding: "utf-8",
-      env,
-      cwd: process.cwd(),
-      maxBuffer: 10 * 1024 * 1024, // 10 MB
-      timeout: 300000, // 5 minutes
+  // Unparseable: retry with a minimal correction prompt (avoids model echoing long instructions)
+  if (results.parse_error) {
+    console.log("First response was not valid JSON, retrying...");
+    emit("retry", { reason: "unparseable" });
+
+    const retryText = await provider.chat({
+      model,
+      messages: [
+        ...messages,
+        { role: "assistant", content: responseText },
+        { role: "user", content: correctionPrompt || `Reply with ONLY one valid JSON object (no other text) matching this JSON Schema:\n${JSON.stringify(schema)}` },
+      ],
+      options: { ...options, temperature: 0.1 },
+      format,
+      signal,
+      onToken,
     });
-    const response = (stdout || "").trim();
-    console.log("[Cursor CLI] response:", response);
-    return response;
-  } catch (err) {
-    const stderr = err.stderr != null ? String(err.stderr).trim() : "";
-    const stdout = err.stdout != null ? String(err.stdout).trim() : "";
-    const status = err.status ?? err.code ?? "";
-    const parts = [
-      status ? `exit ${status}` : null,
-      stderr || null,
-      stdout || null,
-      err.message,
-    ].filter(Boolean);
-    const msg = parts.length ? parts.join(" — ") : String(err);
-    console.error("[Cursor CLI] failed:", msg);
-    if (stderr) console.error("[Cursor CLI] stderr:", stderr);
-    if (stdout) console.error("[Cursor CLI] stdout:", stdout);
-    throw new Error(`Cursor CLI error: ${msg}`);
-  } finally {
-    try {
-      fs.unlinkSync(tempPath);
-    } catch {
-      // ignore cleanup errors
+
+    const retryResults = parseGradingResponse(retryText);
+    if (retryResults.parse_error) {
+      return {
+        results: { ...results, raw_response: responseText },
+        responseText,
+        validation: { valid: false, errors: [{ field: "(root)", message: "response is not valid JSON" }], reasked: ["(root)"] },
+      };
     }
+    results = retryResults;
   }
+
+  let checked = checkGradingResult(results, schema);
+  results = checked.results;
+  const reasked = [];
+
+  // Parseable but invalid: re-ask for just the bad fields
+  const repairSchema = checked.errors.length > 0 ? buildRepairSchema(checked.errors, schema) : null;
+  if (repairSchema) {
+    const fieldList = checked.errors.map((e) => `- ${e.field}: ${e.message}`).join("\n");
+    console.log(`Response has ${checked.errors.length} invalid field(s), re-asking:\n${fieldList}`);
+    emit("retry", { reason: "invalid_fields", fields: checked.errors.map((e) => e.field) });
+
+    const repairText = await provider.chat({
+      model,
+      messages: [
+        ...messages,
+        { role: "assistant", content: responseText },
+        {
+          role: "user",
+          content: `Some fields in your JSON are invalid:
+${fieldList}
+
+Reply with ONLY a JSON object containing just these corrected fields (no other text, keep everything else as you had it). It must match this JSON Schema:
+${JSON.stringify(repairSchema)}`,
+        },
+      ],
+      options: { ...options, temperature: 0.1 },
+      format: provider.supportsSchema ? repairSchema : undefined,
+      signal,
+      onToken,
+    });
+
+    const patch = parseGradingResponse(repairText);
+    if (!patch.parse_error) {
+      reasked.push(...Object.keys(repairSchema.properties));
+      checked = checkGradingResult(mergeRepair(results, patch), schema);
+      results = checked.results;
+    }
+  }
+
+  return {
+    results,
+    responseText,
+    validation: {
+      valid: checked.errors.length === 0,
+      errors: checked.errors.map(({ field, message }) => ({ field, message })),
+      reasked,
+    },
+  };
 }
 
 /**
- * Grade a submission using Ollama or Cursor CLI.
- * Retries once with a correction prompt if the first response can't be parsed.
+ * Grade a submission using any registered model backend.
+ * With `ensemble` options (see ensemble.parseEnsembleOptions) the submission is
+ * graded several times and the runs aggregated; otherwise it's graded once.
+ * `template` is a resolved prompt template (see templates.resolveTemplate;
+ * default: the built-in one) and `postProcessing` a rule pipeline (see
+ * postProcessing.parsePostProcessingRules; default: DEFAULT_RULES). `rubricRef`
+ * ({ id, version }) names the library rubric being graded with, if any, and is
+ * recorded on the output. Every criterion's evidence quotes are located in
+ * the submission (see evidence.verifyEvidence); `submissionFile` names a
+ * single-file submission. With a `testSuite` (see testRunner.parseTestSuite),
+ * the suite is run once against `sourceFiles` ([{ name, content }]) before
+ * grading and its results go into the prompt and onto the result as
+ * `test_run`. `extraction` (the submission files' extraction summaries, see
+ * fileParsers.extractFile) is recorded on the result as `extraction`. The
+ * submission is screened for prompt injection before grading (`injectionCheck`,
+ * see services/promptInjection.js) and the findings recorded as
+ * `security_flags`. Pass an AbortSignal as `signal` to cancel in-flight model
+ * calls and test runs, and an `onProgress(event, data)` callback to follow
+ * along (testing, tested, screening, screened, prompt, token, retry, chunking
+ * and validated events).
  */
 async function gradeSubmission({
+  ensemble = null,
+  contextSize = null,
+  template = null,
+  rubricRef = null,
+  submissionFile = null,
+  testSuite = null,
+  sourceFiles = [],
+  extraction = null,
+  injectionCheck = DEFAULT_INJECTION_CHECK,
+  ...params
+}) {
+  params.template = template || DEFAULT_TEMPLATE;
+  params.rubric = withLevelPoints(params.rubric);
+  params.leniency = toProfile(params.leniency);
+  const onProgress = params.onProgress || noProgress;
+
+  let testRun = null;
+  if (testSuite) {
+    onProgress("testing", { files: sourceFiles.map((f) => f.name) });
+    testRun = await runTestSuite({ sources: sourceFiles, suite: testSuite, signal: params.signal });
+    onProgress("tested", {
+      status: testRun.status,
+      passed: testRun.tests?.passed ?? null,
+      failed: testRun.tests?.failed ?? null,
+      error: testRun.error,
+    });
+    params.testResults = formatTestResults(testRun);
+  }
+
+  const securityFlags = await screenSubmission({ ...params, check: injectionCheck });
+
+  const prepared = await prepareSubmission({ ...params, contextSize });
+  const gradingParams = { ...params, submission: prepared.submission, note: prepared.note };
+
+  const output = ensemble ? await gradeEnsemble(gradingParams, ensemble) : await gradeOnce(gradingParams);
+
+  // Quotes are checked against the submission as parsed, not condensed chunk notes
+  if (!output.results.parse_error) {
+    verifyEvidence(output.results, params.submission, { fileName: submissionFile });
+    output.textReport = formatTextReport(output.results);
+  }
+
+  // Profile floor / curve apply to the final total, after any ensemble aggregation
+  if (!output.results.parse_error) {
+    output.results.leniency = params.leniency.name;
+    applyLeniencyAdjustment(output.results, params.leniency, { rounding: pipelineRounding(params.postProcessing || DEFAULT_RULES) });
+    if (output.results.leniency_adjustment) output.textReport = formatTextReport(output.results);
+  }
+
+  onProgress("validated", {
+    valid: output.validation.valid,
+    errors: output.validation.errors,
+    reasked: output.validation.reasked,
+    total_score: output.results.total_score ?? null,
+    percentage: output.results.percentage ?? null,
+  });
+
+  // Templates only shape the single-call prompt; per-criterion mode has its own prompts
+  if (params.mode !== "per_criterion") {
+    output.template = { id: params.template.id, version: params.template.version };
+    if (!output.results.parse_error) output.results.template = output.template;
+  }
+
+  if (rubricRef) {
+    output.rubricRef = rubricRef;
+    if (!output.results.parse_error) output.results.rubric_ref = rubricRef;
+  }
+
+  if (testRun) {
+    output.testRun = testRun;
+    if (!output.results.parse_error) {
+      output.results.test_run = testRun;
+      output.textReport = formatTextReport(output.results);
+    }
+  }
+
+  if (extraction) {
+    output.extraction = extraction;
+    if (!output.results.parse_error) {
+      output.results.extraction = extraction;
+      output.textReport = formatTextReport(output.results);
+    }
+  }
+
+  output.securityFlags = securityFlags;
+  if (!output.results.parse_error) {
+    output.results.security_flags = securityFlags;
+    if (securityFlags.length > 0) output.textReport = formatTextReport(output.results);
+  }
+
+  output.chunking = prepared.chunking;
+  if (prepared.chunking.chunked && !output.results.parse_error) {
+    output.results.chunking = prepared.chunking;
+    output.textReport = formatTextReport(output.results);
+  }
+  return output;
+}
+
+/**
+ * Screen the submission for prompt injection before grading: the heuristic
+ * rules always, plus a classifier call when `check` is "classifier". A
+ * classifier call that fails is itself a flag, since the submission went
+ * unchecked. Returns the security flags (see promptInjection.scanSubmission).
+ */
+async function screenSubmission({
+  submission,
+  check = DEFAULT_INJECTION_CHECK,
+  model = null,
+  backend = DEFAULT_BACKEND,
+  signal = null,
+  onProgress = noProgress,
+}) {
+  onProgress("screening", { check });
+  const flags = scanSubmission(submission);
+
+  if (check === "classifier") {
+    const provider = getBackend(backend);
+    try {
+      const { results } = await requestStructured({
+        provider,
+        model: provider.supportsModels ? model || provider.defaultModel : null,
+        messages: [{ role: "user", content: buildClassifierPrompt(submission) }],
+        schema: CLASSIFIER_SCHEMA,
+        options: { temperature: 0, num_predict: 512 },
+        signal,
+        onProgress,
+        stage: "screen",
+      });
+      flags.push(...classifierFlags(results));
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      console.error("Prompt-injection classifier failed:", err.message);
+      flags.push({ source: "classifier", rule: "classifier_error", message: `Classifier check failed: ${err.message}`, excerpt: null });
+    }
+  }
+
+  if (flags.length > 0) {
+    console.log(`\n🛡️ [Grader] Possible prompt injection: ${flags.map((f) => f.rule).join(", ")}\n`);
+  }
+  onProgress("screened", { check, flagged: flags.length > 0, rules: flags.map((f) => f.rule) });
+  return flags;
+}
+
+/**
+ * Fit the submission into the model's context window (map-reduce).
+ *
+ * Estimates the submission's tokens against the space left in the context
+ * after the prompt and the reply reserve. If it doesn't fit, the submission is
+ * split into chunks, each chunk is condensed into rubric-tied evidence notes
+ * (map), and the notes replace the submission for the final grade (reduce).
+ *
+ * Returns { submission, note, chunking } where chunking describes what happened.
+ */
+async function prepareSubmission({
+  submission,
+  rubric,
+  instructions,
+  note = null,
+  answerKey = null,
+  testResults = null,
+  maxScore = 100,
+  studentName = "",
+  leniency = "normal",
+  model = null,
+  backend = DEFAULT_BACKEND,
+  parallelism = DEFAULT_PARALLELISM,
+  contextSize = null,
+  template = DEFAULT_TEMPLATE,
+  signal = null,
+  onProgress = noProgress,
+}) {
+  const provider = getBackend(backend);
+  model = provider.supportsModels ? model || provider.defaultModel : null;
+
+  const estimated = estimateTokens(submission);
+  const ctx = parseInt(contextSize) || (provider.contextSize ? await provider.contextSize(model) : null);
+  if (!ctx) {
+    return { submission, note, chunking: { chunked: false, estimated_tokens: estimated } };
+  }
+
+  const overhead = estimateTokens(
+    buildGradingMessages({ submission: "", rubric, instructions, note, answerKey, testResults, maxScore, studentName, leniency, template })
+      .map((m) => m.content)
+      .join("\n")
+  );
+  const budget = ctx - overhead - RESPONSE_RESERVE_TOKENS;
+  const chunking = { chunked: false, estimated_tokens: estimated, context_size: ctx, budget };
+  if (estimated <= budget) return { submission, note, chunking };
+
+  const evidenceOverhead = estimateTokens(
+    buildEvidencePrompt({ chunk: { text: "", files: [] }, index: 0, total: 1, rubric, instructions })
+  );
+  const chunkTokens = ctx - evidenceOverhead - EVIDENCE_RESERVE_TOKENS;
+  if (budget < 256 || chunkTokens < 256) {
+    throw new Error(
+      `Context window of ${ctx} tokens is too small for the instructions and rubric alone — use a model with a larger context`
+    );
+  }
+
+  const chunks = splitIntoChunks(submission, chunkTokens);
+  console.log(`\n📚 [Grader] Submission ~${estimated} tokens exceeds budget ${budget} (context ${ctx}); condensing ${chunks.length} chunks\n`);
+  onProgress("chunking", { chunks: chunks.length, estimated_tokens: estimated, budget, context_size: ctx });
+
+  const limit = createLimiter(Math.min(Math.max(parseInt(parallelism) || 1, 1), MAX_PARALLELISM));
+  const chunkNotes = await Promise.all(
+    chunks.map((chunk, index) =>
+      limit(async () => {
+        const { results } = await requestStructured({
+          provider,
+          model,
+          messages: [{ role: "user", content: buildEvidencePrompt({ chunk, index, total: chunks.length, rubric, instructions }) }],
+          schema: EVIDENCE_SCHEMA,
+          options: { temperature: 0.2, num_predict: EVIDENCE_RESERVE_TOKENS },
+          signal,
+          onProgress,
+          stage: "chunk",
+          context: { chunk: index + 1, chunks: chunks.length },
+        });
+        const notes = (Array.isArray(results.notes) ? results.notes : []).filter(
+          (n) => n && typeof n.evidence === "string" && n.evidence.trim()
+        );
+        return { chunk, index, total: chunks.length, notes, summary: typeof results.summary === "string" ? results.summary : "" };
+      }, signal)
+    )
+  );
+
+  let condensed = formatEvidenceNotes(chunkNotes);
+  let notesTruncated = false;
+  if (estimateTokens(condensed) > budget) {
+    condensed = condensed.slice(0, budget * CHARS_PER_TOKEN) + "\n[... evidence notes truncated to fit the context window ...]";
+    notesTruncated = true;
+  }
+
+  const chunkNote = `The full submission (~${estimated} tokens) was too long for a single prompt. The STUDENT SUBMISSION above is a set of evidence notes extracted from all ${chunks.length} parts of it. Treat the notes as an accurate account of the submission's content and grade from them.`;
+
+  return {
+    submission: condensed,
+    note: note ? `${note}\n\n${chunkNote}` : chunkNote,
+    chunking: {
+      ...chunking,
+      chunked: true,
+      chunks: chunks.length,
+      chunk_tokens: chunkTokens,
+      condensed_tokens: estimateTokens(condensed),
+      notes_truncated: notesTruncated,
+      files: [...new Set(chunks.flatMap((c) => c.files))],
+    },
+  };
+}
+
+/**
+ * Grade a submission once, in the requested mode.
+ */
+async function gradeOnce(params) {
+  return params.mode === "per_criterion" ? gradePerCriterion(params) : gradeInOneCall(params);
+}
+
+/**
+ * Grade the whole rubric in one model call.
+ * The reply is validated against the grading schema; unparseable or invalid
+ * fields are re-asked once (see requestStructured).
+ */
+async function gradeInOneCall({
   submission,
   rubric,
   instructions,
   note = null,
+  answerKey = null,
+  testResults = null,
   maxScore = 100,
   studentName = "",
   leniency = "normal",
-  model = DEFAULT_MODEL,
+  model = null,
   backend = DEFAULT_BACKEND,
+  template = DEFAULT_TEMPLATE,
+  signal = null,
+  postProcessing = null,
+  onProgress = noProgress,
 }) {
-  const prompt = buildGradingPrompt({
+  const provider = getBackend(backend);
+  model = provider.supportsModels ? model || provider.defaultModel : null;
+
+  const messages = buildGradingMessages({
     submission,
     rubric,
     instructions,
     note,
+    answerKey,
+    testResults,
     maxScore,
     leniency,
     studentName,
+    template,
   });
 
-  console.log("\n📝 [Grader] Prompt sent to model:\n");
-  console.log(prompt);
+  console.log(`\n📝 [Grader] Prompt sent to model (template ${template.id} v${template.version}):\n`);
+  console.log(messages.map((m) => m.content).join("\n\n"));
   console.log("\n" + "─".repeat(60) + "\n");
 
-  let responseText;
+  const correctionPrompt = `Reply with ONLY one valid JSON object (no other text). Use this shape—fill in real scores and feedback from the submission you already graded:
+{"student_name":"${(studentName || "Anonymous").replace(/"/g, '\\"')}","total_score":0,"max_score":${maxScore},"percentage":0,"rubric_breakdown":{"Criterion 1":{"score":0,"max_points":${maxScore},"feedback":"","evidence":[]}},"strengths":[],"improvements":[],"overall_feedback":""}`;
+
+  const { results: raw, responseText, validation } = await requestStructured({
+    provider,
+    model,
+    messages,
+    schema: buildGradingSchema(rubric, { answerKey: Boolean(answerKey) }),
+    options: {
+      temperature: 0.3,
+      num_predict: 4096,
+    },
+    correctionPrompt,
+    signal,
+    onProgress,
+  });
 
-  if (backend === "cursor") {
-    responseText = getCompletionFromCursor(prompt);
-  } else {
-    const messages = [{ role: "user", content: prompt }];
-    const response = await ollama.chat({
-      model,
-      messages,
-      options: {
-        temperature: 0.3,
-        num_predict: 4096,
-      },
-    });
-    responseText = response.message.content;
+  const results = validateAndClampResults(applyRubricLevels(raw, rubric), maxScore, studentName, postProcessing);
+
+  const textReport = results.parse_error ? responseText : formatTextReport(results);
+
+  return {
+    results,
+    textReport,
+    validation,
+    model: model || provider.name,
+    gradedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Per-criterion mode: one focused model call per structured-rubric criterion
+ * (up to `parallelism` at once), then a summarization call for strengths,
+ * improvements and overall_feedback. Avoids truncated or skimpy later
+ * criteria on long rubrics.
+ */
+async function gradePerCriterion({
+  submission,
+  rubric,
+  instructions,
+  note = null,
+  answerKey = null,
+  testResults = null,
+  maxScore = 100,
+  studentName = "",
+  leniency = "normal",
+  model = null,
+  backend = DEFAULT_BACKEND,
+  parallelism = DEFAULT_PARALLELISM,
+  signal = null,
+  postProcessing = null,
+  onProgress = noProgress,
+}) {
+  if (!isStructuredRubric(rubric)) {
+    throw new Error("per_criterion mode requires a structured rubric (criteria with max_points)");
   }
 
-  let results = parseGradingResponse(responseText);
-  results = validateAndClampResults(results, maxScore, studentName);
+  const provider = getBackend(backend);
+  model = provider.supportsModels ? model || provider.defaultModel : null;
+  parallelism = Math.min(Math.max(parseInt(parallelism) || 1, 1), MAX_PARALLELISM);
+  const limit = createLimiter(parallelism);
 
-  // If parsing failed, retry with a minimal correction prompt (avoids model echoing long instructions)
-  if (results.parse_error) {
-    console.log("First grading response was not valid JSON, retrying...");
+  const criteria = Object.entries(rubric).filter(
+    ([, c]) => typeof c === "object" && c !== null && typeof c.max_points === "number"
+  );
 
-    const correctionPrompt = `Reply with ONLY one valid JSON object (no other text). Use this shape—fill in real scores and feedback from the submission you already graded:
-{"student_name":"${(studentName || "Anonymous").replace(/"/g, '\\"')}","total_score":0,"max_score":${maxScore},"percentage":0,"rubric_breakdown":{"Criterion 1":{"score":0,"max_points":${maxScore},"feedback":""}},"strengths":[],"improvements":[],"overall_feedback":""}`;
+  console.log(`\n📝 [Grader] Per-criterion mode: ${criteria.length} criteria, parallelism ${parallelism}\n`);
+
+  const graded = await Promise.all(
+    criteria.map(([name, criterion]) =>
+      limit(async () => {
+        const prompt = buildCriterionPrompt({
+          submission,
+          criterionName: name,
+          criterion,
+          instructions,
+          note,
+          answerKey,
+          testResults,
+          studentName,
+          leniency,
+        });
+        const { results, validation } = await requestStructured({
+          provider,
+          model,
+          messages: [{ role: "user", content: prompt }],
+          schema: buildCriterionGradeSchema(criterion, { answerKey: Boolean(answerKey) }),
+          options: { temperature: 0.3, num_predict: 1024 },
+          signal,
+          onProgress,
+          stage: "criterion",
+          context: { criterion: name },
+        });
+        return { name, criterion, results, validation };
+      }, signal)
+    )
+  );
 
-    let retryText;
-    if (backend === "cursor") {
-      retryText = getCompletionFromCursor(correctionPrompt);
-    } else {
-      const messages = [
-        { role: "user", content: prompt },
-        { role: "assistant", content: responseText },
-        { role: "user", content: correctionPrompt },
-      ];
-      const retry = await ollama.chat({
-        model,
-        messages,
-        options: { temperature: 0.1, num_predict: 4096 },
-      });
-      retryText = retry.message.content;
+  const breakdown = {};
+  const validationErrors = [];
+  const reasked = [];
+  for (const { name, criterion, results, validation } of graded) {
+    breakdown[name] = {
+      score: typeof results.score === "number" ? results.score : 0,
+      max_points: criterion.max_points,
+      feedback: typeof results.feedback === "string" ? results.feedback : "",
+      evidence: Array.isArray(results.evidence) ? results.evidence : [],
+    };
+    if (getLevels(criterion)) {
+      breakdown[name].level = results.level;
+      breakdown[name].justification = typeof results.justification === "string" ? results.justification : "";
     }
+    if (answerKey && results.key_points) breakdown[name].key_points = results.key_points;
+    validationErrors.push(...validation.errors.map((e) => ({ ...e, field: `rubric_breakdown[${JSON.stringify(name)}].${e.field}` })));
+    reasked.push(...validation.reasked.map((f) => `rubric_breakdown[${JSON.stringify(name)}].${f}`));
+  }
 
-    let retryResults = parseGradingResponse(retryText);
-    retryResults = validateAndClampResults(retryResults, maxScore, studentName);
+  // Points for leveled criteria come from the chosen level
+  applyRubricLevels({ rubric_breakdown: breakdown }, rubric);
+
+  const summary = await requestStructured({
+    provider,
+    model,
+    messages: [{ role: "user", content: buildSummaryPrompt({ submission, instructions, breakdown, studentName }) }],
+    schema: SUMMARY_SCHEMA,
+    options: { temperature: 0.3, num_predict: 2048 },
+    signal,
+    onProgress,
+    stage: "summary",
+  });
+  validationErrors.push(...summary.validation.errors);
+  reasked.push(...summary.validation.reasked);
+
+  const results = validateAndClampResults(
+    {
+      student_name: studentName || "Anonymous",
+      rubric_breakdown: breakdown,
+      strengths: Array.isArray(summary.results.strengths) ? summary.results.strengths : [],
+      improvements: Array.isArray(summary.results.improvements) ? summary.results.improvements : [],
+      overall_feedback: typeof summary.results.overall_feedback === "string" ? summary.results.overall_feedback : "",
+    },
+    maxScore,
+    studentName,
+    postProcessing
+  );
+  results.grading_mode = "per_criterion";
 
-    if (!retryResults.parse_error) {
-      results = retryResults;
-    } else {
-      results = {
-        ...results,
-        raw_response: responseText,
-      };
+  return {
+    results,
+    textReport: formatTextReport(results),
+    validation: { valid: validationErrors.length === 0, errors: validationErrors, reasked },
+    model: model || provider.name,
+    gradedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Grade a submission `runs` times (cycling through `models` if given),
+ * aggregate the successful runs per criterion, and attach the individual runs.
+ * Runs are sequential so a single backend isn't overloaded.
+ */
+async function gradeEnsemble(params, { runs, models, aggregate, reviewThreshold }) {
+  const { maxScore = 100, studentName = "", postProcessing = null, onProgress = noProgress } = params;
+  const individual = [];
+
+  for (let i = 0; i < runs; i++) {
+    const model = models.length > 0 ? models[i % models.length] : params.model;
+    console.log(`[Ensemble] run ${i + 1}/${runs}${model ? ` (${model})` : ""}`);
+    try {
+      const runProgress = (event, data) => onProgress(event, { ...data, run: i + 1, runs });
+      individual.push(await gradeOnce({ ...params, model, onProgress: runProgress }));
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      console.error(`[Ensemble] run ${i + 1} failed:`, err.message);
+      individual.push({ model: model || params.backend || DEFAULT_BACKEND, error: err.message });
     }
   }
 
-  const textReport = results.parse_error ? responseText : formatTextReport(results);
+  const usable = individual.filter((r) => r.results && !r.results.parse_error);
+  if (usable.length === 0) {
+    // Nothing to aggregate: surface an unparsed run if there is one, else the first error
+    const unparsed = individual.find((r) => r.results);
+    if (unparsed) return unparsed;
+    throw new Error(`All ${runs} ensemble runs failed: ${individual[0].error}`);
+  }
+
+  const aggregated = aggregateRuns(
+    usable.map((r) => ({ model: r.model, results: r.results })),
+    { aggregate, reviewThreshold }
+  );
+  // Leveled criteria get the level nearest the aggregated score, not the representative run's
+  const results = validateAndClampResults(
+    applyRubricLevels(aggregated, params.rubric, { fromScore: true }),
+    maxScore,
+    studentName,
+    postProcessing
+  );
+
+  results.ensemble.requested_runs = runs;
+  results.ensemble.failed_runs = individual.length - usable.length;
+  results.ensemble.individual_runs = individual.map((r) => ({
+    model: r.model,
+    ...(r.error
+      ? { error: r.error }
+      : {
+          total_score: r.results.total_score ?? null,
+          percentage: r.results.percentage ?? null,
+          validation: r.validation,
+          results: r.results,
+        }),
+  }));
 
   return {
     results,
-    textReport,
-    model: backend === "cursor" ? "cursor" : model,
+    textReport: formatTextReport(results),
+    validation: {
+      valid: usable.every((r) => r.validation?.valid),
+      errors: individual.flatMap((r, i) =>
+        (r.validation?.errors || []).map((e) => ({ ...e, field: `run ${i + 1}: ${e.field}` }))
+      ),
+      reasked: individual.flatMap((r, i) => (r.validation?.reasked || []).map((f) => `run ${i + 1}: ${f}`)),
+    },
+    model: results.ensemble.models.join(", "),
     gradedAt: new Date().toISOString(),
   };
 }
@@ -659,8 +1321,13 @@ function generateSampleRubric() {
 module.exports = {
   gradeSubmission,
   buildGradingPrompt,
+  buildGradingMessages,
+  buildCriterionPrompt,
+  isStructuredRubric,
   generateSampleRubric,
   formatTextReport,
   DEFAULT_MODEL,
   DEFAULT_BACKEND,
+  GRADING_MODES,
+  MAX_PARALLELISM,
 };
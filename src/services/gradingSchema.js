@@ -0,0 +1,273 @@
+const { validate, coerce, formatPath } = require("../utils/jsonSchema");
+const { getLevels, criterionMaxPoints } = require("./analyticRubric");
+
+/**
+ * JSON Schema for a criterion's evidence: verbatim quotes from the submission
+ * (located and checked afterwards, see services/evidence.js)
+ */
+const EVIDENCE_SCHEMA = { type: "array", items: { type: "string", minLength: 1 } };
+
+/**
+ * JSON Schema for one rubric_breakdown entry
+ */
+const CRITERION_RESULT_SCHEMA = {
+  type: "object",
+  required: ["score", "max_points", "feedback", "evidence"],
+  properties: {
+    score: { type: "number", minimum: 0 },
+    max_points: { type: "number", minimum: 0 },
+    feedback: { type: "string", minLength: 1 },
+    evidence: EVIDENCE_SCHEMA,
+  },
+};
+
+/**
+ * JSON Schema for the answer key comparison of one criterion: the key points
+ * it covers, by how well the submission matches them
+ */
+const KEY_POINTS_SCHEMA = {
+  type: "object",
+  required: ["matched", "partial", "missing"],
+  properties: {
+    matched: { type: "array", items: { type: "string", minLength: 1 } },
+    partial: { type: "array", items: { type: "string", minLength: 1 } },
+    missing: { type: "array", items: { type: "string", minLength: 1 } },
+  },
+};
+
+/**
+ * A criterion schema that also requires `key_points` (grading against an answer key)
+ */
+function withKeyPoints(schema) {
+  return {
+    ...schema,
+    required: [...schema.required, "key_points"],
+    properties: { ...schema.properties, key_points: KEY_POINTS_SCHEMA },
+  };
+}
+
+/**
+ * JSON Schema for a rubric_breakdown entry of a criterion with levels: the
+ * model names a level and justifies it; score and max_points are taken from
+ * the level afterwards (see analyticRubric.applyRubricLevels)
+ */
+function buildLevelResultSchema(levels) {
+  return {
+    type: "object",
+    required: ["level", "justification", "feedback", "evidence"],
+    properties: {
+      level: { type: "string", enum: levels.map((l) => l.name) },
+      justification: { type: "string", minLength: 1 },
+      score: { type: "number", minimum: 0 },
+      max_points: { type: "number", minimum: 0 },
+      feedback: { type: "string", minLength: 1 },
+      evidence: EVIDENCE_SCHEMA,
+    },
+  };
+}
+
+/**
+ * JSON Schema for a complete grading result — the single source of truth for
+ * the response shape. Passed to backends that support schema-constrained
+ * output (Ollama `format`, OpenAI-compatible `response_format`) and used to
+ * validate every response, whichever backend produced it.
+ */
+const GRADING_RESULT_SCHEMA = {
+  type: "object",
+  required: ["student_name", "rubric_breakdown", "strengths", "improvements", "overall_feedback"],
+  properties: {
+    student_name: { type: "string" },
+    total_score: { type: "number" },
+    max_score: { type: "number" },
+    percentage: { type: "number" },
+    rubric_breakdown: {
+      type: "object",
+      minProperties: 1,
+      additionalProperties: CRITERION_RESULT_SCHEMA,
+    },
+    strengths: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+    improvements: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+    overall_feedback: { type: "string", minLength: 1 },
+  },
+};
+
+/**
+ * JSON Schema for a single-criterion call in per-criterion mode
+ * (max_points comes from the rubric, not the model)
+ */
+const CRITERION_GRADE_SCHEMA = {
+  type: "object",
+  required: ["score", "feedback", "evidence"],
+  properties: {
+    score: { type: "number", minimum: 0 },
+    feedback: { type: "string", minLength: 1 },
+    evidence: EVIDENCE_SCHEMA,
+  },
+};
+
+/**
+ * Schema for a single-criterion call: CRITERION_GRADE_SCHEMA, or a level
+ * choice for criteria with levels. With `answerKey`, key_points are required.
+ */
+function buildCriterionGradeSchema(criterion, { answerKey = false } = {}) {
+  const levels = getLevels(criterion);
+  let schema = CRITERION_GRADE_SCHEMA;
+  if (levels) {
+    const { level, justification, feedback, evidence } = buildLevelResultSchema(levels).properties;
+    schema = {
+      type: "object",
+      required: ["level", "justification", "feedback", "evidence"],
+      properties: { level, justification, feedback, evidence },
+    };
+  }
+  return answerKey ? withKeyPoints(schema) : schema;
+}
+
+/**
+ * JSON Schema for the summarization call in per-criterion mode
+ */
+const SUMMARY_SCHEMA = {
+  type: "object",
+  required: ["strengths", "improvements", "overall_feedback"],
+  properties: {
+    strengths: GRADING_RESULT_SCHEMA.properties.strengths,
+    improvements: GRADING_RESULT_SCHEMA.properties.improvements,
+    overall_feedback: GRADING_RESULT_SCHEMA.properties.overall_feedback,
+  },
+};
+
+/**
+ * Build the schema for a specific grading request. For structured rubrics the
+ * rubric_breakdown keys are pinned to the rubric's criterion names, so a
+ * missing or renamed criterion is reported as a field error. Criteria with
+ * levels must name one of them. With `answerKey`, every criterion must
+ * report its key_points.
+ */
+function buildGradingSchema(rubric, { answerKey = false } = {}) {
+  const withKey = (schema) => (answerKey ? withKeyPoints(schema) : schema);
+  const isObject = typeof rubric === "object" && rubric !== null && !Array.isArray(rubric);
+  const criteria = isObject ? Object.keys(rubric).filter((k) => criterionMaxPoints(rubric[k]) != null) : [];
+
+  if (criteria.length === 0) {
+    if (!answerKey) return GRADING_RESULT_SCHEMA;
+    return {
+      ...GRADING_RESULT_SCHEMA,
+      properties: {
+        ...GRADING_RESULT_SCHEMA.properties,
+        rubric_breakdown: { ...GRADING_RESULT_SCHEMA.properties.rubric_breakdown, additionalProperties: withKey(CRITERION_RESULT_SCHEMA) },
+      },
+    };
+  }
+
+  const criterionSchema = (name) => {
+    const levels = getLevels(rubric[name]);
+    return withKey(levels ? buildLevelResultSchema(levels) : CRITERION_RESULT_SCHEMA);
+  };
+
+  return {
+    ...GRADING_RESULT_SCHEMA,
+    properties: {
+      ...GRADING_RESULT_SCHEMA.properties,
+      rubric_breakdown: {
+        type: "object",
+        required: criteria,
+        properties: Object.fromEntries(criteria.map((c) => [c, criterionSchema(c)])),
+        additionalProperties: withKey(CRITERION_RESULT_SCHEMA),
+      },
+    },
+  };
+}
+
+/**
+ * Coerce obviously-fixable types in place, then validate.
+ * Returns { results, errors } where errors are [{ field, path, message }].
+ */
+function checkGradingResult(results, schema = GRADING_RESULT_SCHEMA) {
+  const coerced = coerce(results, schema);
+  const errors = validate(coerced, schema).map((e) => ({
+    field: formatPath(e.path),
+    path: e.path,
+    message: e.message,
+  }));
+  return { results: coerced, errors };
+}
+
+/**
+ * Build a schema covering only the invalid parts of a result, so the model can
+ * be re-asked for just those. Broken criteria are re-asked individually;
+ * other fields are re-asked whole. Returns null when the root itself is invalid.
+ */
+function buildRepairSchema(errors, schema = GRADING_RESULT_SCHEMA) {
+  if (errors.some((e) => e.path.length === 0)) return null;
+
+  const fields = new Set();
+  const criteria = new Set();
+  for (const e of errors) {
+    const [field, criterion] = e.path;
+    if (field === "rubric_breakdown" && typeof criterion === "string") {
+      criteria.add(criterion);
+    } else {
+      fields.add(field);
+    }
+  }
+  // A whole-field rubric_breakdown error supersedes per-criterion ones
+  if (fields.has("rubric_breakdown")) criteria.clear();
+
+  const properties = {};
+  for (const field of fields) {
+    properties[field] = schema.properties[field] || {};
+  }
+  if (criteria.size > 0) {
+    properties.rubric_breakdown = {
+      type: "object",
+      required: [...criteria],
+      properties: Object.fromEntries(
+        [...criteria].map((c) => [
+          c,
+          schema.properties.rubric_breakdown?.properties?.[c] ||
+            schema.properties.rubric_breakdown?.additionalProperties ||
+            CRITERION_RESULT_SCHEMA,
+        ])
+      ),
+    };
+  }
+
+  return {
+    type: "object",
+    required: Object.keys(properties),
+    properties,
+  };
+}
+
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
+
+/**
+ * Merge a repair response into the original result. Criteria are merged
+ * one by one; every other field is replaced.
+ */
+function mergeRepair(results, patch) {
+  for (const [field, value] of Object.entries(patch || {})) {
+    const existing = results.rubric_breakdown;
+    if (field === "rubric_breakdown" && isPlainObject(value) && isPlainObject(existing)) {
+      Object.assign(results.rubric_breakdown, value);
+    } else {
+      results[field] = value;
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  GRADING_RESULT_SCHEMA,
+  CRITERION_RESULT_SCHEMA,
+  CRITERION_GRADE_SCHEMA,
+  KEY_POINTS_SCHEMA,
+  SUMMARY_SCHEMA,
+  buildGradingSchema,
+  buildCriterionGradeSchema,
+  checkGradingResult,
+  buildRepairSchema,
+  mergeRepair,
+};
@@ -0,0 +1,273 @@
+/**
+ * Persistent batch grading queue.
+ *
+ * Batches are stored in MySQL as jobs with one item per submission (see db.js),
+ * so they survive proxy timeouts and restarts. A single in-process worker
+ * claims queued items and grades them, with a concurrency limit per backend:
+ * JOB_CONCURRENCY (default 1), overridden per backend by
+ * JOB_CONCURRENCY_<NAME>, e.g. JOB_CONCURRENCY_OPENAI=4.
+ *
+ * Progress of running items is published per job (see subscribe) so it can be
+ * streamed to clients.
+ */
+
+const { EventEmitter } = require("events");
+const { gradeSubmission } = require("./grader");
+const { listBackendNames } = require("./backends");
+const { recordSimilarity } = require("./similarity");
+const {
+  isDbAvailable,
+  saveResult,
+  createJob,
+  getJob,
+  claimNextJobItem,
+  finishJobItem,
+  completeFinishedJobs,
+  cancelJob: cancelJobRow,
+  retryFailedJobItems,
+  requeueInterruptedJobItems,
+} = require("../db");
+
+/** How often the worker looks for queued items it wasn't told about */
+const POLL_MS = 5000;
+
+const DEFAULT_CONCURRENCY = Math.max(parseInt(process.env.JOB_CONCURRENCY) || 1, 1);
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/** backend name -> number of items being graded */
+const active = new Map();
+
+/** item id -> { jobId, controller } for items being graded */
+const running = new Map();
+
+let pumping = null;
+let pumpAgain = false;
+
+/**
+ * Max simultaneous items for a backend
+ */
+function concurrencyFor(backend) {
+  const specific = parseInt(process.env[`JOB_CONCURRENCY_${backend.toUpperCase()}`]);
+  return specific > 0 ? specific : DEFAULT_CONCURRENCY;
+}
+
+function publish(jobId, event, data = {}) {
+  events.emit(`job:${jobId}`, event, data);
+}
+
+/**
+ * Listen to a job's progress: `listener(event, data)` receives student,
+ * student_done, the grader's progress events (tagged with `student`) and
+ * `job` when the job's status changes. Returns an unsubscribe function.
+ */
+function subscribe(jobId, listener) {
+  events.on(`job:${jobId}`, listener);
+  return () => events.off(`job:${jobId}`, listener);
+}
+
+/**
+ * Store a batch as a job and wake the worker. `items` are
+ * { studentName, filename, submission } or { studentName, filename, error }
+ * for submissions that couldn't be parsed. Returns the job.
+ */
+async function enqueueBatch({ backend, model, options, items }) {
+  const jobId = await createJob({ backend, model, options, items });
+  console.log(`[Jobs] Job ${jobId} queued: ${items.length} submission(s) on ${backend}`);
+  await completeFinishedJobs(jobId);
+  pump();
+  return getJob(jobId);
+}
+
+/**
+ * Cancel a job: queued items are dropped and running ones aborted.
+ * Returns false if the job doesn't exist or already finished.
+ */
+async function cancelJob(jobId) {
+  const cancelled = await cancelJobRow(jobId);
+  if (!cancelled) return false;
+
+  for (const entry of running.values()) {
+    if (entry.jobId === Number(jobId)) entry.controller.abort();
+  }
+  publish(jobId, "job", { status: "cancelled" });
+  return true;
+}
+
+/**
+ * Re-queue a job's failed items. Returns the number of items re-queued.
+ */
+async function retryFailed(jobId) {
+  const count = await retryFailedJobItems(jobId);
+  if (count > 0) {
+    publish(jobId, "job", { status: "queued" });
+    pump();
+  }
+  return count;
+}
+
+/**
+ * Grade one claimed item and record the outcome
+ */
+async function runItem(item) {
+  const controller = new AbortController();
+  const options = item.options || {};
+  const student = {
+    index: item.position + 1,
+    total: item.total,
+    studentName: item.student_name,
+    filename: item.filename,
+    attempt: item.attempts,
+  };
+
+  active.set(item.backend, (active.get(item.backend) || 0) + 1);
+  running.set(item.id, { jobId: item.job_id, controller });
+  publish(item.job_id, "student", student);
+
+  try {
+    const result = await gradeSubmission({
+      submission: item.submission,
+      submissionFile: item.filename,
+      rubric: options.rubric ?? null,
+      instructions: options.instructions,
+      note: options.note ?? null,
+      answerKey: options.answerKey ?? null,
+      maxScore: options.maxScore,
+      studentName: item.student_name || "",
+      leniency: options.leniency,
+      model: item.model,
+      backend: item.backend,
+      ensemble: options.ensemble ?? null,
+      mode: options.mode,
+      parallelism: options.parallelism,
+      contextSize: options.contextSize,
+      template: options.template,
+      postProcessing: options.postProcessing ?? null,
+      rubricRef: options.rubricRef ?? null,
+      testSuite: options.testSuite ?? null,
+      injectionCheck: options.injectionCheck,
+      sourceFiles: item.sources || [],
+      extraction: item.extraction ?? null,
+      signal: controller.signal,
+      onProgress: (event, data) => publish(item.job_id, event, { ...data, student: student.index }),
+    });
+
+    if (options.assignmentId) result.assignmentId = options.assignmentId;
+    const resultId = await saveResult(result);
+    await finishJobItem(item.id, { status: "done", resultId });
+
+    // Compared once linked to the job, so later items of the batch find it
+    let similar = null;
+    try {
+      similar = await recordSimilarity({
+        resultId,
+        submission: item.submission,
+        instructions: options.instructions,
+        assignmentId: options.assignmentId ?? null,
+        jobId: item.job_id,
+      });
+    } catch (simErr) {
+      console.error(`[Jobs] Similarity check for item ${item.id} failed:`, simErr.message);
+    }
+
+    publish(item.job_id, "student_done", {
+      ...student,
+      id: resultId,
+      total_score: result.results.total_score ?? null,
+      percentage: result.results.percentage ?? null,
+      similar: similar ? similar.map((s) => ({ id: s.id, student_name: s.student_name, overlap: s.overlap })) : null,
+    });
+  } catch (err) {
+    const cancelled = err.name === "AbortError";
+    if (!cancelled) console.error(`[Jobs] Job ${item.job_id} item ${item.id} (${item.filename}) failed:`, err.message);
+    try {
+      await finishJobItem(item.id, cancelled ? { status: "cancelled" } : { status: "failed", error: err.message });
+    } catch (dbErr) {
+      console.error(`[Jobs] Failed to record item ${item.id}:`, dbErr.message);
+    }
+    publish(item.job_id, "student_done", { ...student, ...(cancelled ? { cancelled: true } : { error: err.message }) });
+  } finally {
+    running.delete(item.id);
+    active.set(item.backend, active.get(item.backend) - 1);
+    try {
+      if (await completeFinishedJobs(item.job_id)) {
+        console.log(`[Jobs] Job ${item.job_id} completed`);
+        publish(item.job_id, "job", { status: "completed" });
+      }
+    } catch (dbErr) {
+      console.error(`[Jobs] Failed to update job ${item.job_id}:`, dbErr.message);
+    }
+    pump();
+  }
+}
+
+/**
+ * Claim queued items until every backend is at its concurrency limit
+ */
+async function fill() {
+  for (const backend of listBackendNames()) {
+    while ((active.get(backend) || 0) < concurrencyFor(backend)) {
+      const item = await claimNextJobItem(backend);
+      if (!item) break;
+      runItem(item);
+    }
+  }
+}
+
+/**
+ * Start items if there is free capacity. Calls made while a pass is running
+ * schedule one more pass instead of running concurrently.
+ */
+function pump() {
+  if (!isDbAvailable()) return Promise.resolve();
+  if (pumping) {
+    pumpAgain = true;
+    return pumping;
+  }
+
+  pumping = (async () => {
+    do {
+      pumpAgain = false;
+      await fill();
+    } while (pumpAgain);
+  })()
+    .catch((err) => console.error("[Jobs] Worker error:", err.message))
+    .finally(() => {
+      pumping = null;
+    });
+  return pumping;
+}
+
+/**
+ * Resume unfinished jobs after a restart and start polling for work.
+ * Call once, after the database is initialized.
+ */
+async function startJobWorker() {
+  const requeued = await requeueInterruptedJobItems();
+  await completeFinishedJobs();
+  if (requeued > 0) console.log(`  Job queue:           resumed ${requeued} interrupted submission(s)`);
+
+  setInterval(pump, POLL_MS).unref();
+  await pump();
+}
+
+/**
+ * Current worker load per backend
+ */
+function workerStats() {
+  return listBackendNames().map((backend) => ({
+    backend,
+    active: active.get(backend) || 0,
+    concurrency: concurrencyFor(backend),
+  }));
+}
+
+module.exports = {
+  enqueueBatch,
+  cancelJob,
+  retryFailed,
+  subscribe,
+  startJobWorker,
+  workerStats,
+};
@@ -0,0 +1,194 @@
+/**
+ * Leniency profiles: the grading-strictness instructions put in the prompt,
+ * plus an optional score floor and curve applied to the total after grading.
+ *
+ * The four built-in profiles live here and are read-only; departments can add
+ * their own (stored in MySQL, leniency_profiles) through /api/leniency-profiles.
+ * A profile is { name, label, instructions, floor, curve, builtin }.
+ */
+
+const { getLeniencyProfile, listLeniencyProfiles } = require("../db");
+const { roundTo } = require("./postProcessing");
+
+/** Allowed profile names: letters, digits, "-" and "_" */
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,99}$/;
+
+/** Profile used when a request names none */
+const DEFAULT_LENIENCY = "normal";
+
+/** Supported curve types (see applyLeniencyAdjustment) */
+const CURVE_TYPES = ["linear", "sqrt"];
+
+const BUILTIN_PROFILES = [
+  {
+    name: "strict",
+    label: "Strict",
+    instructions: `
+- Award full points ONLY if a criterion is fully met
+- Do NOT infer intent or missing details
+- Penalize inaccuracies, omissions, or unclear explanations
+- Partial correctness receives partial credit`,
+  },
+  {
+    name: "normal",
+    label: "Normal",
+    instructions: `
+- Apply the rubric/criteria as written
+- Allow reasonable interpretation when the submission is clearly correct
+- Penalize clear errors and missing required elements
+- Partial correctness receives proportional credit`,
+  },
+  {
+    name: "lenient",
+    label: "Lenient",
+    instructions: `
+- Favor the student when intent is reasonably clear
+- Focus on major requirements and core concepts
+- Minor issues should cause small deductions only
+- Partial correctness receives generous partial credit`,
+  },
+  {
+    name: "very_lenient",
+    label: "Very Lenient",
+    instructions: `
+- Reward effort and basic understanding
+- Deduct only for major conceptual misunderstandings
+- Ignore minor errors unless explicitly required
+- Give generous partial credit for relevant attempts`,
+  },
+].map((p) => ({ ...p, floor: null, curve: null, builtin: true }));
+
+function getBuiltinProfile(name) {
+  return BUILTIN_PROFILES.find((p) => p.name === name) || null;
+}
+
+/**
+ * Turn a leniency given as a profile or a built-in name into a profile.
+ * Throws for unknown names (stored profiles must be resolved first with resolveLeniency).
+ */
+function toProfile(leniency) {
+  if (leniency && typeof leniency === "object") return leniency;
+  const profile = getBuiltinProfile(leniency || DEFAULT_LENIENCY);
+  if (!profile) throw new Error(`Unknown leniency: ${leniency}`);
+  return profile;
+}
+
+/**
+ * Names of every available profile (built-in first)
+ */
+async function listProfileNames() {
+  const stored = await listLeniencyProfiles().catch(() => []);
+  return [...BUILTIN_PROFILES, ...stored].map((p) => p.name);
+}
+
+/**
+ * Look up a profile by name (default "normal"). Throws with a client-facing
+ * message listing the available profiles if it doesn't exist.
+ */
+async function resolveLeniency(name) {
+  const wanted = name ? String(name).trim() : DEFAULT_LENIENCY;
+  const builtin = getBuiltinProfile(wanted);
+  if (builtin) return builtin;
+
+  let profile = null;
+  if (PROFILE_NAME_PATTERN.test(wanted)) {
+    profile = await getLeniencyProfile(wanted).catch(() => null);
+  }
+  if (!profile) {
+    throw new Error(`Unknown leniency: ${wanted}. Available: ${(await listProfileNames()).join(", ")}`);
+  }
+  return profile;
+}
+
+/**
+ * Check a profile definition from a request. Returns a list of problems
+ * (empty when valid). `partial` allows omitting instructions (for updates).
+ */
+function validateProfile({ instructions, label, floor, curve } = {}, { partial = false } = {}) {
+  const errors = [];
+
+  if (instructions == null || instructions === "") {
+    if (!partial) errors.push("instructions is required");
+  } else if (typeof instructions !== "string" || !instructions.trim()) {
+    errors.push("instructions must be a non-empty string");
+  }
+
+  if (label != null && typeof label !== "string") errors.push("label must be a string");
+
+  if (floor != null && (typeof floor !== "number" || !Number.isFinite(floor) || floor < 0 || floor > 100)) {
+    errors.push("floor must be a percentage between 0 and 100");
+  }
+
+  if (curve != null) {
+    if (typeof curve !== "object" || Array.isArray(curve)) {
+      errors.push(`curve must be an object with a type (${CURVE_TYPES.join(", ")})`);
+    } else if (!CURVE_TYPES.includes(curve.type)) {
+      errors.push(`curve.type must be one of: ${CURVE_TYPES.join(", ")}`);
+    } else if (curve.type === "linear") {
+      for (const key of ["multiply", "add"]) {
+        if (curve[key] != null && (typeof curve[key] !== "number" || !Number.isFinite(curve[key]))) {
+          errors.push(`curve.${key} must be a number`);
+        }
+      }
+      if (curve.multiply != null && curve.multiply <= 0) errors.push("curve.multiply must be greater than 0");
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Apply a profile's curve, then its floor, to the total percentage of graded
+ * results (in place). Criterion scores are left as graded; the raw total is
+ * kept in `results.leniency_adjustment`. The new total is rounded with the
+ * post-processing pipeline's policy (`rounding`, see
+ * postProcessing.pipelineRounding; 2 decimals without one). Returns the results.
+ *
+ *   linear: percentage × multiply + add
+ *   sqrt:   10 × √percentage (lifts low scores most, 100 stays 100)
+ */
+function applyLeniencyAdjustment(results, profile, { rounding = null } = {}) {
+  if (!results || results.parse_error || typeof results.total_score !== "number") return results;
+  if (profile.floor == null && !profile.curve) return results;
+
+  const maxScore = results.max_score;
+  if (!maxScore) return results;
+
+  const rawPercentage = (results.total_score / maxScore) * 100;
+  let percentage = rawPercentage;
+
+  if (profile.curve?.type === "linear") {
+    percentage = percentage * (profile.curve.multiply ?? 1) + (profile.curve.add ?? 0);
+  } else if (profile.curve?.type === "sqrt") {
+    percentage = 10 * Math.sqrt(Math.max(percentage, 0));
+  }
+  if (profile.floor != null) percentage = Math.max(percentage, profile.floor);
+  percentage = Math.min(Math.max(percentage, 0), 100);
+
+  const exact = (percentage / 100) * maxScore;
+  const total = Math.min(rounding ? roundTo(exact, rounding) : Math.round(exact * 100) / 100, maxScore);
+  if (Math.abs(total - results.total_score) < 1e-9) return results;
+
+  results.leniency_adjustment = {
+    profile: profile.name,
+    floor: profile.floor,
+    curve: profile.curve,
+    raw_total_score: results.total_score,
+    raw_percentage: results.percentage,
+  };
+  results.total_score = total;
+  results.percentage = Math.round((total / maxScore) * 100);
+  return results;
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  DEFAULT_LENIENCY,
+  PROFILE_NAME_PATTERN,
+  CURVE_TYPES,
+  getBuiltinProfile,
+  toProfile,
+  resolveLeniency,
+  validateProfile,
+  applyLeniencyAdjustment,
+};
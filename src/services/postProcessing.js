@@ -0,0 +1,278 @@
+/**
+ * Post-processing rules applied to a graded result before it is returned.
+ *
+ * A pipeline is an ordered list of rules, e.g.
+ *
+ *   [{ "rule": "rescale_max_points", "rounding": "half" },
+ *    { "rule": "contradiction_penalty", "penalty": 0.5, "phrases": ["missing", "not fully"] },
+ *    { "rule": "clamp_scores" },
+ *    { "rule": "clamp_total" }]
+ *
+ * Criterion rules run first, in order; then the total is recalculated from
+ * the criterion scores and total rules run. Every score or max_points a rule
+ * changes is recorded in `results.adjustments`.
+ */
+
+/** Rounding policies: name -> step */
+const ROUNDING_STEPS = { whole: 1, half: 0.5, tenth: 0.1 };
+
+/** Phrases in full-score feedback that describe a deficit */
+const DEFAULT_CONTRADICTION_PHRASES = [
+  "but", "however", "missing", "incomplete", "lacking", "incorrect", "inaccuracies", "inaccuracy",
+  "not fully", "not adequately", "did not", "doesn't provide", "does not provide", "wasn't", "weren't",
+  "failed to", "fell short", "weak", "poorly", "insufficient", "absent", "needs further", "needs more",
+  "needs improvement", "remains largely", "lack of",
+];
+
+/** The pipeline used when a request doesn't specify one */
+const DEFAULT_RULES = [
+  { rule: "rescale_max_points", rounding: "whole" },
+  { rule: "contradiction_penalty", penalty: 1 },
+  { rule: "clamp_scores" },
+  { rule: "clamp_total" },
+];
+
+/**
+ * Round to a policy's step (whole, half, tenth). Unknown policies leave the value as is.
+ */
+function roundTo(value, rounding) {
+  const step = ROUNDING_STEPS[rounding];
+  if (!step) return value;
+  const factor = 1 / step;
+  return Math.round(value * factor) / factor;
+}
+
+/** Drop floating-point noise from sums of decimal scores */
+function tidy(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Criteria with both a numeric score and max_points */
+function scoredCriteria(results) {
+  return Object.entries(results.rubric_breakdown).filter(
+    ([, d]) => d && typeof d.score === "number" && typeof d.max_points === "number"
+  );
+}
+
+/**
+ * Each rule: `stage` ("criteria" or "total"), the config keys it accepts with
+ * a validator returning an error message or null, and `apply(results, config, ctx)`
+ * where ctx is { maxScore, record(change) }.
+ */
+const RULES = {
+  // Rescale max_points (and scores proportionally) when they don't add up to maxScore
+  rescale_max_points: {
+    stage: "criteria",
+    options: { rounding: checkRounding },
+    apply(results, { rounding = "whole" }, { maxScore, record }) {
+      const entries = Object.entries(results.rubric_breakdown);
+      const rawMaxSum = tidy(entries.reduce((sum, [, d]) => sum + (typeof d?.max_points === "number" ? d.max_points : 0), 0));
+      if (rawMaxSum === maxScore || rawMaxSum <= 0) return;
+
+      for (const [criterion, details] of scoredCriteria(results)) {
+        const newMax = roundTo((details.max_points / rawMaxSum) * maxScore, rounding);
+        const newScore = details.max_points > 0 ? roundTo((details.score / details.max_points) * newMax, rounding) : 0;
+        record({ criterion, field: "max_points", from: details.max_points, to: newMax });
+        record({ criterion, field: "score", from: details.score, to: newScore });
+        details.max_points = newMax;
+        details.score = newScore;
+      }
+
+      // Fix rounding: adjust the largest criterion so max_points sum exactly to maxScore
+      let rescaledMaxSum = 0;
+      let largest = null;
+      for (const [criterion, details] of entries) {
+        if (typeof details?.max_points !== "number") continue;
+        rescaledMaxSum += details.max_points;
+        if (!largest || details.max_points >= results.rubric_breakdown[largest].max_points) largest = criterion;
+      }
+      const residual = tidy(maxScore - rescaledMaxSum);
+      if (residual !== 0 && largest) {
+        const details = results.rubric_breakdown[largest];
+        const newMax = tidy(details.max_points + residual);
+        record({ criterion: largest, field: "max_points", from: details.max_points, to: newMax, reason: "rounding remainder" });
+        details.max_points = newMax;
+      }
+    },
+  },
+
+  // Deduct `penalty` from full-score criteria whose feedback describes a deficit
+  contradiction_penalty: {
+    stage: "criteria",
+    options: { penalty: checkPositiveNumber, phrases: checkPhrases },
+    apply(results, { penalty = 1, phrases = DEFAULT_CONTRADICTION_PHRASES }, { record }) {
+      if (phrases.length === 0) return;
+      const pattern = new RegExp(`\\b(${phrases.map(escapeRegExp).join("|")})\\b`, "i");
+
+      for (const [criterion, details] of scoredCriteria(results)) {
+        if (details.score !== details.max_points || typeof details.feedback !== "string") continue;
+        // A chosen performance level already accounts for the feedback
+        if (details.level) continue;
+        const match = details.feedback.match(pattern);
+        if (!match) continue;
+        // Feedback describes real issues — adjust the score down, not the feedback
+        const newScore = tidy(Math.max(0, details.score - penalty));
+        record({ criterion, field: "score", from: details.score, to: newScore, reason: `feedback mentions "${match[1]}"` });
+        details.score = newScore;
+      }
+    },
+  },
+
+  // Clamp each score to [0, max_points]
+  clamp_scores: {
+    stage: "criteria",
+    options: {},
+    apply(results, _config, { record }) {
+      for (const [criterion, details] of scoredCriteria(results)) {
+        const clamped = Math.min(Math.max(details.score, 0), details.max_points);
+        record({ criterion, field: "score", from: details.score, to: clamped });
+        details.score = clamped;
+      }
+    },
+  },
+
+  // Round each score to a policy's step
+  round_scores: {
+    stage: "criteria",
+    options: { rounding: checkRounding },
+    apply(results, { rounding = "whole" }, { record }) {
+      for (const [criterion, details] of scoredCriteria(results)) {
+        const rounded = roundTo(details.score, rounding);
+        record({ criterion, field: "score", from: details.score, to: rounded });
+        details.score = rounded;
+      }
+    },
+  },
+
+  // Clamp the total to [0, maxScore]
+  clamp_total: {
+    stage: "total",
+    options: {},
+    apply(results, _config, { maxScore, record }) {
+      const clamped = Math.min(Math.max(results.total_score, 0), maxScore);
+      record({ field: "total_score", from: results.total_score, to: clamped });
+      results.total_score = clamped;
+    },
+  },
+
+  // Round the total to a policy's step
+  round_total: {
+    stage: "total",
+    options: { rounding: checkRounding },
+    apply(results, { rounding = "whole" }, { record }) {
+      const rounded = roundTo(results.total_score, rounding);
+      record({ field: "total_score", from: results.total_score, to: rounded });
+      results.total_score = rounded;
+    },
+  },
+};
+
+function checkRounding(value) {
+  return Object.hasOwn(ROUNDING_STEPS, value) ? null : `must be one of: ${Object.keys(ROUNDING_STEPS).join(", ")}`;
+}
+
+function checkPositiveNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0 ? null : "must be a number greater than 0";
+}
+
+function checkPhrases(value) {
+  return Array.isArray(value) && value.every((p) => typeof p === "string" && p.trim())
+    ? null
+    : "must be an array of non-empty strings";
+}
+
+/**
+ * Read a rule pipeline from a request value (JSON string or array). Returns
+ * null when none was given (use the default pipeline). Throws with a
+ * client-facing message for invalid pipelines.
+ */
+function parsePostProcessingRules(value) {
+  if (value == null || value === "") return null;
+
+  let rules = value;
+  if (typeof rules === "string") {
+    try {
+      rules = JSON.parse(rules);
+    } catch {
+      throw new Error("postProcessing must be a JSON array of rules");
+    }
+  }
+  if (!Array.isArray(rules)) throw new Error("postProcessing must be a JSON array of rules");
+
+  return rules.map((entry, i) => {
+    const where = `postProcessing[${i}]`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`${where} must be an object with a "rule"`);
+    }
+    const definition = Object.hasOwn(RULES, entry.rule) ? RULES[entry.rule] : null;
+    if (!definition) {
+      throw new Error(`${where}: unknown rule "${entry.rule}". Available: ${Object.keys(RULES).join(", ")}`);
+    }
+
+    const config = { rule: entry.rule };
+    for (const [key, val] of Object.entries(entry)) {
+      if (key === "rule") continue;
+      const check = definition.options[key];
+      if (!check) throw new Error(`${where}: ${entry.rule} has no option "${key}"`);
+      const problem = check(val);
+      if (problem) throw new Error(`${where}.${key} ${problem}`);
+      config[key] = key === "phrases" ? val.map((p) => p.trim()) : val;
+    }
+    return config;
+  });
+}
+
+/**
+ * The rounding policy a pipeline gives totals: its last round_total rule's,
+ * else its last rule that rounds criterion scores (null when none rounds)
+ */
+function pipelineRounding(rules = DEFAULT_RULES) {
+  const last = (names) => [...rules].reverse().find((c) => names.includes(c.rule));
+  const rule = last(["round_total"]) || last(["rescale_max_points", "round_scores"]);
+  return rule ? rule.rounding || "whole" : null;
+}
+
+/**
+ * Run a rule pipeline over graded results (in place) and recalculate
+ * total_score, max_score and percentage. Sets `results.adjustments` to the
+ * list of changes: { rule, criterion?, field, from, to, reason? }.
+ */
+function applyPostProcessing(results, maxScore, rules = DEFAULT_RULES) {
+  const adjustments = [];
+  const run = (stage) => {
+    for (const config of rules) {
+      const definition = RULES[config.rule];
+      if (definition.stage !== stage) continue;
+      const record = (change) => {
+        if (change.from !== change.to) adjustments.push({ rule: config.rule, ...change });
+      };
+      definition.apply(results, config, { maxScore, record });
+    }
+  };
+
+  run("criteria");
+
+  results.total_score = tidy(scoredCriteria(results).reduce((sum, [, d]) => sum + d.score, 0));
+  results.max_score = maxScore;
+
+  run("total");
+
+  results.percentage = Math.min(Math.round((results.total_score / results.max_score) * 100), 100);
+  results.adjustments = adjustments;
+  return results;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  DEFAULT_CONTRADICTION_PHRASES,
+  ROUNDING_STEPS,
+  RULES,
+  roundTo,
+  pipelineRounding,
+  parsePostProcessingRules,
+  applyPostProcessing,
+};
@@ -0,0 +1,110 @@
+/**
+ * Rubric library: rubrics stored in MySQL (table `rubrics`) and reused by id
+ * instead of uploading the rubric with every request.
+ *
+ * A library rubric is { id, version, name, description, tags, rubric }.
+ * Every edit is a new version; grading results record the id and version
+ * they were graded with.
+ */
+
+const { getLatestRubric, getRubricVersion } = require("../db");
+const { validateRubric } = require("./rubricValidation");
+
+/** Allowed rubric ids: letters, digits, "-" and "_" */
+const RUBRIC_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,99}$/;
+
+/** Characters in a rubric's description (column size) */
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/** Tags per rubric, and characters per tag */
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Read tags from a request value: an array or a comma-separated string.
+ * Tags are trimmed, lower-cased and de-duplicated. Throws with a
+ * client-facing message for invalid tags.
+ */
+function normalizeTags(value) {
+  if (value == null || value === "") return [];
+  const list = typeof value === "string" ? value.split(",") : value;
+  if (!Array.isArray(list) || !list.every((t) => typeof t === "string")) {
+    throw new Error("tags must be an array of strings or a comma-separated string");
+  }
+
+  const tags = [...new Set(list.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) throw new Error(`At most ${MAX_TAGS} tags are allowed`);
+  const tooLong = tags.find((t) => t.length > MAX_TAG_LENGTH);
+  if (tooLong) throw new Error(`Tag "${tooLong}" is longer than ${MAX_TAG_LENGTH} characters`);
+  return tags;
+}
+
+/**
+ * Check a library rubric from a request and normalize its rubric (see
+ * rubricValidation.validateRubric). Returns { errors, rubric, report } —
+ * `errors` is empty when it can be saved. `partial` allows omitting fields
+ * (for updates).
+ */
+function validateLibraryRubric({ name, description, rubric } = {}, { partial = false } = {}) {
+  const errors = [];
+
+  if (name == null || name === "") {
+    if (!partial) errors.push("name is required");
+  } else if (typeof name !== "string" || !name.trim()) {
+    errors.push("name must be a non-empty string");
+  } else if (name.length > 255) {
+    errors.push("name must be at most 255 characters");
+  }
+  if (description != null && typeof description !== "string") {
+    errors.push("description must be a string");
+  } else if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+    errors.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  let check = null;
+  if (rubric == null || rubric === "") {
+    if (!partial) errors.push("rubric is required");
+  } else {
+    check = validateRubric(rubric);
+    if (check.type === "none") errors.push("rubric is empty");
+    for (const w of check.warnings) {
+      if (w.severity === "error") errors.push(`rubric: ${w.message}`);
+    }
+  }
+
+  return {
+    errors,
+    rubric: check ? check.rubric : null,
+    report: check ? { type: check.type, valid: check.valid, warnings: check.warnings } : null,
+  };
+}
+
+/**
+ * Look up a library rubric by id and optional version (default: latest).
+ * Throws with a client-facing message if it doesn't exist.
+ */
+async function resolveRubric(id, version = null) {
+  const rubricId = String(id).trim();
+  const wanted = version != null && version !== "" ? parseInt(version) : null;
+  if (wanted !== null && (!Number.isInteger(wanted) || wanted < 1)) {
+    throw new Error("rubricVersion must be a positive integer");
+  }
+
+  let stored = null;
+  try {
+    stored = wanted !== null ? await getRubricVersion(rubricId, wanted) : await getLatestRubric(rubricId);
+  } catch (err) {
+    throw new Error(`Rubric "${rubricId}" could not be loaded: ${err.message}`);
+  }
+  if (!stored) {
+    throw new Error(wanted !== null ? `Unknown rubric version: ${rubricId} v${wanted}` : `Unknown rubric: ${rubricId}`);
+  }
+  return stored;
+}
+
+module.exports = {
+  RUBRIC_ID_PATTERN,
+  normalizeTags,
+  validateLibraryRubric,
+  resolveRubric,
+};
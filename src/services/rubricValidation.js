@@ -0,0 +1,356 @@
+/**
+ * Rubric validation and normalization.
+ *
+ * Turns whatever was sent as a rubric into the shape the grader expects and
+ * reports what had to be fixed or looks wrong:
+ *   - JSON text is parsed; text that looks like JSON but doesn't parse is flagged
+ *   - criterion lists ([{ name, max_points }]) become objects keyed by name
+ *   - typo'd keys (max_point, maxPoints, desc, ...) are renamed
+ *   - numeric strings become numbers, a lone checklist string becomes a list
+ *   - levels are normalized and max_points derived from them (see analyticRubric.js)
+ *
+ * Each warning is { code, severity, message, criterion? }. Severity "error"
+ * marks a rubric that would be graded differently than written (strict mode
+ * rejects it); "warning" marks something that was fixed automatically.
+ */
+
+const { criterionMaxPoints } = require("./analyticRubric");
+
+/** Canonical criterion keys */
+const CRITERION_KEYS = ["max_points", "description", "criteria", "levels"];
+
+/** Canonical level keys */
+const LEVEL_KEYS = ["name", "points", "descriptor"];
+
+/** Common alternative spellings (compared after lower-casing and turning spaces/dashes into _) */
+const CRITERION_KEY_ALIASES = {
+  points: "max_points",
+  max: "max_points",
+  maxpoints: "max_points",
+  max_point: "max_points",
+  max_pts: "max_points",
+  max_score: "max_points",
+  total_points: "max_points",
+  desc: "description",
+  details: "description",
+  checklist: "criteria",
+  items: "criteria",
+  criterion: "criteria",
+  requirements: "criteria",
+  level: "levels",
+  performance_levels: "levels",
+  scale: "levels",
+};
+
+const LEVEL_KEY_ALIASES = {
+  label: "name",
+  level: "name",
+  title: "name",
+  score: "points",
+  pts: "points",
+  point: "points",
+  value: "points",
+  description: "descriptor",
+  desc: "descriptor",
+};
+
+/** Keys a criterion entry may carry without a warning (used by other features) */
+const PASSTHROUGH_KEYS = ["name", "weight", "id"];
+
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
+
+/**
+ * Levenshtein distance, for catching typos like "max_pionts"
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * The canonical key a (possibly misspelled) key stands for, or null
+ */
+function canonicalKey(key, known, aliases) {
+  const k = key.trim().toLowerCase().replace(/[\s-]+/g, "_");
+  if (known.includes(k)) return k;
+  if (aliases[k]) return aliases[k];
+  if (k.length >= 5) {
+    const close = known.find((c) => editDistance(k, c) <= 2);
+    if (close) return close;
+  }
+  return null;
+}
+
+/**
+ * Turn "10", "10 pts", "7.5" into numbers; anything else is returned as is
+ */
+function toNumber(value) {
+  if (typeof value !== "string") return value;
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(?:pts?|points?)?$/i);
+  return match ? Number(match[1]) : value;
+}
+
+/**
+ * Top-level keys that appear more than once in a JSON object text.
+ * JSON.parse silently keeps only the last one.
+ */
+function findDuplicateKeys(text) {
+  const seen = new Set();
+  const duplicates = new Set();
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "{" || ch === "[") depth++;
+    else if (ch === "}" || ch === "]") depth--;
+    else if (ch === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') j += text[j] === "\\" ? 2 : 1;
+      const rest = text.slice(j + 1).match(/^\s*:/);
+      if (depth === 1 && rest) {
+        const key = JSON.parse(text.slice(i, j + 1));
+        if (seen.has(key)) duplicates.add(key);
+        seen.add(key);
+      }
+      i = j;
+    }
+  }
+  return [...duplicates];
+}
+
+/**
+ * Normalize one criterion entry. `warn(code, severity, message)` records issues.
+ */
+function normalizeCriterion(value, warn) {
+  if (typeof value === "number" || (typeof value === "string" && typeof toNumber(value) === "number")) {
+    warn("coerced_value", "warning", "A bare number was read as max_points");
+    return { max_points: toNumber(value) };
+  }
+  if (!isPlainObject(value)) return value;
+
+  const criterion = {};
+  for (const [key, val] of Object.entries(value)) {
+    if (PASSTHROUGH_KEYS.includes(key)) {
+      if (key !== "name") criterion[key] = val;
+      continue;
+    }
+    const canonical = canonicalKey(key, CRITERION_KEYS, CRITERION_KEY_ALIASES);
+    if (!canonical) {
+      warn("unknown_key", "warning", `Unknown key "${key}" was kept as is`);
+      criterion[key] = val;
+      continue;
+    }
+    if (canonical !== key) {
+      if (Object.hasOwn(value, canonical)) {
+        warn("unknown_key", "warning", `Key "${key}" looks like "${canonical}", which is also present — kept as is`);
+        criterion[key] = val;
+        continue;
+      }
+      warn("renamed_key", "warning", `Key "${key}" was read as "${canonical}"`);
+    }
+    criterion[canonical] = val;
+  }
+
+  if (criterion.max_points !== undefined) {
+    const n = toNumber(criterion.max_points);
+    if (typeof n !== "number") {
+      warn("invalid_points", "error", `max_points must be a number (got ${JSON.stringify(criterion.max_points)})`);
+      delete criterion.max_points;
+    } else {
+      if (n !== criterion.max_points) warn("coerced_value", "warning", `max_points "${criterion.max_points}" was read as ${n}`);
+      if (n < 0) warn("invalid_points", "error", "max_points is negative");
+      criterion.max_points = n;
+    }
+  }
+
+  if (typeof criterion.criteria === "string") {
+    warn("coerced_value", "warning", "criteria was a single string and was turned into a list");
+    criterion.criteria = criterion.criteria.trim() ? [criterion.criteria] : [];
+  }
+
+  if (criterion.levels !== undefined) {
+    criterion.levels = normalizeLevels(criterion.levels, warn);
+    if (criterion.levels.length === 0) delete criterion.levels;
+  }
+
+  if (criterion.max_points === undefined && criterionMaxPoints(criterion) != null) {
+    criterion.max_points = criterionMaxPoints(criterion);
+  }
+
+  return criterion;
+}
+
+/**
+ * Normalize a criterion's levels to [{ name, points, descriptor }].
+ * Also accepts an object keyed by level name.
+ */
+function normalizeLevels(levels, warn) {
+  let list = levels;
+  if (isPlainObject(levels)) {
+    list = Object.entries(levels).map(([name, v]) => (isPlainObject(v) ? { name, ...v } : { name, points: v }));
+  }
+  if (!Array.isArray(list)) {
+    warn("invalid_level", "error", "levels must be a list of { name, points, descriptor }");
+    return [];
+  }
+
+  const normalized = [];
+  const names = new Set();
+  list.forEach((entry, i) => {
+    if (!isPlainObject(entry)) {
+      warn("invalid_level", "error", `Level ${i + 1} is not an object`);
+      return;
+    }
+    const level = {};
+    for (const [key, val] of Object.entries(entry)) {
+      const canonical = canonicalKey(key, LEVEL_KEYS, LEVEL_KEY_ALIASES) || key;
+      if (canonical !== key) warn("renamed_key", "warning", `Level key "${key}" was read as "${canonical}"`);
+      level[canonical] = canonical === "points" ? toNumber(val) : val;
+    }
+    if (typeof level.name !== "string" || !level.name.trim()) {
+      warn("invalid_level", "error", `Level ${i + 1} has no name`);
+      return;
+    }
+    level.name = level.name.trim();
+    if (typeof level.points !== "number") {
+      warn("invalid_level", "error", `Level "${level.name}" has no numeric points`);
+      return;
+    }
+    if (names.has(level.name.toLowerCase())) {
+      warn("duplicate_level", "error", `Level "${level.name}" appears more than once`);
+      return;
+    }
+    names.add(level.name.toLowerCase());
+    normalized.push({ name: level.name, points: level.points, descriptor: level.descriptor ?? "" });
+  });
+  return normalized;
+}
+
+/**
+ * Validate and normalize a rubric.
+ *
+ * @param {string|object|null} input - rubric text (JSON or freeform) or parsed rubric
+ * @param {object} [options]
+ * @param {number} [options.maxScore] - check that max_points add up to this
+ * @returns {{ valid, type, rubric, warnings, totalPoints, criteriaCount }}
+ *   type is "none", "freeform", "structured" or "analytic"
+ */
+function validateRubric(input, { maxScore = null } = {}) {
+  const warnings = [];
+  const warnFor = (criterion) => (code, severity, message) =>
+    warnings.push({ code, severity, ...(criterion != null ? { criterion } : {}), message });
+  const warn = warnFor(null);
+  const result = (type, rubric, extra = {}) => ({
+    valid: !warnings.some((w) => w.severity === "error"),
+    type,
+    rubric,
+    warnings,
+    totalPoints: null,
+    criteriaCount: 0,
+    ...extra,
+  });
+
+  if (input == null || (typeof input === "string" && !input.trim())) {
+    return result("none", null);
+  }
+
+  let rubric = input;
+  if (typeof input === "string") {
+    const text = input.trim();
+    if (!/^[[{]/.test(text)) return result("freeform", input);
+    try {
+      rubric = JSON.parse(text);
+    } catch (err) {
+      warn("invalid_json", "error", `Rubric looks like JSON but does not parse (${err.message}) — it would be graded as freeform text`);
+      return result("freeform", input);
+    }
+    for (const key of findDuplicateKeys(text)) {
+      warnFor(key)("duplicate_name", "error", `Criterion "${key}" appears more than once — only the last one would be used`);
+    }
+  }
+
+  // A list of criteria, bare or wrapped as { "criteria": [...] }
+  if (isPlainObject(rubric) && Object.keys(rubric).length === 1 && Array.isArray(rubric.criteria) && rubric.criteria.every(isPlainObject)) {
+    rubric = rubric.criteria;
+  }
+  if (Array.isArray(rubric)) {
+    const byName = {};
+    rubric.forEach((entry, i) => {
+      const name = isPlainObject(entry) && typeof (entry.name ?? entry.criterion) === "string" ? (entry.name ?? entry.criterion).trim() : "";
+      if (!name) {
+        warn("empty_name", "error", `Criterion ${i + 1} has no name`);
+        return;
+      }
+      if (Object.hasOwn(byName, name)) {
+        warnFor(name)("duplicate_name", "error", `Criterion "${name}" appears more than once — only the first one is kept`);
+        return;
+      }
+      const { criterion: _criterion, ...rest } = entry;
+      byName[name] = rest;
+    });
+    rubric = byName;
+  }
+
+  if (!isPlainObject(rubric)) {
+    warn("invalid_rubric", "error", "A JSON rubric must be an object of criteria");
+    return result("freeform", typeof input === "string" ? input : JSON.stringify(rubric));
+  }
+
+  const normalized = {};
+  const seen = new Map();
+  for (const [rawName, value] of Object.entries(rubric)) {
+    const name = rawName.trim();
+    if (!name) {
+      warn("empty_name", "error", "A criterion has an empty name");
+      continue;
+    }
+    const folded = name.toLowerCase();
+    if (seen.has(folded)) {
+      warnFor(name)("duplicate_name", "error", `Criterion "${name}" duplicates "${seen.get(folded)}"`);
+    }
+    seen.set(folded, name);
+    if (name !== rawName) warnFor(name)("renamed_key", "warning", `Criterion name "${rawName}" was trimmed`);
+
+    normalized[name] = normalizeCriterion(value, warnFor(name));
+  }
+
+  const scored = Object.values(normalized).filter((c) => criterionMaxPoints(c) != null);
+  if (scored.length === 0) {
+    warn("no_point_values", "warning", "No criterion has max_points or levels — the rubric is graded as freeform");
+    return result("freeform", normalized, { criteriaCount: Object.keys(normalized).length });
+  }
+
+  // In a points rubric, criteria without points are ignored when scoring
+  for (const [name, criterion] of Object.entries(normalized)) {
+    if (criterionMaxPoints(criterion) != null) continue;
+    const empty = !isPlainObject(criterion) || !(criterion.description || (criterion.criteria || []).length);
+    warnFor(name)(
+      empty ? "empty_criterion" : "missing_points",
+      "error",
+      empty ? `Criterion "${name}" is empty` : `Criterion "${name}" has no max_points or levels`
+    );
+  }
+
+  const totalPoints = Math.round(scored.reduce((sum, c) => sum + criterionMaxPoints(c), 0) * 1e6) / 1e6;
+  if (maxScore != null && totalPoints !== maxScore) {
+    warn("sum_mismatch", "error", `Criterion max_points add up to ${totalPoints}, but maxScore is ${maxScore} — scores would be rescaled`);
+  }
+
+  const type = scored.some((c) => Array.isArray(c.levels) && c.levels.length > 0) ? "analytic" : "structured";
+  return result(type, normalized, { totalPoints, criteriaCount: Object.keys(normalized).length });
+}
+
+module.exports = {
+  validateRubric,
+  findDuplicateKeys,
+};
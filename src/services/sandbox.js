@@ -0,0 +1,291 @@
+/**
+ * Run an untrusted command (a student's code under an instructor's tests) on
+ * the grading host with no network and limited resources.
+ *
+ * SANDBOX selects how:
+ *   - "unshare" (default): new user, network, mount and pid namespaces. The
+ *     command sees a private tmpfs root holding only read-only binds of the
+ *     system directories (SANDBOX_READONLY_PATHS) and the work directory at
+ *     /work, runs as an unprivileged user with ulimits on memory, CPU time,
+ *     file size, processes and core dumps, and dies with its namespace.
+ *   - "docker": `docker run --network none` in SANDBOX_DOCKER_IMAGE with
+ *     memory, CPU and process limits; only the work directory is mounted.
+ *   - "off": test execution is disabled.
+ *
+ * Every run also has a wall-clock timeout (SANDBOX_TIMEOUT_MS) that kills the
+ * whole process group.
+ */
+
+const { spawn, execFile } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SANDBOX_MODES = ["unshare", "docker", "off"];
+
+const SANDBOX_MODE = (process.env.SANDBOX || "unshare").toLowerCase();
+
+/** Wall-clock limit per command */
+const SANDBOX_TIMEOUT_MS = parseInt(process.env.SANDBOX_TIMEOUT_MS) || 30000;
+
+/** Memory limit per command */
+const SANDBOX_MEMORY_MB = parseInt(process.env.SANDBOX_MEMORY_MB) || 512;
+
+/** Largest file a command may write */
+const MAX_FILE_KB = 10 * 1024;
+
+/** Processes a command may run at once */
+const MAX_PROCESSES = 128;
+
+/** uid / gid of "nobody": the user commands run as inside the sandbox */
+const NOBODY = 65534;
+
+/**
+ * The kernel doesn't apply process limits to root, so a root server drops to
+ * NOBODY before unsharing (see ownForSandbox)
+ */
+const RUNNING_AS_ROOT = process.getuid?.() === 0;
+
+/**
+ * Host paths bound read-only into the unshare sandbox (colon-separated
+ * SANDBOX_READONLY_PATHS); missing ones are skipped. Everything else on the
+ * host, the server's own directory included, is invisible to the command.
+ */
+const SANDBOX_READONLY_PATHS = (
+  process.env.SANDBOX_READONLY_PATHS ||
+  [
+    "/usr", "/bin", "/sbin", "/lib", "/lib32", "/lib64", "/libx32", "/opt",
+    "/etc/alternatives", "/etc/ld.so.cache", "/etc/ld.so.conf", "/etc/ld.so.conf.d",
+    "/etc/passwd", "/etc/group", "/etc/nsswitch.conf", "/etc/localtime", "/etc/ssl/certs",
+  ].join(":")
+)
+  .split(":")
+  .filter((p) => path.isAbsolute(p));
+
+/**
+ * Sets up the unshare sandbox as root of the new namespaces, then runs the
+ * command. Arguments: root mountpoint, work directory, ulimit commands, command,
+ * read-only paths.
+ * The root is pivoted onto a tmpfs and the old one detached; the command runs
+ * in a nested user namespace as NOBODY, so it can't undo the read-only binds.
+ * dash has no `ulimit -u`, so the process limit is set with prlimit.
+ */
+const UNSHARE_SETUP = `set -e
+root=$1 work=$2 limits=$3 command=$4
+shift 4
+mount -t tmpfs -o size=64m,mode=0755 sandbox "$root"
+for p in "$@"; do
+  if [ -L "$p" ]; then
+    mkdir -p "$root$(dirname "$p")" && cp -P "$p" "$root$p"
+  elif [ -e "$p" ]; then
+    if [ -d "$p" ]; then mkdir -p "$root$p"; else mkdir -p "$root$(dirname "$p")" && touch "$root$p"; fi
+    mount --bind "$p" "$root$p" && mount -o remount,bind,ro "$root$p"
+  fi
+done
+mkdir -p "$root/dev" "$root/proc" "$root/work" "$root/.old"
+mkdir -m 1777 "$root/tmp"
+for d in null zero full random urandom; do
+  touch "$root/dev/$d" && mount --bind "/dev/$d" "$root/dev/$d"
+done
+ln -s /proc/self/fd "$root/dev/fd"
+mount --bind "$work" "$root/work"
+cd "$root"
+pivot_root . .old
+mount -t proc proc /proc
+umount -l /.old
+rmdir /.old
+cd /work
+exec unshare --user --map-user=${NOBODY} --map-group=${NOBODY} -- sh -c "$limits && exec prlimit --nproc=${MAX_PROCESSES} -- sh -c \\"\\$1\\"" sandbox "$command"`;
+
+/** Output kept per stream */
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+/**
+ * Whether commands can be run at all. Throws with a client-facing message
+ * when the sandbox is disabled or misconfigured.
+ */
+function checkSandbox() {
+  if (!SANDBOX_MODES.includes(SANDBOX_MODE)) {
+    throw new Error(`Unknown SANDBOX mode: ${SANDBOX_MODE}. Use one of: ${SANDBOX_MODES.join(", ")}`);
+  }
+  if (SANDBOX_MODE === "off") {
+    throw new Error("Test execution is disabled on this server (SANDBOX=off)");
+  }
+  if (SANDBOX_MODE === "docker" && !process.env.SANDBOX_DOCKER_IMAGE) {
+    throw new Error("SANDBOX=docker needs SANDBOX_DOCKER_IMAGE (an image with the compilers and runtimes to test with)");
+  }
+}
+
+let unshareProbe = null;
+
+/**
+ * Check once that the unshare sandbox can be set up on this host (user
+ * namespaces, tmpfs and bind mounts), so a missing permission is reported as
+ * such rather than as a failing test
+ */
+function probeUnshare() {
+  if (!unshareProbe) {
+    unshareProbe = new Promise((resolve, reject) => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checker-probe-"));
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), "checker-root-"));
+      ownForSandbox(dir, root);
+      const [program, args, env] = sandboxCommand(dir, "true", null, root);
+      execFile(program, args, { env, timeout: 10000 }, (err, _stdout, stderr) => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        fs.rmSync(root, { recursive: true, force: true });
+        if (err) reject(new Error(`Sandbox unavailable: ${String(stderr || err.message).trim()}`));
+        else resolve();
+      });
+    });
+  }
+  return unshareProbe;
+}
+
+/**
+ * Give directories (recursively) to NOBODY when a root server drops to it, so
+ * the sandbox can still use them
+ */
+function ownForSandbox(...dirs) {
+  if (!RUNNING_AS_ROOT) return;
+  for (const dir of dirs) {
+    fs.chownSync(dir, NOBODY, NOBODY);
+    for (const entry of fs.readdirSync(dir, { recursive: true })) {
+      fs.lchownSync(path.join(dir, entry), NOBODY, NOBODY);
+    }
+  }
+}
+
+/**
+ * The program, arguments and environment that run `command` in `dir` in the
+ * sandbox. `root` is an empty directory to mount the unshare sandbox's root on.
+ */
+function sandboxCommand(dir, command, name, root) {
+  if (SANDBOX_MODE === "docker") {
+    return [
+      "docker",
+      [
+        "run", "--rm", "--name", name,
+        "--network", "none",
+        "--memory", `${SANDBOX_MEMORY_MB}m`, "--memory-swap", `${SANDBOX_MEMORY_MB}m`,
+        "--cpus", "1", "--pids-limit", String(MAX_PROCESSES),
+        "-v", `${dir}:/work`, "-w", "/work",
+        process.env.SANDBOX_DOCKER_IMAGE,
+        "sh", "-c", command,
+      ],
+      { PATH: process.env.PATH, HOME: dir, TMPDIR: dir, LANG: "C.UTF-8" },
+    ];
+  }
+
+  const limits = [
+    // Data (not address space) limit: V8 and the JVM reserve far more address space than they use
+    `ulimit -d ${SANDBOX_MEMORY_MB * 1024}`,
+    `ulimit -t ${Math.ceil(SANDBOX_TIMEOUT_MS / 1000)}`,
+    `ulimit -f ${MAX_FILE_KB}`,
+    "ulimit -c 0",
+  ].join(" && ");
+  const unshare = [
+    "unshare",
+    "--user", "--map-root-user", "--net", "--mount", "--pid", "--kill-child", "--propagation", "private",
+    "--", "sh", "-c", UNSHARE_SETUP, "sandbox", root, dir, limits, command, ...SANDBOX_READONLY_PATHS,
+  ];
+  const env = { PATH: process.env.PATH, HOME: "/work", TMPDIR: "/work", LANG: "C.UTF-8" };
+  if (RUNNING_AS_ROOT) {
+    return ["setpriv", ["--reuid", String(NOBODY), "--regid", String(NOBODY), "--clear-groups", "--", ...unshare], env];
+  }
+  return [unshare[0], unshare.slice(1), env];
+}
+
+/**
+ * Run a shell command in `dir` inside the sandbox. Resolves to
+ * { exit_code, timed_out, output, duration_ms } — `output` is stdout then
+ * stderr, each cut at MAX_OUTPUT_BYTES. Rejects when the sandbox can't be
+ * used. An aborted `signal` kills the command and rejects with AbortError.
+ */
+async function runInSandbox(dir, command, { signal = null } = {}) {
+  checkSandbox();
+  if (SANDBOX_MODE === "unshare") await probeUnshare();
+  const name = `checker-sandbox-${crypto.randomBytes(6).toString("hex")}`;
+  const root = SANDBOX_MODE === "unshare" ? fs.mkdtempSync(path.join(os.tmpdir(), "checker-root-")) : null;
+  if (root) ownForSandbox(dir, root);
+  const [program, args, env] = sandboxCommand(dir, command, name, root);
+  const cleanup = () => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+  };
+
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const child = spawn(program, args, {
+      cwd: dir,
+      detached: true,
+      env,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    const streams = { stdout: [], stderr: [] };
+    const sizes = { stdout: 0, stderr: 0 };
+    for (const key of ["stdout", "stderr"]) {
+      child[key].on("data", (chunk) => {
+        if (sizes[key] < MAX_OUTPUT_BYTES) streams[key].push(chunk.subarray(0, MAX_OUTPUT_BYTES - sizes[key]));
+        sizes[key] += chunk.length;
+      });
+    }
+
+    let timedOut = false;
+    let aborted = false;
+    const kill = () => {
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch {
+        // already exited
+      }
+      if (SANDBOX_MODE === "docker") execFile("docker", ["kill", name], () => {});
+    };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, SANDBOX_TIMEOUT_MS);
+    const onAbort = () => {
+      aborted = true;
+      kill();
+    };
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      cleanup();
+      if (signal) signal.removeEventListener("abort", onAbort);
+      reject(new Error(`Could not start the sandbox (${program}): ${err.message}`));
+    });
+
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      cleanup();
+      if (signal) signal.removeEventListener("abort", onAbort);
+      if (aborted) {
+        const err = new Error("Test run cancelled");
+        err.name = "AbortError";
+        return reject(err);
+      }
+
+      const text = (key) => {
+        const out = Buffer.concat(streams[key]).toString("utf8");
+        return sizes[key] > MAX_OUTPUT_BYTES ? `${out}\n[... ${sizes[key] - MAX_OUTPUT_BYTES} more bytes of ${key} cut ...]` : out;
+      };
+      resolve({
+        exit_code: code,
+        timed_out: timedOut,
+        output: [text("stdout"), text("stderr")].filter((t) => t.trim()).join("\n"),
+        duration_ms: Date.now() - started,
+      });
+    });
+  });
+}
+
+module.exports = {
+  SANDBOX_MODE,
+  SANDBOX_TIMEOUT_MS,
+  SANDBOX_MEMORY_MB,
+  checkSandbox,
+  runInSandbox,
+};
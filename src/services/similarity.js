@@ -0,0 +1,306 @@
+/**
+ * Similarity (plagiarism) detection between submissions.
+ *
+ * Each submission is fingerprinted as the set of its word shingles (runs of
+ * SHINGLE_SIZE words, lower-cased, punctuation ignored) plus a MinHash
+ * signature of that set. Shingles that also occur in the assignment
+ * instructions are dropped, so copied question text doesn't count.
+ *
+ * Signatures are compared first (a cheap Jaccard estimate); likely pairs are
+ * then checked on the exact shingle sets and reported with the passages they
+ * share. Batches are compared among themselves (compareBatch); saved results
+ * are compared against earlier results of the same assignment or batch job
+ * and the pairs stored (recordSimilarity).
+ */
+
+const {
+  saveFingerprint,
+  getFingerprints,
+  getShingles,
+  saveSimilarityMatches,
+} = require("../db");
+
+/** Words per shingle */
+const SHINGLE_SIZE = 5;
+
+/** MinHash signature length */
+const NUM_HASHES = 128;
+
+/** Bumped when shingling or hashing changes; other versions are not compared */
+const FINGERPRINT_VERSION = 1;
+
+/** Pairs are reported from this Jaccard similarity of their shingle sets... */
+const SIMILARITY_THRESHOLD = 0.3;
+
+/** ...or when this share of the shorter submission's shingles is in the other */
+const OVERLAP_THRESHOLD = 0.5;
+
+/** Signature estimates below these (with slack for MinHash error) skip the exact check */
+const CANDIDATE_SIMILARITY = 0.2;
+const CANDIDATE_OVERLAP = 0.35;
+
+/** Pairs sharing fewer shingles than this are never reported (short submissions) */
+const MIN_SHARED_SHINGLES = 8;
+
+/** Passages reported per pair, and their maximum length */
+const MAX_PASSAGES = 5;
+const MAX_PASSAGE_CHARS = 300;
+
+/** Earlier results compared against a new one, newest first */
+const MAX_HISTORY = 2000;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+/** 32-bit FNV-1a hash of a string */
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** Murmur3 finalizer: spreads a 32-bit value over all bits */
+function mix(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/** One seed per MinHash function, fixed so stored signatures stay comparable */
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix(0x9e3779b9 + i));
+
+/** Words of a text with their offsets: [{ word, start, end }] */
+function tokenize(text) {
+  return [...String(text || "").matchAll(WORD_PATTERN)].map((m) => ({
+    word: m[0].toLowerCase(),
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+}
+
+/** Hash of the shingle starting at each word position */
+function shingleHashes(tokens) {
+  const hashes = [];
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    hashes.push(hashString(tokens.slice(i, i + SHINGLE_SIZE).map((t) => t.word).join(" ")));
+  }
+  return hashes;
+}
+
+/** MinHash signature of a set of shingle hashes */
+function minhash(shingles) {
+  const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  for (const h of shingles) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const v = mix(h ^ SEEDS[i]);
+      if (v < signature[i]) signature[i] = v;
+    }
+  }
+  return signature;
+}
+
+function encode(values) {
+  return Buffer.from(values.buffer, values.byteOffset, values.byteLength).toString("base64");
+}
+
+function decode(base64) {
+  const buf = Buffer.from(base64, "base64");
+  return new Uint32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+}
+
+/**
+ * Fingerprint a submission. `exclude` is text whose shingles are ignored
+ * (the assignment instructions). Returns { text, tokens, hashes, shingles,
+ * signature } — `hashes` per word position (null where excluded), `shingles`
+ * the sorted unique set.
+ */
+function fingerprintSubmission(text, { exclude = null } = {}) {
+  const excluded = new Set(exclude ? shingleHashes(tokenize(exclude)) : []);
+  const tokens = tokenize(text);
+  const hashes = shingleHashes(tokens).map((h) => (excluded.has(h) ? null : h));
+  const shingles = Uint32Array.from(new Set(hashes.filter((h) => h !== null))).sort();
+  return { text: String(text || ""), tokens, hashes, shingles, signature: minhash(shingles) };
+}
+
+/**
+ * The stored form of a fingerprint: { fingerprint, shingles } where
+ * fingerprint is { version, shingle_size, shingles (count), minhash (base64) }
+ * and shingles the base64 shingle set.
+ */
+function serializeFingerprint(fp) {
+  return {
+    fingerprint: {
+      version: FINGERPRINT_VERSION,
+      shingle_size: SHINGLE_SIZE,
+      shingles: fp.shingles.length,
+      minhash: encode(fp.signature),
+    },
+    shingles: encode(fp.shingles),
+  };
+}
+
+/** Jaccard similarity estimated from two signatures */
+function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < NUM_HASHES; i++) if (a[i] === b[i]) same++;
+  return same / NUM_HASHES;
+}
+
+/** Overlap (share of the smaller set in the other) implied by a Jaccard similarity and set sizes */
+function impliedOverlap(similarity, sizeA, sizeB) {
+  if (sizeA === 0 || sizeB === 0) return 0;
+  return (similarity * (sizeA + sizeB)) / (1 + similarity) / Math.min(sizeA, sizeB);
+}
+
+/** Size of the intersection of two sorted shingle sets */
+function countShared(a, b) {
+  let i = 0;
+  let j = 0;
+  let shared = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      shared++;
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return shared;
+}
+
+/**
+ * Passages of `fp`'s text made of shingles that are also in `other` (a
+ * shingle set), longest first: [{ text, words }].
+ */
+function findPassages(fp, other) {
+  const inOther = new Set(other);
+  const runs = [];
+  let run = null;
+  fp.hashes.forEach((h, i) => {
+    if (h !== null && inOther.has(h)) {
+      if (run && i <= run.last + 1) run.last = i;
+      else runs.push((run = { first: i, last: i }));
+    }
+  });
+
+  return runs
+    .map(({ first, last }) => {
+      const start = fp.tokens[first].start;
+      const end = fp.tokens[last + SHINGLE_SIZE - 1].end;
+      let text = fp.text.slice(start, end).replace(/\s+/g, " ");
+      if (text.length > MAX_PASSAGE_CHARS) text = `${text.slice(0, MAX_PASSAGE_CHARS)}…`;
+      return { text, words: last - first + SHINGLE_SIZE };
+    })
+    .sort((a, b) => b.words - a.words)
+    .slice(0, MAX_PASSAGES);
+}
+
+/**
+ * Whether another submission's signature (over `size` shingles) is close
+ * enough to `fp` to check its shingle set.
+ */
+function isCandidate(fp, signature, size) {
+  const estimate = estimateSimilarity(fp.signature, signature);
+  return estimate >= CANDIDATE_SIMILARITY || impliedOverlap(estimate, fp.shingles.length, size) >= CANDIDATE_OVERLAP;
+}
+
+/**
+ * Compare a fingerprint with another submission's shingle set. Returns
+ * { similarity, overlap, shared_shingles, passages }, or null when the pair
+ * is below the thresholds.
+ */
+function comparePair(fp, shingles) {
+  const shared = countShared(fp.shingles, shingles);
+  if (shared < MIN_SHARED_SHINGLES) return null;
+  const similarity = shared / (fp.shingles.length + shingles.length - shared);
+  const overlap = shared / Math.min(fp.shingles.length, shingles.length);
+  if (similarity < SIMILARITY_THRESHOLD && overlap < OVERLAP_THRESHOLD) return null;
+
+  return {
+    similarity: round4(similarity),
+    overlap: round4(overlap),
+    shared_shingles: shared,
+    passages: findPassages(fp, shingles),
+  };
+}
+
+/**
+ * Compare every pair of a batch's submissions ([{ studentName, filename,
+ * submission }]; entries without a submission are skipped). Returns the
+ * similar pairs, most similar first:
+ * [{ students: [{ studentName, filename }, ...], similarity, overlap, shared_shingles, passages }].
+ */
+function compareBatch(entries, { instructions = null } = {}) {
+  const docs = entries
+    .filter((e) => typeof e.submission === "string")
+    .map((e) => ({ entry: e, fp: fingerprintSubmission(e.submission, { exclude: instructions }) }));
+
+  const pairs = [];
+  for (let i = 0; i < docs.length; i++) {
+    for (let j = i + 1; j < docs.length; j++) {
+      const a = docs[i];
+      const b = docs[j];
+      if (!isCandidate(a.fp, b.fp.signature, b.fp.shingles.length)) continue;
+      const match = comparePair(a.fp, b.fp.shingles);
+      if (!match) continue;
+      pairs.push({
+        students: [a.entry, b.entry].map(({ studentName, filename }) => ({ studentName, filename })),
+        ...match,
+      });
+    }
+  }
+  return pairs.sort((a, b) => b.overlap - a.overlap || b.similarity - a.similarity);
+}
+
+/**
+ * Fingerprint a saved result's submission, store the fingerprint, and compare
+ * it against earlier results of the same assignment and batch job. Similar
+ * pairs are stored (see GET /api/results/:id/similar) and returned:
+ * [{ id, student_name, similarity, overlap, shared_shingles, passages }].
+ */
+async function recordSimilarity({ resultId, submission, instructions = null, assignmentId = null, jobId = null }) {
+  const fp = fingerprintSubmission(submission, { exclude: instructions });
+  await saveFingerprint(resultId, serializeFingerprint(fp));
+  if (fp.shingles.length === 0 || (assignmentId == null && jobId == null)) return [];
+
+  const earlier = await getFingerprints({ assignmentId, jobId, excludeId: resultId, limit: MAX_HISTORY });
+  const candidates = earlier.filter(
+    ({ fingerprint: f }) =>
+      f?.version === FINGERPRINT_VERSION && f.shingles > 0 && isCandidate(fp, decode(f.minhash), f.shingles)
+  );
+  if (candidates.length === 0) return [];
+
+  // Shingle sets are only loaded for the likely pairs
+  const stored = await getShingles(candidates.map((row) => row.id));
+  const similar = [];
+  for (const row of candidates) {
+    if (!stored[row.id]) continue;
+    const match = comparePair(fp, decode(stored[row.id]));
+    if (match) similar.push({ id: row.id, student_name: row.student_name, ...match });
+  }
+
+  similar.sort((a, b) => b.overlap - a.overlap || b.similarity - a.similarity);
+  if (similar.length > 0) await saveSimilarityMatches(resultId, similar);
+  return similar;
+}
+
+module.exports = {
+  SHINGLE_SIZE,
+  SIMILARITY_THRESHOLD,
+  OVERLAP_THRESHOLD,
+  fingerprintSubmission,
+  compareBatch,
+  recordSimilarity,
+};
@@ -0,0 +1,255 @@
+/**
+ * Prompt templates for the single-call grading prompt.
+ *
+ * A template is { id, version, description, system, body }. `system` is sent
+ * as the system message and `body` as the user message after its placeholders
+ * are filled in (see PLACEHOLDERS). The built-in "default" template lives here;
+ * user templates are stored in MySQL (prompt_templates), and every edit creates
+ * a new version so past results can name exactly what they were graded with.
+ */
+
+const crypto = require("crypto");
+const { getTemplateVersion, getLatestTemplate } = require("../db");
+
+/** Template used when a request names none; read-only */
+const DEFAULT_TEMPLATE_ID = "default";
+
+/** Allowed template ids: letters, digits, "-" and "_" */
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,99}$/;
+
+/**
+ * Placeholders a template can use, written as {{name}}. Section placeholders
+ * render as empty text when the input is absent. Templates without
+ * {{answer_key}} or {{test_results}} get those sections after the notes, and
+ * templates without {{rubric_instructions}} still get the evidence rules there.
+ */
+const PLACEHOLDERS = {
+  instructions: "Assignment instructions",
+  rubric: "Rubric section (\"GRADING RUBRIC:\" and the rubric), empty without a rubric",
+  rubric_instructions: "How to fill rubric_breakdown for this kind of rubric (structured, freeform or none)",
+  submission: "The student submission, fenced between delimiter markers (see services/promptInjection.js)",
+  note: "Additional grader notes section, empty without notes",
+  answer_key: "Answer key section with comparison instructions, empty without an answer key",
+  test_results: "Build and test output of the instructor test suite, empty without tests",
+  leniency: "Instructions for the selected leniency",
+  leniency_name: "Leniency name in capitals, e.g. NORMAL",
+  max_score: "Maximum score",
+  student: "\"STUDENT: <name>\" line, empty without a name",
+  student_name: "Student name, or \"Anonymous\"",
+};
+
+/** Placeholders every template must contain */
+const REQUIRED_PLACEHOLDERS = ["instructions", "submission"];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const DEFAULT_TEMPLATE = {
+  id: DEFAULT_TEMPLATE_ID,
+  // Bumped with every change to `system` or `body`:
+  // v2 {{answer_key}} section, v3 {{test_results}} section, v4 fenced submission,
+  // v5 evidence in the example and rules
+  version: 5,
+  description: "Built-in grading prompt",
+  builtin: true,
+  system: [
+    "You are a grading engine.",
+    "Follow instructions literally.",
+    "Output ONLY valid JSON.",
+    "Do NOT explain reasoning.",
+    "No markdown. No extra text.",
+  ].join("\n"),
+  body: `You are an expert academic grader. Grade the following student submission carefully and objectively.
+
+ASSIGNMENT INSTRUCTIONS:
+{{instructions}}
+{{rubric}}
+MAXIMUM SCORE: {{max_score}}
+{{student}}
+
+STUDENT SUBMISSION:
+{{submission}}
+{{note}}{{answer_key}}{{test_results}}
+---
+{{rubric_instructions}}
+
+Respond with ONLY a valid JSON object. No markdown fences, no explanation outside the JSON.
+
+{
+  "student_name": "{{student_name}}",
+  "total_score": <number>,
+  "max_score": {{max_score}},
+  "percentage": <number>,
+  "rubric_breakdown": {
+    "<CriterionName>": {
+      "score": <number>,
+      "max_points": <number>,
+      "feedback": "<3-6 sentence detailed paragraph: list what was addressed with specific values, identify errors/gaps, note missing items>",
+      "evidence": ["<verbatim quote from the submission>", "<another verbatim quote>"]
+    }
+  },
+  "strengths": ["<detailed strength citing specific content/values from submission>", "<another detailed strength>", "<another detailed strength>"],
+  "improvements": ["<name exact section/field to fix and explain what to add or correct>", "<another specific improvement>", "<another specific improvement>"],
+  "overall_feedback": "<3-5 sentence summary: what was done well, what is missing, what to do next>"
+}
+
+IMPORTANT RULES:
+- The "rubric_breakdown" must have only 3-7 TOP-LEVEL criteria (e.g. "Functionality", "Code Quality"). Do NOT list every sub-item as its own key.
+- Each criterion MUST have "score" (number), "max_points" (number), "feedback" (string), and "evidence" (array of verbatim quotes). When an ANSWER KEY is given, it MUST also have "key_points".
+- The sum of all "score" values must equal "total_score".
+- The sum of all "max_points" values must equal {{max_score}}.
+- "percentage" must equal round(total_score / max_score * 100).
+
+FEEDBACK–SCORE ALIGNMENT (MANDATORY):
+Step 1: Write honest, detailed feedback FIRST — describe all strengths AND all problems you find.
+Step 2: Set the score to MATCH the feedback.
+
+- If feedback mentions ANY problem, gap, or missing item → score MUST be less than max_points.
+- If feedback is entirely positive with no issues → score MAY be full marks.
+- Partial marks feedback MUST state (1) what was done well AND (2) what caused the point loss.
+- Zero marks feedback MUST state what was expected and what was missing.
+
+CONTENT OVER FORMATTING (MANDATORY):
+- Grade based on the CONTENT and SUBSTANCE of the submission as described in the assignment instructions.
+- Do NOT penalize for formatting, layout, styling, or presentation issues (e.g. missing headers, inconsistent bullet styles, font choices, spacing, capitalization style).
+- What matters is whether the student addressed the required topics, provided correct and complete information, and met the learning objectives outlined in the instructions.
+- If the content is accurate and complete but poorly formatted, it should still receive full or near-full marks.
+
+FEEDBACK QUALITY RULES (MANDATORY — apply to ALL feedback, strengths, improvements, overall_feedback):
+
+Each criterion feedback MUST be a DETAILED paragraph (3–6 sentences) that does ALL of the following:
+1. LIST what the student addressed, citing specific sections, values, or content from the submission in parentheses.
+   Example: "The submission addresses all three requirements: (1) Performance Metrics examines latency (15-100ms), CPU (98%), and uptime (2%). (2) Capacity Limitations assesses scalability with thresholds (bandwidth at 75-85% of 100 Mbps). (3) Security Analysis reviews vulnerabilities (disabled encryption, inactive IDS)."
+2. INCLUDE actual data, numbers, or quotes from the submission to support your evaluation.
+   Example: "Performance metrics are realistic for legacy infrastructure (98% bandwidth utilization, 1.5% packet loss, 100ms jitter)."
+3. IDENTIFY specific errors, contradictions, or gaps.
+   Example: "However, the 2% uptime value contradicts all devices showing 'Active' status — this appears to be an error and should likely be 98% uptime."
+4. NOTE specific missing items or incomplete entries.
+   Example: "The Capacity Limitations section omits the recommended monitoring interval; Security Analysis does not list mitigation steps for the identified vulnerabilities."
+
+strengths MUST be 3–4 items. Each item MUST be a detailed sentence citing specific content, values, or sections from the submission.
+improvements MUST be 3–4 items. Each item MUST name the exact section/field to fix and explain what to add or correct.
+overall_feedback MUST be 3–5 sentences summarizing what was done well, what is missing, and what to do next.
+
+Tone: Constructive and educational. Explain what is missing, not just that it is wrong. Be strict but fair.
+
+Respond with ONLY a valid JSON object. No markdown fences, no explanation outside the JSON.
+
+{
+  "student_name": "{{student_name}}",
+  "total_score": <number>,
+  "max_score": {{max_score}},
+  "percentage": <number>,
+  "rubric_breakdown": {
+    "<CriterionName>": {
+      "score": <number>,
+      "max_points": <number>,
+      "feedback": "<3-6 sentence detailed paragraph: list what was addressed with specific values, identify errors/gaps, note missing items>",
+      "evidence": ["<verbatim quote from the submission>", "<another verbatim quote>"]
+    }
+  },
+  "strengths": ["<detailed strength citing specific content/values from submission>", "<another detailed strength>", "<another detailed strength>"],
+  "improvements": ["<name exact section/field to fix and explain what to add or correct>", "<another specific improvement>", "<another specific improvement>"],
+  "overall_feedback": "<3-5 sentence summary: what was done well, what is missing, what to do next>"
+}
+
+FINAL STEP — APPLY LENIENCY (adjust scores AFTER grading):
+LENIENCY MODE: {{leniency_name}}
+{{leniency}}
+Review your scores above and adjust them according to this leniency mode before outputting the final JSON.`,
+};
+
+/**
+ * Hash of the built-in template's system and body at DEFAULT_TEMPLATE.version.
+ * Editing either without bumping the version (and this hash) fails at startup,
+ * so "default vN" on a stored result always names one prompt.
+ */
+const DEFAULT_TEMPLATE_HASH = "0af21c620b3cea40";
+
+function templateHash({ system, body }) {
+  return crypto.createHash("sha256").update(`${system}\n${body}`).digest("hex").slice(0, 16);
+}
+
+if (templateHash(DEFAULT_TEMPLATE) !== DEFAULT_TEMPLATE_HASH) {
+  throw new Error(
+    `The built-in template changed: bump DEFAULT_TEMPLATE.version and set DEFAULT_TEMPLATE_HASH to "${templateHash(DEFAULT_TEMPLATE)}"`
+  );
+}
+
+/**
+ * Fill in a template's {{placeholders}}. Values are inserted in one pass, so
+ * placeholder-like text inside a submission is left alone.
+ */
+function renderTemplate(text, values) {
+  return String(text || "").replace(PLACEHOLDER_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name] ?? "") : match
+  );
+}
+
+/**
+ * Check a template definition from a request. Returns a list of problems
+ * (empty when valid). `partial` allows omitting the body (for updates).
+ */
+function validateTemplate({ body, system, description } = {}, { partial = false } = {}) {
+  const errors = [];
+
+  if (body == null || body === "") {
+    if (!partial) errors.push("body is required");
+  } else if (typeof body !== "string") {
+    errors.push("body must be a string");
+  } else {
+    const used = [...body.matchAll(PLACEHOLDER_PATTERN)].map((m) => m[1]);
+    const unknown = [...new Set(used.filter((name) => !(name in PLACEHOLDERS)))];
+    if (unknown.length > 0) {
+      errors.push(`Unknown placeholder(s): ${unknown.map((n) => `{{${n}}}`).join(", ")}. Available: ${Object.keys(PLACEHOLDERS).join(", ")}`);
+    }
+    const missing = REQUIRED_PLACEHOLDERS.filter((name) => !used.includes(name));
+    if (missing.length > 0) {
+      errors.push(`body must contain ${missing.map((n) => `{{${n}}}`).join(" and ")}`);
+    }
+  }
+
+  if (system != null && typeof system !== "string") errors.push("system must be a string");
+  if (description != null && typeof description !== "string") errors.push("description must be a string");
+
+  return errors;
+}
+
+/**
+ * Look up a template by id (default: the built-in one) and optional version
+ * (default: latest). Throws with a client-facing message if it doesn't exist.
+ */
+async function resolveTemplate(id, version = null) {
+  const templateId = id ? String(id).trim() : DEFAULT_TEMPLATE_ID;
+  const wanted = version != null && version !== "" ? parseInt(version) : null;
+  if (wanted !== null && (!Number.isInteger(wanted) || wanted < 1)) {
+    throw new Error("templateVersion must be a positive integer");
+  }
+
+  if (templateId === DEFAULT_TEMPLATE_ID) {
+    if (wanted !== null && wanted !== DEFAULT_TEMPLATE.version) {
+      throw new Error(`Unknown template version: ${templateId} v${wanted}`);
+    }
+    return DEFAULT_TEMPLATE;
+  }
+
+  let template = null;
+  try {
+    template = wanted !== null ? await getTemplateVersion(templateId, wanted) : await getLatestTemplate(templateId);
+  } catch (err) {
+    throw new Error(`Template "${templateId}" could not be loaded: ${err.message}`);
+  }
+  if (!template) {
+    throw new Error(wanted !== null ? `Unknown template version: ${templateId} v${wanted}` : `Unknown template: ${templateId}`);
+  }
+  return template;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  DEFAULT_TEMPLATE_ID,
+  TEMPLATE_ID_PATTERN,
+  PLACEHOLDERS,
+  renderTemplate,
+  validateTemplate,
+  resolveTemplate,
+};
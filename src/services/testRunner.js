@@ -0,0 +1,217 @@
+/**
+ * Instructor test suites for programming assignments: the submitted source
+ * files and the suite's files are copied into a fresh directory, built if the
+ * language needs it, and the tests run there in the sandbox (see sandbox.js).
+ * The outcome goes into the grading prompt and onto the result as `test_run`.
+ *
+ * A suite is { files: [{ name, content }], testCommand, buildCommand }.
+ * Without a testCommand the suite's run_tests.sh is run, or the language's
+ * default runner (DEFAULT_COMMANDS); C, C++ and Java are compiled first.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runInSandbox, checkSandbox } = require("./sandbox");
+const { getCodeLanguage } = require("../utils/fileParsers");
+
+/** Files per suite, and bytes per file */
+const MAX_SUITE_FILES = 20;
+const MAX_FILE_BYTES = 1024 * 1024;
+
+/** Characters of build / test output put in the prompt */
+const MAX_PROMPT_OUTPUT = 6000;
+
+/** Build and test commands used when the request gives none, by language */
+const DEFAULT_COMMANDS = {
+  Python: { test: "python3 -m unittest discover -v" },
+  JavaScript: { test: "node --test" },
+  C: { build: "gcc -Wall -Wextra -o main *.c -lm" },
+  "C++": { build: "g++ -Wall -Wextra -o main *.cpp" },
+  Java: { build: "javac *.java" },
+};
+
+const SUITE_SCRIPT = "run_tests.sh";
+
+/**
+ * A file name as a relative path that stays inside the test directory
+ * ("src/main.py"; "..", "." and empty segments dropped)
+ */
+function safeRelativePath(name) {
+  return String(name)
+    .split(/[\\/]+/)
+    .filter((s) => s && s !== "." && s !== "..")
+    .join("/");
+}
+
+/**
+ * Read uploaded files as { name, content } (multer file objects; names kept
+ * as safe relative paths, so folders from archives survive). `codeOnly`
+ * keeps source code files only.
+ */
+function readUploadedFiles(files, { codeOnly = false } = {}) {
+  return (files || [])
+    .filter((f) => !codeOnly || getCodeLanguage(f.originalname))
+    .map((f) => {
+      if (f.size > MAX_FILE_BYTES) throw new Error(`${f.originalname} is larger than ${MAX_FILE_BYTES / 1024} KB`);
+      return { name: safeRelativePath(f.originalname), content: fs.readFileSync(f.path, "utf8") };
+    });
+}
+
+/**
+ * Normalize a test suite from request fields. Returns null when the request
+ * has none. Throws with a client-facing message for invalid suites, or when
+ * this server can't run tests.
+ */
+function parseTestSuite({ files = [], testCommand, buildCommand } = {}) {
+  const command = testCommand != null ? String(testCommand).trim() : "";
+  const build = buildCommand != null ? String(buildCommand).trim() : "";
+  if (files.length === 0 && !command) {
+    if (build) throw new Error("buildCommand needs a test suite (tests files or testCommand)");
+    return null;
+  }
+
+  if (files.length > MAX_SUITE_FILES) throw new Error(`A test suite can have at most ${MAX_SUITE_FILES} files`);
+  const names = new Set();
+  for (const f of files) {
+    if (!f.name || f.name !== safeRelativePath(f.name) || f.name.split("/").some((s) => s.startsWith("."))) {
+      throw new Error(`Invalid test file name: ${f.name}`);
+    }
+    if (names.has(f.name)) throw new Error(`Duplicate test file name: ${f.name}`);
+    names.add(f.name);
+  }
+  checkSandbox();
+
+  return { files, testCommand: command || null, buildCommand: build || null };
+}
+
+/**
+ * The language most of the source files are written in
+ */
+function mainLanguage(sources) {
+  const counts = {};
+  for (const s of sources) {
+    const language = getCodeLanguage(s.name);
+    if (language) counts[language] = (counts[language] || 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+/**
+ * Passed / failed test counts from the output of common runners (unittest,
+ * pytest, node --test), or nulls when the output isn't recognized
+ */
+function countTests(output) {
+  const ran = output.match(/^Ran (\d+) tests?/m);
+  if (ran) {
+    const failures = output.match(/^FAILED \(([^)]*)\)/m);
+    const failed = failures ? [...failures[1].matchAll(/(?:failures|errors)=(\d+)/g)].reduce((n, m) => n + Number(m[1]), 0) : 0;
+    return { passed: Number(ran[1]) - failed, failed };
+  }
+  const nodePass = output.match(/^(?:#|ℹ) pass (\d+)/m);
+  const nodeFail = output.match(/^(?:#|ℹ) fail (\d+)/m);
+  if (nodePass || nodeFail) return { passed: Number(nodePass?.[1] || 0), failed: Number(nodeFail?.[1] || 0) };
+  const pyPass = output.match(/(\d+) passed/);
+  const pyFail = output.match(/(\d+) failed/);
+  if (pyPass || pyFail) return { passed: Number(pyPass?.[1] || 0), failed: Number(pyFail?.[1] || 0) };
+  return { passed: null, failed: null };
+}
+
+/**
+ * Run a test suite against a submission's source files ([{ name, content }]).
+ * Resolves to the `test_run` report:
+ *   { status, language, build, tests, error }
+ * where status is "passed", "failed", "build_failed", "timed_out" or "error"
+ * (the suite could not be run) and build / tests are the sandbox runs
+ * ({ command, exit_code, timed_out, output, duration_ms }, tests also
+ * passed / failed counts), null when skipped.
+ */
+async function runTestSuite({ sources, suite, signal = null }) {
+  const language = mainLanguage(sources);
+  const report = { status: "error", language, build: null, tests: null, error: null };
+  const defaults = DEFAULT_COMMANDS[language] || {};
+  const hasScript = suite.files.some((f) => f.name === SUITE_SCRIPT);
+  const testCommand = suite.testCommand || (hasScript ? `sh ${SUITE_SCRIPT}` : defaults.test);
+  const buildCommand = suite.buildCommand || defaults.build || null;
+
+  if (sources.length === 0) {
+    report.error = "The submission has no source code files to test";
+    return report;
+  }
+  if (!testCommand) {
+    report.error = `No test command for ${language || "these files"}: send testCommand or include ${SUITE_SCRIPT} in the tests`;
+    return report;
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checker-tests-"));
+  try {
+    // Suite files win over submitted files of the same name
+    for (const file of [...sources, ...suite.files]) {
+      const dest = path.join(dir, safeRelativePath(file.name));
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.writeFileSync(dest, file.content);
+    }
+
+    if (buildCommand) {
+      report.build = { command: buildCommand, ...(await runInSandbox(dir, buildCommand, { signal })) };
+      if (report.build.exit_code !== 0 || report.build.timed_out) {
+        report.status = report.build.timed_out ? "timed_out" : "build_failed";
+        return report;
+      }
+    }
+
+    const run = await runInSandbox(dir, testCommand, { signal });
+    report.tests = { command: testCommand, ...run, ...countTests(run.output) };
+    report.status = run.timed_out ? "timed_out" : run.exit_code === 0 ? "passed" : "failed";
+    return report;
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    report.error = err.message;
+    return report;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function clip(text) {
+  return text.length > MAX_PROMPT_OUTPUT
+    ? `${text.slice(0, MAX_PROMPT_OUTPUT)}\n[... ${text.length - MAX_PROMPT_OUTPUT} more characters of output cut ...]`
+    : text;
+}
+
+/**
+ * Test results section of a grading prompt, or null when the suite could
+ * not be run (the model should not grade from a missing run)
+ */
+function formatTestResults(report) {
+  if (!report || report.status === "error") return null;
+
+  const lines = ["TEST RESULTS (instructor test suite, run on the submitted code in a sandbox):"];
+  if (report.build) {
+    const b = report.build;
+    lines.push(`Build: ${b.command} → ${b.timed_out ? "TIMED OUT" : b.exit_code === 0 ? "succeeded" : `FAILED (exit code ${b.exit_code})`}`);
+    if (b.exit_code !== 0 || b.output.trim()) lines.push(clip(b.output.trim()) || "(no output)");
+  }
+  if (report.tests) {
+    const t = report.tests;
+    const counts = t.passed != null ? ` — ${t.passed} passed, ${t.failed} failed` : "";
+    lines.push(`Tests: ${t.command} → ${t.timed_out ? "TIMED OUT" : t.exit_code === 0 ? "PASSED" : `FAILED (exit code ${t.exit_code})`}${counts}`);
+    lines.push(clip(t.output.trim()) || "(no output)");
+  } else {
+    lines.push("Tests: not run (the build failed)");
+  }
+  lines.push(
+    "",
+    "Use these results when grading functionality and correctness: failing tests, crashes, timeouts and compiler errors are real defects and MUST lower those scores. Do not credit behaviour the tests show is broken, and cite failing test names in the feedback."
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_COMMANDS,
+  readUploadedFiles,
+  parseTestSuite,
+  runTestSuite,
+  formatTestResults,
+};
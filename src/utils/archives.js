@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const JSZip = require("jszip");
+
+const { getSupportedExtensions } = require("./fileParsers");
+
+/** Entries an archive may list (files and folders) */
+const MAX_ENTRIES = 1000;
+
+/** Files unpacked per archive */
+const MAX_FILES = 200;
+
+/** Unpacked size per file, and per archive */
+const MAX_FILE_BYTES = 20 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 100 * 1024 * 1024;
+
+const SYMLINK_MODE = 0o120000;
+
+/** Archive types unpacked on upload */
+const ARCHIVE_EXTENSIONS = [".zip"];
+
+function isArchive(filename) {
+  return ARCHIVE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Why an archive entry is skipped, or null to unpack it. Throws for entries
+ * that try to leave the archive (absolute paths, "..").
+ */
+function skipReason(name, entry) {
+  if (path.posix.isAbsolute(name) || /^[A-Za-z]:/.test(name) || name.split("/").includes("..")) {
+    throw new Error(`Unsafe path in archive: ${name}`);
+  }
+  const segments = name.split("/");
+  if (segments[0] === "__MACOSX") return "macOS metadata";
+  if (segments.some((s) => s.startsWith("."))) return "hidden file";
+  if (entry.unixPermissions && (entry.unixPermissions & 0o170000) === SYMLINK_MODE) return "symbolic link";
+  if (!getSupportedExtensions().includes(path.extname(name).toLowerCase())) return "unsupported file type";
+  return null;
+}
+
+/**
+ * Write one entry to `dest`, counting the bytes actually inflated (an
+ * entry's declared size can lie). Rejects when a limit is exceeded.
+ */
+function writeEntry(entry, dest, budget) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const out = fs.createWriteStream(dest);
+    const input = entry.nodeStream("nodebuffer");
+    const fail = (err) => {
+      input.pause();
+      out.destroy();
+      reject(err);
+    };
+    input.on("data", (chunk) => {
+      size += chunk.length;
+      budget.bytes += chunk.length;
+      if (size > MAX_FILE_BYTES) fail(new Error(`${entry.name} unpacks to more than ${MAX_FILE_BYTES / 1024 / 1024} MB`));
+      else if (budget.bytes > MAX_TOTAL_BYTES) fail(new Error(`Archive unpacks to more than ${MAX_TOTAL_BYTES / 1024 / 1024} MB`));
+    });
+    input.on("error", fail);
+    out.on("error", fail);
+    out.on("finish", () => resolve(size));
+    input.pipe(out);
+  });
+}
+
+/**
+ * Unpack an uploaded .zip (a multer file object) into a new directory next
+ * to it. Only files of supported types are unpacked; macOS metadata, hidden
+ * files, symbolic links and other file types (binaries, nested archives) are
+ * skipped. A single top-level folder wrapping everything is dropped from the
+ * names.
+ *
+ * Returns { dir, files, ignored }: files are multer-like objects
+ * ({ fieldname, originalname, path, size, archive }) named by their path in
+ * the archive, ignored is [{ name, reason }]. Throws with a client-facing
+ * message for unreadable or unsafe archives and exceeded limits; the
+ * directory is removed then.
+ */
+async function extractArchive(file) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(fs.readFileSync(file.path));
+  } catch (err) {
+    throw new Error(`Could not read archive ${file.originalname}: ${err.message}`);
+  }
+
+  const entries = Object.values(zip.files);
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`${file.originalname} has more than ${MAX_ENTRIES} entries`);
+  }
+
+  const wanted = [];
+  const ignored = [];
+  for (const entry of entries) {
+    if (entry.dir) continue;
+    // jszip quietly rewrites "../" names; check what the archive really says
+    const name = (entry.unsafeOriginalName || entry.name).replace(/\\/g, "/");
+    const reason = skipReason(name, entry);
+    if (reason) ignored.push({ name, reason });
+    else wanted.push({ entry, name });
+  }
+  if (wanted.length > MAX_FILES) {
+    throw new Error(`${file.originalname} has more than ${MAX_FILES} supported files`);
+  }
+
+  const roots = new Set(wanted.map((w) => (w.name.includes("/") ? w.name.split("/")[0] : "")));
+  const [root] = roots;
+  const strip = roots.size === 1 && root ? root.length + 1 : 0;
+
+  const dir = path.join(path.dirname(file.path), `${path.basename(file.path)}-${crypto.randomBytes(4).toString("hex")}`);
+  fs.mkdirSync(dir);
+  try {
+    const budget = { bytes: 0 };
+    const files = [];
+    for (const [i, { entry, name }] of wanted.entries()) {
+      // Unpacked under numbered names: entry paths never touch the file system
+      const dest = path.join(dir, `${i}${path.extname(name).toLowerCase()}`);
+      const size = await writeEntry(entry, dest, budget);
+      files.push({ fieldname: file.fieldname, originalname: name.slice(strip), path: dest, size, archive: file.originalname });
+    }
+    return { dir, files, ignored };
+  } catch (err) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+module.exports = {
+  ARCHIVE_EXTENSIONS,
+  MAX_ENTRIES,
+  MAX_FILES,
+  MAX_FILE_BYTES,
+  MAX_TOTAL_BYTES,
+  isArchive,
+  extractArchive,
+};
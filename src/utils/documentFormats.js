@@ -0,0 +1,537 @@
+const fs = require("fs");
+const JSZip = require("jszip");
+
+/** Characters kept per notebook cell output */
+const MAX_OUTPUT_CHARS = 5000;
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/** HTML entities beyond XML's that exported pages commonly use */
+const HTML_ENTITIES = {
+  ...XML_ENTITIES,
+  nbsp: " ",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  mdash: "—",
+  ndash: "–",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  laquo: "«",
+  raquo: "»",
+  bull: "•",
+  middot: "·",
+  deg: "°",
+  plusmn: "±",
+  times: "×",
+  divide: "÷",
+  le: "≤",
+  ge: "≥",
+  ne: "≠",
+  euro: "€",
+  pound: "£",
+  cent: "¢",
+  sect: "§",
+  para: "¶",
+};
+
+/**
+ * Decode character references and the given named entities
+ */
+function decodeEntities(text, named = XML_ENTITIES) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, ref) => {
+    if (ref[0] === "#") {
+      const code = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return named[ref.toLowerCase()] ?? m;
+  });
+}
+
+/**
+ * Attributes of an XML / HTML start tag as an object
+ */
+function attributes(tag) {
+  const attrs = {};
+  for (const m of tag.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attrs[m[1]] = decodeEntities(m[3] ?? m[4]);
+  }
+  return attrs;
+}
+
+/**
+ * Tidy extracted text: trim line ends and keep at most one empty line in a row
+ */
+function tidy(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+$/, ""))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ── PowerPoint (.pptx) ──
+
+/**
+ * Paragraphs of DrawingML text (<a:p> with <a:t> runs), one line each
+ */
+function drawingParagraphs(xml) {
+  const lines = [];
+  for (const p of xml.match(/<a:p[\s>][\s\S]*?<\/a:p>/g) || []) {
+    const text = [...p.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>|<a:br\b/g)]
+      .map((m) => (m[0].startsWith("<a:br") ? "\n" : decodeEntities(m[1])))
+      .join("");
+    if (text.trim()) lines.push(text.trim());
+  }
+  return lines;
+}
+
+/**
+ * Relationships of a part (Id → Target, Type), from its .rels file
+ */
+async function readRelationships(zip, relsPath) {
+  const file = zip.file(relsPath);
+  if (!file) return [];
+  const xml = await file.async("string");
+  return (xml.match(/<Relationship\b[^>]*>/g) || []).map(attributes);
+}
+
+/**
+ * Slide part paths in presentation order (falls back to slide file numbers)
+ */
+async function slideParts(zip) {
+  const presentation = zip.file("ppt/presentation.xml");
+  if (presentation) {
+    const xml = await presentation.async("string");
+    const rels = await readRelationships(zip, "ppt/_rels/presentation.xml.rels");
+    const targets = new Map(rels.map((r) => [r.Id, r.Target]));
+    const ordered = (xml.match(/<p:sldId\b[^>]*>/g) || [])
+      .map((tag) => targets.get(attributes(tag)["r:id"]))
+      .filter(Boolean)
+      .map((target) => `ppt/${target.replace(/^\/?ppt\//, "").replace(/^\.\//, "")}`);
+    if (ordered.length > 0) return ordered;
+  }
+  return Object.keys(zip.files)
+    .filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+}
+
+/**
+ * Speaker notes of a slide: the body placeholder of its notes slide
+ */
+async function slideNotes(zip, slidePath) {
+  const [dir, file] = [slidePath.slice(0, slidePath.lastIndexOf("/")), slidePath.slice(slidePath.lastIndexOf("/") + 1)];
+  const rels = await readRelationships(zip, `${dir}/_rels/${file}.rels`);
+  const notesRel = rels.find((r) => /\/notesSlide$/.test(r.Type || ""));
+  if (!notesRel) return [];
+  const notesPath = `ppt/${notesRel.Target.replace(/^\.\.\//, "").replace(/^\/?ppt\//, "")}`;
+  const notes = zip.file(notesPath);
+  if (!notes) return [];
+  const xml = await notes.async("string");
+  const shapes = (xml.match(/<p:sp[\s>][\s\S]*?<\/p:sp>/g) || []).filter((sp) => /<p:ph\b[^>]*type="body"/.test(sp));
+  return shapes.flatMap(drawingParagraphs);
+}
+
+/**
+ * Parse a PowerPoint deck (.pptx): each slide's text under a
+ * "--- Slide n ---" header, followed by its speaker notes
+ */
+async function parsePptxFile(filePath) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+  const parts = await slideParts(zip);
+  if (parts.length === 0) throw new Error("No slides found in the presentation");
+
+  const slides = [];
+  for (const [i, part] of parts.entries()) {
+    const slide = zip.file(part);
+    if (!slide) continue;
+    const xml = await slide.async("string");
+    const hidden = /<p:sld\b[^>]*\bshow="(0|false)"/.test(xml) ? " (hidden)" : "";
+    const text = drawingParagraphs(xml);
+    const notes = await slideNotes(zip, part);
+
+    let block = `--- Slide ${i + 1}${hidden} ---\n${text.length > 0 ? text.join("\n") : "(no text)"}`;
+    if (notes.length > 0) block += `\nSpeaker notes:\n${notes.join("\n")}`;
+    slides.push(block);
+  }
+  return slides.join("\n\n");
+}
+
+// ── OpenDocument text (.odt) ──
+
+/** ODF elements whose content is not part of the document text */
+const ODF_SKIPPED = new Set(["office:annotation", "text:tracked-changes", "text:note-citation", "svg:desc", "svg:title", "draw:image"]);
+
+/**
+ * Text of an OpenDocument content.xml body: headings as "#" lines, list
+ * items as "- " lines, table rows as "cell | cell" lines
+ */
+function odfText(xml) {
+  const body = (xml.match(/<office:body>([\s\S]*)<\/office:body>/) || [null, xml])[1];
+  let out = "";
+  let skip = 0;
+  let listDepth = 0;
+  let cell = 0;
+
+  for (const m of body.matchAll(/<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g)) {
+    const [, closing, name, rest, selfClosing, text] = m;
+    if (text !== undefined) {
+      if (!skip) out += decodeEntities(text);
+      continue;
+    }
+    if (ODF_SKIPPED.has(name)) {
+      if (!selfClosing) skip += closing ? -1 : 1;
+      continue;
+    }
+    if (skip) continue;
+
+    if (closing) {
+      if (name === "text:p" || name === "text:h") out += cell ? " " : "\n";
+      else if (name === "text:list") listDepth--;
+      else if (name === "table:table-cell") cell = 0;
+      else if (name === "table:table-row") out = `${out.trimEnd()}\n`;
+      else if (name === "table:table") out += "\n";
+      continue;
+    }
+
+    switch (name) {
+      case "text:h": {
+        const level = parseInt(attributes(rest)["text:outline-level"]) || 1;
+        out += `\n${"#".repeat(Math.min(level, 6))} `;
+        break;
+      }
+      case "text:list":
+        if (!selfClosing) listDepth++;
+        break;
+      case "text:list-item":
+        out += `${"  ".repeat(Math.max(listDepth - 1, 0))}- `;
+        break;
+      case "table:table-row":
+        out += "\n";
+        break;
+      case "table:table-cell":
+        if (!/\n$/.test(out)) out = `${out.trimEnd()} | `;
+        if (!selfClosing) cell = 1;
+        break;
+      case "text:tab":
+        out += "\t";
+        break;
+      case "text:line-break":
+        out += "\n";
+        break;
+      case "text:s":
+        out += " ".repeat(parseInt(attributes(rest)["text:c"]) || 1);
+        break;
+      default:
+        break;
+    }
+  }
+  return tidy(out);
+}
+
+/**
+ * Parse an OpenDocument text file (.odt)
+ */
+async function parseOdtFile(filePath) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+  const content = zip.file("content.xml");
+  if (!content) throw new Error("Not an OpenDocument file (content.xml missing)");
+  return odfText(await content.async("string"));
+}
+
+// ── Rich Text Format (.rtf) ──
+
+/** Destinations whose content is not document text */
+const RTF_SKIPPED = new Set([
+  "fonttbl", "colortbl", "stylesheet", "info", "pict", "object", "listtable", "listoverridetable",
+  "rsidtbl", "generator", "themedata", "colorschememapping", "latentstyles", "datastore",
+  "xmlnstbl", "mmathPr", "fldinst", "header", "headerl", "headerr", "headerf",
+  "footer", "footerl", "footerr", "footerf", "filetbl", "revtbl", "pgdsctbl", "nonshppict",
+]);
+
+/** Control words that stand for text */
+const RTF_TEXT = {
+  par: "\n", line: "\n", sect: "\n\n", page: "\n\n", tab: "\t", cell: " | ", row: "\n",
+  emdash: "—", endash: "–", bullet: "•", lquote: "‘", rquote: "’", ldblquote: "“", rdblquote: "”",
+  emspace: " ", enspace: " ", qmspace: " ",
+};
+
+/**
+ * Windows-1252 characters at 0x80-0x9F (Node decodes "windows-1252" as
+ * latin1, which has control characters there); unassigned bytes are empty
+ */
+const CP1252_HIGH = "€\u0000‚ƒ„…†‡ˆ‰Š‹Œ\u0000Ž\u0000\u0000‘’“”•–—˜™š›œ\u0000žŸ";
+
+function cp1252(byte) {
+  if (byte < 0x80 || byte > 0x9f) return String.fromCharCode(byte);
+  const ch = CP1252_HIGH[byte - 0x80];
+  return ch === "\u0000" ? "" : ch;
+}
+
+/**
+ * Plain text of an RTF document
+ */
+function rtfToText(rtf) {
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let pendingSkip = 0; // characters still to drop after a \u escape
+  let out = "";
+
+  const emit = (text) => {
+    if (state.skip) return;
+    if (pendingSkip > 0) {
+      const drop = Math.min(pendingSkip, text.length);
+      pendingSkip -= drop;
+      text = text.slice(drop);
+    }
+    out += text;
+  };
+
+  for (const m of rtf.matchAll(/\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/g)) {
+    const [, word, param, hex, symbol, brace, text] = m;
+    if (brace === "{") {
+      stack.push(state);
+      state = { ...state, fresh: true };
+      continue;
+    }
+    if (brace === "}") {
+      state = stack.pop() || { skip: false, uc: 1 };
+      continue;
+    }
+    const fresh = state.fresh;
+    state.fresh = false;
+
+    if (word) {
+      if (fresh && RTF_SKIPPED.has(word)) state.skip = true;
+      else if (word === "uc") state.uc = parseInt(param) || 0;
+      else if (word === "u") {
+        const code = parseInt(param);
+        emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+        pendingSkip = state.skip ? 0 : state.uc;
+      } else if (RTF_TEXT[word]) emit(RTF_TEXT[word]);
+    } else if (hex) {
+      emit(cp1252(parseInt(hex, 16)));
+    } else if (symbol) {
+      if (symbol === "*" && fresh) state.skip = true;
+      else if (symbol === "~") emit(" ");
+      else if (symbol === "_") emit("-");
+      else if ("\\{}".includes(symbol)) emit(symbol);
+    } else if (text) {
+      emit(text);
+    }
+  }
+  return tidy(out);
+}
+
+/**
+ * Parse a Rich Text Format document (.rtf)
+ */
+async function parseRtfFile(filePath) {
+  const rtf = fs.readFileSync(filePath, "latin1");
+  if (!rtf.startsWith("{\\rtf")) throw new Error("Not an RTF document");
+  return rtfToText(rtf);
+}
+
+/**
+ * Rows of cells ([["Day", "Count"], ["1", "12"]]) as a Markdown table, the
+ * first row as the header. Empty rows and columns are dropped; returns "" for
+ * an empty table.
+ */
+function markdownTable(rows) {
+  const cleaned = rows
+    .map((row) => row.map((cell) => String(cell ?? "").replace(/\s+/g, " ").trim().replace(/\|/g, "\\|")))
+    .filter((row) => row.some(Boolean));
+  if (cleaned.length === 0) return "";
+  const width = Math.max(...cleaned.map((row) => row.length));
+  const used = [...Array(width).keys()].filter((i) => cleaned.some((row) => row[i]));
+  const line = (row) => `| ${used.map((i) => row[i] || "").join(" | ")} |`;
+  return [line(cleaned[0]), `| ${used.map(() => "---").join(" | ")} |`, ...cleaned.slice(1).map(line)].join("\n");
+}
+
+// ── HTML (.html, .htm) ──
+
+/** Elements that end a line */
+const HTML_BLOCKS = "p|div|section|article|header|footer|main|aside|nav|blockquote|figure|figcaption|form|fieldset|address|dl|dt|dd|ul|ol|table|thead|tbody|tfoot|caption|hr";
+
+/**
+ * Number the items of ordered lists ("1. ", "2. ") and bullet the rest ("- "),
+ * nested lists included
+ */
+function markListItems(html) {
+  const lists = [];
+  return html.replace(/<(\/?)(ol|ul|li)\b([^>]*)>/gi, (tag, close, name, attrs) => {
+    name = name.toLowerCase();
+    if (name !== "li") {
+      if (close) lists.pop();
+      else lists.push({ ordered: name === "ol", next: parseInt(attributes(tag).start) || 1 });
+      return tag;
+    }
+    if (close) return "";
+    const list = lists[lists.length - 1];
+    return list?.ordered ? `\n${list.next++}. ` : "\n- ";
+  });
+}
+
+/**
+ * Readable text of an HTML page: headings as "#" lines, list items as "- " or
+ * "1. " lines, tables as Markdown tables, images as [image: alt]. Scripts,
+ * styles and the <head> are dropped; <pre> keeps its layout.
+ */
+function htmlToText(html) {
+  const pre = [];
+  const tables = [];
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre\s*>/gi, (_m, body) => {
+      pre.push(body.replace(/<[^>]+>/g, ""));
+      return `\u0000${pre.length - 1}\u0000`;
+    });
+
+  // Innermost tables first; a nested table is flattened into its cell
+  const innermostTable = /<table\b[^>]*>((?:(?!<table\b)[\s\S])*?)<\/table\s*>/i;
+  const cellText = (cell) =>
+    htmlToText(
+      cell
+        .replace(/\u0000(\d+)\u0000/g, (_m, i) => pre[Number(i)])
+        .replace(/\u0001(\d+)\u0001/g, (_m, i) => tables[Number(i)].rows.map((row) => row.join(" ")).join("; "))
+    );
+  while (innermostTable.test(text)) {
+    text = text.replace(innermostTable, (_m, body) => {
+      const rows = [...body.matchAll(/<tr\b[^>]*>([\s\S]*?)(?=<tr\b|$)/gi)].map(([, row]) =>
+        [...row.matchAll(/<t[dh]\b[^>]*>([\s\S]*?)(?=<t[dh]\b|<\/tr|$)/gi)].map(([, cell]) => cellText(cell))
+      );
+      tables.push({ rows, markdown: markdownTable(rows) });
+      return `\n\u0001${tables.length - 1}\u0001\n`;
+    });
+  }
+
+  text = markListItems(text.replace(/\s+/g, " "))
+    .replace(/<h([1-6])\b[^>]*>/gi, (_m, n) => `\n\n${"#".repeat(Number(n))} `)
+    .replace(/<\/h[1-6]\s*>/gi, "\n\n")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(new RegExp(`</?(${HTML_BLOCKS})\\b[^>]*>`, "gi"), "\n")
+    .replace(/<img\b[^>]*>/gi, (tag) => {
+      const alt = attributes(tag).alt;
+      return alt ? `[image: ${alt}]` : "[image]";
+    })
+    .replace(/<[^>]+>/g, "");
+
+  text = decodeEntities(text, HTML_ENTITIES)
+    .split("\n")
+    .map((line) => line.replace(/ {2,}/g, " ").trim())
+    .join("\n");
+  text = text
+    .replace(/\u0000(\d+)\u0000/g, (_m, i) => `\n${decodeEntities(pre[Number(i)], HTML_ENTITIES).replace(/^\n|\n$/g, "")}\n`)
+    .replace(/\u0001(\d+)\u0001/g, (_m, i) => `\n${tables[Number(i)].markdown}\n`);
+  return tidy(text);
+}
+
+/**
+ * Parse an HTML page (.html, .htm)
+ */
+async function parseHtmlFile(filePath) {
+  return htmlToText(fs.readFileSync(filePath, "utf-8"));
+}
+
+// ── Jupyter notebooks (.ipynb) ──
+
+function joinSource(source) {
+  return Array.isArray(source) ? source.join("") : String(source ?? "");
+}
+
+function clipOutput(text) {
+  return text.length > MAX_OUTPUT_CHARS
+    ? `${text.slice(0, MAX_OUTPUT_CHARS)}\n[... ${text.length - MAX_OUTPUT_CHARS} more characters of output cut ...]`
+    : text;
+}
+
+/**
+ * One code cell output as labelled text
+ */
+function formatOutput(output) {
+  switch (output.output_type) {
+    case "stream":
+      return `[${output.name || "stdout"}]\n${clipOutput(joinSource(output.text).trimEnd())}`;
+    case "error": {
+      // Tracebacks carry terminal colour codes
+      const traceback = (output.traceback || []).join("\n").replace(/\u001b\[[\d;]*m/g, "");
+      return `[error] ${output.ename}: ${output.evalue}${traceback ? `\n${clipOutput(traceback)}` : ""}`;
+    }
+    case "execute_result":
+    case "display_data":
+    case "pyout": {
+      const data = output.data || output;
+      const parts = [];
+      if (data["text/plain"] != null) parts.push(clipOutput(joinSource(data["text/plain"]).trimEnd()));
+      else if (data["text/html"] != null) parts.push(clipOutput(htmlToText(joinSource(data["text/html"]))));
+      const images = Object.keys(data).filter((type) => type.startsWith("image/"));
+      if (images.length > 0) parts.push(`[image output: ${images.join(", ")}]`);
+      const label = output.output_type === "display_data" ? "display" : "result";
+      return parts.length > 0 ? `[${label}]\n${parts.join("\n")}` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether parsed JSON is a Jupyter notebook
+ */
+function isNotebook(json) {
+  return Boolean(json && typeof json === "object" && json.nbformat != null && (Array.isArray(json.cells) || Array.isArray(json.worksheets)));
+}
+
+/**
+ * A notebook as text: every cell under a "--- Cell n: <type> ---" header
+ * (code cells with their language and execution count), followed by its
+ * outputs labelled [stdout], [stderr], [result], [display] or [error]
+ */
+function notebookToText(notebook) {
+  const meta = notebook.metadata || {};
+  const language = meta.kernelspec?.language || meta.language_info?.name || "python";
+  const cells = notebook.cells || notebook.worksheets?.[0]?.cells || [];
+
+  const blocks = cells.map((cell, i) => {
+    const source = joinSource(cell.source ?? cell.input).trimEnd();
+    if (cell.cell_type !== "code") {
+      return `--- Cell ${i + 1}: ${cell.cell_type || "raw"} ---\n${source || "(empty)"}`;
+    }
+    const count = cell.execution_count ?? cell.prompt_number;
+    const outputs = (cell.outputs || []).map(formatOutput).filter(Boolean);
+    let block = `--- Cell ${i + 1}: code (${language})${count != null ? ` [${count}]` : ""} ---\n${source || "(empty)"}`;
+    if (outputs.length > 0) block += `\nOutput:\n${outputs.join("\n")}`;
+    return block;
+  });
+  return blocks.join("\n\n");
+}
+
+/**
+ * Parse a Jupyter notebook (.ipynb)
+ */
+async function parseNotebookFile(filePath) {
+  const notebook = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (!isNotebook(notebook)) throw new Error("Not a Jupyter notebook (no nbformat / cells)");
+  return notebookToText(notebook);
+}
+
+module.exports = {
+  decodeEntities,
+  attributes,
+  readRelationships,
+  drawingParagraphs,
+  parsePptxFile,
+  parseOdtFile,
+  parseRtfFile,
+  parseHtmlFile,
+  parseNotebookFile,
+  htmlToText,
+  markdownTable,
+  rtfToText,
+  isNotebook,
+  notebookToText,
+};
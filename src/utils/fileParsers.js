@@ -3,18 +3,80 @@ const path = require("path");
 const { PDFParse } = require("pdf-parse");
 const mammoth = require("mammoth");
 const XLSX = require("xlsx");
+const { importRubricTable } = require("./rubricTables");
+const {
+  parsePptxFile,
+  parseOdtFile,
+  parseRtfFile,
+  parseHtmlFile,
+  parseNotebookFile,
+  isNotebook,
+  notebookToText,
+  htmlToText,
+  markdownTable,
+} = require("./documentFormats");
+const { parseSpreadsheetFormulas } = require("./spreadsheets");
 
 /**
- * Supported file extensions grouped by type
+ * Source code extensions and their language names
+ */
+const CODE_LANGUAGES = {
+  ".py": "Python",
+  ".js": "JavaScript",
+  ".mjs": "JavaScript",
+  ".cjs": "JavaScript",
+  ".ts": "TypeScript",
+  ".java": "Java",
+  ".c": "C",
+  ".h": "C",
+  ".cpp": "C++",
+  ".cc": "C++",
+  ".hpp": "C++",
+  ".cs": "C#",
+  ".go": "Go",
+  ".rs": "Rust",
+  ".rb": "Ruby",
+  ".php": "PHP",
+  ".kt": "Kotlin",
+  ".swift": "Swift",
+  ".sh": "Shell",
+  ".sql": "SQL",
+  ".r": "R",
+};
+
+/**
+ * Parser registry: every file type with its label, extensions and parser
+ * (`parse(filePath, originalName, options)` resolves to text, or to
+ * { text, details } with structure counts for the extraction summary). Upload checks,
+ * /api/supported-formats, /api/info and the web UI's file pickers are all
+ * derived from it — add a type here and it is accepted everywhere.
  */
-const SUPPORTED_EXTENSIONS = {
-  text: [".txt", ".md", ".csv"],
-  pdf: [".pdf"],
-  word: [".docx", ".doc"],
-  spreadsheet: [".xlsx", ".xls", ".ods"],
-  json: [".json"],
+const PARSERS = {
+  text: { label: "Plain text / Markdown / CSV", extensions: [".txt", ".md", ".csv"], parse: parseTextFile },
+  pdf: { label: "PDF", extensions: [".pdf"], parse: parsePdfFile },
+  word: { label: "Word", extensions: [".docx", ".doc"], parse: parseWordFile },
+  odt: { label: "OpenDocument text", extensions: [".odt"], parse: parseOdtFile },
+  rtf: { label: "Rich Text Format", extensions: [".rtf"], parse: parseRtfFile },
+  slides: { label: "PowerPoint (slides and speaker notes)", extensions: [".pptx"], parse: parsePptxFile },
+  spreadsheet: { label: "Spreadsheet", extensions: [".xlsx", ".xls", ".ods"], parse: parseSpreadsheetFile },
+  html: { label: "HTML page", extensions: [".html", ".htm"], parse: parseHtmlFile },
+  notebook: { label: "Jupyter notebook (cells and outputs)", extensions: [".ipynb"], parse: parseNotebookFile },
+  json: { label: "JSON", extensions: [".json"], parse: parseJsonText },
+  code: { label: "Source code (line-numbered)", extensions: Object.keys(CODE_LANGUAGES), parse: parseCodeFile },
 };
 
+/**
+ * Supported file extensions grouped by type
+ */
+const SUPPORTED_EXTENSIONS = Object.fromEntries(Object.entries(PARSERS).map(([type, p]) => [type, p.extensions]));
+
+/**
+ * The registry as a list: [{ type, label, extensions }]
+ */
+function listFileTypes() {
+  return Object.entries(PARSERS).map(([type, { label, extensions }]) => ({ type, label, extensions }));
+}
+
 /**
  * Get all supported extensions as a flat array
  */
@@ -33,6 +95,25 @@ function getFileType(filename) {
   return null;
 }
 
+/**
+ * Language of a source code file ("Python", "C", ...), or null for other files
+ */
+function getCodeLanguage(filename) {
+  return CODE_LANGUAGES[path.extname(filename).toLowerCase()] || null;
+}
+
+/**
+ * Parse a source code file: a "File: <name> (<language>, <n> lines)" line,
+ * then every line prefixed with its number so feedback can point at it
+ */
+async function parseCodeFile(filePath, originalName) {
+  const name = path.basename(originalName || filePath);
+  const lines = fs.readFileSync(filePath, "utf-8").replace(/\r\n?/g, "\n").replace(/\n$/, "").split("\n");
+  const width = String(lines.length).length;
+  const numbered = lines.map((line, i) => `${String(i + 1).padStart(width)} | ${line}`);
+  return `File: ${name} (${getCodeLanguage(name)}, ${lines.length} lines)\n${numbered.join("\n")}`;
+}
+
 /**
  * Parse a plain text file
  */
@@ -49,30 +130,126 @@ async function parseJsonFile(filePath) {
 }
 
 /**
- * Parse a PDF file and extract text
+ * Parse a JSON file as text: pretty-printed, or cell by cell for a Jupyter
+ * notebook saved as .json
+ */
+async function parseJsonText(filePath) {
+  const parsed = await parseJsonFile(filePath);
+  if (isNotebook(parsed)) return notebookToText(parsed);
+  return typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2);
+}
+
+/** Numbered section titles in PDF text: "2", "2.1 Methods", "3.2.1. Setup" */
+const SECTION_HEADING = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+(\p{Lu}[^\t]{0,80})$/u;
+
+/**
+ * Mark numbered section titles ("2.1 Methods") as Markdown headings, one "#"
+ * per level. PDFs carry no heading markup, so a line counts when it is short,
+ * starts with a capital and doesn't end like a sentence.
+ */
+function markSectionHeadings(lines) {
+  let headings = 0;
+  const marked = lines.map((line) => {
+    const match = line.trim().match(SECTION_HEADING);
+    if (!match || /[.,;:!?]$/.test(match[2]) || match[2].split(/\s+/).length > 10) return line;
+    headings++;
+    return `${"#".repeat(match[1].split(".").length)} ${line.trim()}`;
+  });
+  return { lines: marked, headings };
+}
+
+/**
+ * Put each of a page's tables (rows of cells) in place of the lines that hold
+ * its text, as a Markdown table; tables whose rows aren't found as lines are
+ * added after the page text
+ */
+function placeTables(lines, tables) {
+  const squash = (text) => text.replace(/\s+/g, " ").trim();
+  const result = [...lines];
+  const appended = [];
+  for (const rows of tables) {
+    const table = markdownTable(rows);
+    if (!table) continue;
+    const rowTexts = rows.map((row) => squash(row.join(" "))).filter(Boolean);
+    const start = result.findIndex((line) => squash(line) === rowTexts[0]);
+    let end = start;
+    while (start >= 0 && end - start < rowTexts.length && squash(result[end] ?? "") === rowTexts[end - start]) end++;
+    if (start >= 0 && end - start === rowTexts.length) result.splice(start, end - start, "", table, "");
+    else appended.push(table);
+  }
+  return [...result, ...appended.flatMap((table) => ["", table])];
+}
+
+/**
+ * Parse a PDF file: every page under a "--- Page n ---" marker, numbered
+ * section titles as Markdown headings and ruled tables as Markdown tables.
+ * Pages without text (usually scans) are marked, and embedded images counted.
  */
 async function parsePdfFile(filePath) {
-  const buffer = fs.readFileSync(filePath);
-  const uint8 = new Uint8Array(buffer);
-  const pdf = new PDFParse(uint8);
-  await pdf.load();
-  return pdf.getText();
+  const pdf = new PDFParse({ data: new Uint8Array(fs.readFileSync(filePath)) });
+  try {
+    const { pages } = await pdf.getText();
+    const images = await pdf.getImage({ imageDataUrl: false, imageBuffer: false });
+    const tables = await pdf.getTable();
+
+    const details = { pages: pages.length, empty_pages: 0, images: 0, tables: 0, headings: 0 };
+    const blocks = pages.map(({ num, text }) => {
+      const pageImages = images.pages.find((p) => p.pageNumber === num)?.images.length || 0;
+      const pageTables = tables.pages.find((p) => p.num === num)?.tables || [];
+      details.images += pageImages;
+      details.tables += pageTables.length;
+
+      const lines = [];
+      if (text.trim()) {
+        const marked = markSectionHeadings(text.trim().split("\n"));
+        details.headings += marked.headings;
+        lines.push(...placeTables(marked.lines, pageTables));
+      } else {
+        details.empty_pages++;
+        lines.push(pageImages > 0 ? "[no text on this page — scanned image?]" : "[no text on this page]");
+      }
+      if (pageImages > 0) lines.push(`[${pageImages} image${pageImages === 1 ? "" : "s"} on this page]`);
+      return `--- Page ${num} ---\n${lines.join("\n")}`;
+    });
+    return { text: blocks.join("\n\n"), details };
+  } finally {
+    await pdf.destroy();
+  }
 }
 
 /**
- * Parse a Word document (.docx) and extract text
+ * Parse a Word document (.docx): headings as "#" lines, numbered and bulleted
+ * lists, tables as Markdown tables and images as [image: alt text]
  */
 async function parseWordFile(filePath) {
   const buffer = fs.readFileSync(filePath);
-  const result = await mammoth.extractRawText({ buffer });
-  return result.value;
+  let images = 0;
+  const { value: html } = await mammoth.convertToHtml(
+    { buffer },
+    {
+      // Only count images; the alt text is all the prompt gets
+      convertImage: mammoth.images.imgElement(async () => {
+        images++;
+        return { src: "" };
+      }),
+    }
+  );
+  const details = {
+    images,
+    tables: (html.match(/<table\b/g) || []).length,
+    headings: (html.match(/<h[1-6]\b/g) || []).length,
+  };
+  return { text: htmlToText(html), details };
 }
 
 /**
  * Parse a spreadsheet (.xlsx, .xls, .ods) and extract text
- * Converts each sheet into a readable text table
+ * Converts each sheet into a readable text table, or with
+ * `spreadsheetMode: "formulas"` lists every cell with its formula and value
+ * (see spreadsheets.js)
  */
-async function parseSpreadsheetFile(filePath) {
+async function parseSpreadsheetFile(filePath, _originalName, { spreadsheetMode = "values" } = {}) {
+  if (spreadsheetMode === "formulas") return parseSpreadsheetFormulas(filePath);
   const workbook = XLSX.readFile(filePath);
   const sheets = [];
 
@@ -96,9 +273,15 @@ async function parseSpreadsheetFile(filePath) {
 }
 
 /**
- * Parse any supported file and return its text content
+ * Parse any supported file into its text and an extraction summary:
+ *   { text, summary: { file, type, characters, ...details, warnings } }
+ * where details are the parser's structure counts (PDF: pages, empty_pages,
+ * images, tables, headings; Word: images, tables, headings; spreadsheets in
+ * formulas mode: see spreadsheets.parseSpreadsheetFormulas) and warnings
+ * point out files that came out empty or partly unreadable. `options`:
+ * { spreadsheetMode } ("values" or "formulas").
  */
-async function parseFile(filePath, originalName) {
+async function extractFile(filePath, originalName, options = {}) {
   const fileType = getFileType(originalName || filePath);
 
   if (!fileType) {
@@ -108,43 +291,65 @@ async function parseFile(filePath, originalName) {
     );
   }
 
-  switch (fileType) {
-    case "text":
-      return await parseTextFile(filePath);
-    case "pdf":
-      return await parsePdfFile(filePath);
-    case "word":
-      return await parseWordFile(filePath);
-    case "spreadsheet":
-      return await parseSpreadsheetFile(filePath);
-    case "json": {
-      const parsed = await parseJsonFile(filePath);
-      return typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2);
-    }
-    default:
-      throw new Error(`No parser available for file type: ${fileType}`);
+  const parsed = await PARSERS[fileType].parse(filePath, originalName, options);
+  const { text, details = {} } = typeof parsed === "string" ? { text: parsed } : parsed;
+
+  const warnings = [];
+  if (!text.replace(/^--- Page \d+ ---$|^\[no text on this page.*\]$/gm, "").trim()) {
+    warnings.push("No text could be extracted — is this a scanned or image-only document?");
+  } else if (details.empty_pages > 0) {
+    warnings.push(`Pages without text: ${details.empty_pages} of ${details.pages} (scanned pages?) — their content is not in the prompt`);
   }
+
+  const summary = { file: path.basename(originalName || filePath), type: fileType, characters: text.length, ...details, warnings };
+  return { text, summary };
 }
 
 /**
- * Parse a rubric file — returns a JS object for JSON, or plain text for everything else.
- * The grading service handles both structured and freeform rubrics.
+ * Parse any supported file and return its text content
  */
-async function parseRubricFile(filePath, originalName) {
+async function parseFile(filePath, originalName) {
+  return (await extractFile(filePath, originalName)).text;
+}
+
+/**
+ * Read a rubric file. Returns { rubric, imported } where rubric is a JS object
+ * for JSON and for spreadsheet, CSV or Word tables with recognizable
+ * criterion/points/level columns (`imported` then describes the detected
+ * table — see rubricTables.js), or plain text for everything else.
+ */
+async function importRubricFile(filePath, originalName) {
   const fileType = getFileType(originalName || filePath);
 
   if (fileType === "json") {
-    return await parseJsonFile(filePath);
+    return { rubric: await parseJsonFile(filePath), imported: null };
   }
 
-  // For non-JSON rubrics (PDF, Word, text, spreadsheet, etc.), return raw text
-  return await parseFile(filePath, originalName);
+  const table = await importRubricTable(filePath, originalName);
+  if (table) {
+    return { rubric: table.rubric, imported: table.detection };
+  }
+
+  // Other rubrics (PDF, text, tables without a rubric layout, etc.) are read as raw text
+  return { rubric: await parseFile(filePath, originalName), imported: null };
+}
+
+/**
+ * Parse a rubric file — returns a JS object for JSON and rubric tables, or plain text for everything else.
+ * The grading service handles both structured and freeform rubrics.
+ */
+async function parseRubricFile(filePath, originalName) {
+  return (await importRubricFile(filePath, originalName)).rubric;
 }
 
 module.exports = {
   parseFile,
+  extractFile,
   parseRubricFile,
+  importRubricFile,
   getFileType,
+  getCodeLanguage,
   getSupportedExtensions,
+  listFileTypes,
   SUPPORTED_EXTENSIONS,
 };
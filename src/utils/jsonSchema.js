@@ -0,0 +1,144 @@
+/**
+ * Small JSON Schema helper covering the subset used by this project:
+ * type, enum, required, properties, additionalProperties, minProperties,
+ * items, minItems, maxItems, minLength, minimum, maximum.
+ *
+ * Errors are reported per field as { path, message }, where `path` is an
+ * array of keys/indices from the root (e.g. ["rubric_breakdown", "Organization", "score"]).
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some((t) => t === actual || (t === "number" && actual === "integer"));
+}
+
+/**
+ * Validate a value against a schema. Returns an array of errors (empty when valid).
+ */
+function validate(value, schema, path = []) {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (!schema || typeof schema !== "object") return errors;
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`expected ${[].concat(schema.type).join(" or ")}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string" && schema.minLength != null && value.trim().length < schema.minLength) {
+    fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) fail("must be a finite number");
+    if (schema.minimum != null && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems != null && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} item(s)`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, [...path, i])));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail("is required", [...path, key]);
+    }
+    if (schema.minProperties != null && Object.keys(value).length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? "y" : "ies"}`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (props[key]) {
+        errors.push(...validate(child, props[key], [...path, key]));
+      } else if (schema.additionalProperties === false) {
+        fail("is not allowed", [...path, key]);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validate(child, schema.additionalProperties, [...path, key]));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fix values that are clearly right but of the wrong primitive type, in place
+ * where possible: numeric strings → numbers, a lone string → [string],
+ * numbers/booleans → strings, enum strings in the wrong case → the enum
+ * value. Returns the (possibly replaced) value.
+ */
+function coerce(value, schema) {
+  if (!schema || typeof schema !== "object" || value == null) return value;
+
+  const types = schema.type ? [].concat(schema.type) : [];
+
+  if (typeof value === "string" && (types.includes("number") || types.includes("integer")) && !types.includes("string")) {
+    const n = Number(value.trim().replace(/%$/, ""));
+    if (value.trim() !== "" && Number.isFinite(n)) return n;
+  }
+
+  if ((typeof value === "number" || typeof value === "boolean") && types.includes("string") && !types.includes(typeof value)) {
+    return String(value);
+  }
+
+  // Enum strings that differ only in case or surrounding whitespace
+  if (typeof value === "string" && Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    const match = schema.enum.find((e) => typeof e === "string" && e.toLowerCase() === value.trim().toLowerCase());
+    if (match) return match;
+  }
+
+  if (types.includes("array") && !Array.isArray(value) && typeof value === "string") {
+    return value.trim() ? [value] : [];
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) value[i] = coerce(value[i], schema.items);
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      const child = props[key] || (typeof schema.additionalProperties === "object" ? schema.additionalProperties : null);
+      if (child) value[key] = coerce(value[key], child);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Render an error path as a readable string, e.g. rubric_breakdown["Code Quality"].score
+ */
+function formatPath(path) {
+  if (path.length === 0) return "(root)";
+  return path
+    .map((key, i) => {
+      if (typeof key === "number") return `[${key}]`;
+      if (/^[A-Za-z_$][\w$]*$/.test(key)) return i === 0 ? key : `.${key}`;
+      return `[${JSON.stringify(key)}]`;
+    })
+    .join("");
+}
+
+module.exports = {
+  validate,
+  coerce,
+  formatPath,
+};
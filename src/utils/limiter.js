@@ -0,0 +1,72 @@
+/**
+ * Minimal async concurrency limiter.
+ *
+ *   const limit = createLimiter(2);
+ *   await limit(() => doWork(), signal);
+ *
+ * At most `max` tasks run at once; the rest wait in FIFO order. A task still
+ * waiting when its AbortSignal fires is dropped from the queue and rejects
+ * with an AbortError, so cancelled work never starts.
+ */
+
+/**
+ * Build the error used for cancelled work (matches fetch's AbortError name)
+ */
+function createAbortError(message = "Operation cancelled") {
+  const err = new Error(message);
+  err.name = "AbortError";
+  return err;
+}
+
+function createLimiter(max) {
+  const limit = Math.max(1, parseInt(max) || 1);
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    while (active < limit && queue.length > 0) {
+      const entry = queue.shift();
+      entry.start();
+    }
+  }
+
+  function run(task, signal) {
+    if (signal?.aborted) return Promise.reject(createAbortError());
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const idx = queue.indexOf(entry);
+        if (idx !== -1) {
+          queue.splice(idx, 1);
+          reject(createAbortError());
+        }
+      };
+
+      const entry = {
+        start() {
+          signal?.removeEventListener("abort", onAbort);
+          active++;
+          Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+              active--;
+              next();
+            });
+        },
+      };
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+      queue.push(entry);
+      next();
+    });
+  }
+
+  run.stats = () => ({ active, queued: queue.length, max: limit });
+  return run;
+}
+
+module.exports = {
+  createLimiter,
+  createAbortError,
+};
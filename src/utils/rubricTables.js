@@ -0,0 +1,225 @@
+const fs = require("fs");
+const path = require("path");
+const mammoth = require("mammoth");
+const XLSX = require("xlsx");
+const { decodeEntities } = require("./documentFormats");
+
+/**
+ * Import rubrics kept as tables — spreadsheets, CSV and Word tables — as
+ * structured rubric objects instead of flattened text.
+ *
+ * Three layouts are recognized from the header row:
+ *   - points:  Criterion | Points | Description
+ *   - levels:  Criterion | Level | Points | Descriptor   (one row per level;
+ *              a blank criterion cell continues the previous criterion)
+ *   - grid:    Criterion | Exemplary (4) | Proficient (3) | ...   (level
+ *              columns with points in the header, descriptors in the cells;
+ *              numbered headers like "Level 4" or "Level 4 (Exemplary)" too)
+ */
+
+/** Header keywords per column role, checked in this order */
+const COLUMN_PATTERNS = {
+  criterion: /\b(criteri(on|a)|category|component|dimension|element|skill|area|trait|aspect|item|objective|outcome)\b/i,
+  level: /\b(level|rating|performance|band|grade)\b/i,
+  points: /\b(points?|pts|marks?|max|score|weight(ing)?|value)\b/i,
+  description: /\b(descriptions?|descriptors?|details?|expectations?|requirements?|notes?|indicators?|evidence)\b/i,
+};
+
+/** Rows scanned for a header */
+const HEADER_SCAN_ROWS = 5;
+
+function cellText(cell) {
+  return cell == null ? "" : String(cell).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Read points from a cell: "10", "10 pts", "7.5", "25%", "8-10" (upper bound).
+ * Returns null when the cell holds no number.
+ */
+function parsePoints(value) {
+  if (typeof value === "number") return value;
+  const text = cellText(value);
+  const range = text.match(/^(\d+(?:\.\d+)?)\s*[-–]\s*(\d+(?:\.\d+)?)\b/);
+  if (range) return Number(range[2]);
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*(?:pts?|points?|marks?|%)?\.?$/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * A level column header like "Exemplary (4)", "Proficient - 3 pts",
+ * "Developing 2" or "4 - Exemplary". Returns { name, points } or null.
+ * Numbered headers ("Level 4", "Band 2: Developing") also get `numbered`;
+ * their name is the label after the number, or the whole header when there
+ * is none, so "Level 3" and "Level 2" stay distinct.
+ */
+function parseLevelHeader(header) {
+  const text = cellText(header);
+  let match = text.match(/^(?:level|band|grade|rating|tier)\s*(\d+(?:\.\d+)?)\s*(?:[-–:(]\s*([^)]*?)\s*\)?)?$/i);
+  if (match) return { name: match[2] || text, points: Number(match[1]), numbered: true };
+  match = text.match(/^(.*?[A-Za-z].*?)\s*[(\[–-]?\s*(\d+(?:\.\d+)?)(?:\s*[-–]\s*(\d+(?:\.\d+)?))?\s*(?:pts?|points?|marks?)?\s*[)\]]?$/i);
+  if (match) return { name: match[1].replace(/[\s:(–-]+$/, "").trim(), points: Number(match[3] ?? match[2]) };
+  match = text.match(/^(\d+(?:\.\d+)?)\s*(?:pts?|points?)?\s*[-–:)]?\s*([A-Za-z].*)$/i);
+  if (match) return { name: match[2].trim(), points: Number(match[1]) };
+  return null;
+}
+
+/**
+ * Find the header row and the role of each column. Returns
+ * { headerRow, columns: { criterion, points, description, level }, levelColumns, layout } or null.
+ */
+function detectColumns(rows) {
+  for (let r = 0; r < Math.min(rows.length, HEADER_SCAN_ROWS); r++) {
+    const headers = rows[r].map(cellText);
+    if (headers.filter(Boolean).length < 2) continue;
+
+    const columns = {};
+    const levelColumns = [];
+    headers.forEach((header, c) => {
+      if (!header) return;
+      const role = Object.keys(COLUMN_PATTERNS).find((k) => columns[k] == null && COLUMN_PATTERNS[k].test(header));
+      const level = parseLevelHeader(header);
+      // "Points" alone is a points column; "Exemplary (4)" and "Level 4" are level columns
+      if (level && (level.numbered || !(role && COLUMN_PATTERNS[role].test(level.name)))) {
+        levelColumns.push({ column: c, name: level.name, points: level.points });
+      } else if (role) {
+        columns[role] = c;
+      }
+    });
+
+    // Without a named criterion column, the first column holds the criteria
+    if (columns.criterion == null && (columns.points != null || levelColumns.length >= 2)) {
+      const first = headers.findIndex((h, c) => h && !Object.values(columns).includes(c) && !levelColumns.some((l) => l.column === c));
+      if (first !== -1 && first < (levelColumns[0]?.column ?? Infinity)) columns.criterion = first;
+    }
+    if (columns.criterion == null) continue;
+
+    if (levelColumns.length >= 2) return { headerRow: r, columns, levelColumns, layout: "grid" };
+    if (columns.level != null && columns.points != null) return { headerRow: r, columns, levelColumns: [], layout: "levels" };
+    if (columns.points != null) return { headerRow: r, columns, levelColumns: [], layout: "points" };
+  }
+  return null;
+}
+
+/**
+ * Convert a table (array of rows of cells) into a rubric object.
+ * Returns { rubric, detection } or null if no rubric layout was found.
+ */
+function tableToRubric(rows) {
+  const detection = detectColumns(rows);
+  if (!detection) return null;
+
+  const { headerRow, columns, levelColumns, layout } = detection;
+  const rubric = {};
+  let current = null;
+
+  for (const row of rows.slice(headerRow + 1)) {
+    const name = cellText(row[columns.criterion]);
+    const description = columns.description != null ? cellText(row[columns.description]) : "";
+
+    if (layout === "points") {
+      const points = parsePoints(row[columns.points]);
+      if (!name || points == null) continue;
+      rubric[name] = { max_points: points, ...(description ? { description } : {}) };
+      continue;
+    }
+
+    if (layout === "grid") {
+      if (!name) continue;
+      const levels = levelColumns
+        .map((l) => ({ name: l.name, points: l.points, descriptor: cellText(row[l.column]) }))
+        .filter((l) => l.descriptor);
+      if (levels.length === 0) continue;
+      rubric[name] = { ...(description ? { description } : {}), levels };
+      continue;
+    }
+
+    // levels: one row per level, a blank criterion continues the previous one
+    if (name) current = name;
+    const levelName = cellText(row[columns.level]);
+    const points = parsePoints(row[columns.points]);
+    if (!current || !levelName || points == null) continue;
+    rubric[current] = rubric[current] || { levels: [] };
+    rubric[current].levels.push({ name: levelName, points, descriptor: description });
+  }
+
+  if (Object.keys(rubric).length === 0) return null;
+
+  const header = rows[headerRow].map(cellText);
+  return {
+    rubric,
+    detection: {
+      layout,
+      headerRow: headerRow + 1,
+      columns: Object.fromEntries(Object.entries(columns).map(([role, c]) => [role, header[c]])),
+      ...(layout === "grid" ? { levels: levelColumns.map(({ name, points }) => ({ name, points })) } : {}),
+    },
+  };
+}
+
+/**
+ * Tables of a spreadsheet or CSV file: [{ source: sheet name, rows }]
+ */
+function readSheetTables(filePath, originalName) {
+  const ext = path.extname(originalName || filePath).toLowerCase();
+  const workbook = ext === ".csv"
+    ? XLSX.read(fs.readFileSync(filePath, "utf-8"), { type: "string", raw: true })
+    : XLSX.readFile(filePath);
+  return workbook.SheetNames.map((name) => ({
+    source: ext === ".csv" ? "CSV" : `Sheet: ${name}`,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: "" }),
+  }));
+}
+
+/**
+ * Tables of a Word document: [{ source: "Table N", rows }]. Merged cells are
+ * padded so columns stay aligned.
+ */
+async function readWordTables(filePath) {
+  const { value: html } = await mammoth.convertToHtml({ buffer: fs.readFileSync(filePath) });
+  const tables = [];
+  for (const [, table] of html.matchAll(/<table>([\s\S]*?)<\/table>/g)) {
+    const rows = [];
+    for (const [, row] of table.matchAll(/<tr>([\s\S]*?)<\/tr>/g)) {
+      const cells = [];
+      for (const [, attrs, content] of row.matchAll(/<t[dh]([^>]*)>([\s\S]*?)<\/t[dh]>/g)) {
+        cells.push(decodeEntities(content.replace(/<\/p>/g, " ").replace(/<[^>]+>/g, "")).trim());
+        const span = parseInt((attrs.match(/colspan="(\d+)"/) || [])[1]) || 1;
+        for (let i = 1; i < span; i++) cells.push("");
+      }
+      rows.push(cells);
+    }
+    tables.push({ source: `Table ${tables.length + 1}`, rows });
+  }
+  return tables;
+}
+
+/**
+ * Import a rubric table from a spreadsheet, CSV or .docx file. Uses the
+ * first sheet/table with a recognizable layout. Returns
+ * { rubric, detection: { source, layout, headerRow, columns, levels? } } or
+ * null for other file types or when no table looks like a rubric.
+ */
+async function importRubricTable(filePath, originalName) {
+  const ext = path.extname(originalName || filePath).toLowerCase();
+  let tables;
+  if ([".xlsx", ".xls", ".ods", ".csv"].includes(ext)) {
+    tables = readSheetTables(filePath, originalName);
+  } else if (ext === ".docx") {
+    tables = await readWordTables(filePath);
+  } else {
+    return null;
+  }
+
+  for (const { source, rows } of tables) {
+    const imported = tableToRubric(rows);
+    if (imported) return { rubric: imported.rubric, detection: { source, ...imported.detection } };
+  }
+  return null;
+}
+
+module.exports = {
+  importRubricTable,
+  tableToRubric,
+  parsePoints,
+  parseLevelHeader,
+};
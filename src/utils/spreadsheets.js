@@ -0,0 +1,296 @@
+/**
+ * Formula-aware spreadsheet extraction, for assignments graded on how a
+ * workbook is built ("uses VLOOKUP correctly") rather than on its numbers
+ * alone. Every non-empty cell is listed by address with its formula and
+ * computed (cached) value, along with hidden sheets and named ranges. For
+ * .xlsx files, charts, data validation and conditional formatting are
+ * read from the workbook XML, which SheetJS does not parse.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const XLSX = require("xlsx");
+const JSZip = require("jszip");
+
+const { decodeEntities, attributes, readRelationships, drawingParagraphs } = require("./documentFormats");
+
+/**
+ * How spreadsheet submissions are read: "values" (each sheet as a table of
+ * displayed values) or "formulas" (every cell with its address, formula and
+ * value, plus workbook structure)
+ */
+const SPREADSHEET_MODES = ["values", "formulas"];
+
+/** Cells listed per sheet in formulas mode */
+const MAX_CELLS_PER_SHEET = 5000;
+
+/**
+ * Normalize a spreadsheetMode request field (default "values"). Throws with
+ * a client-facing message for unknown modes.
+ */
+function parseSpreadsheetMode(value) {
+  if (value == null || value === "") return "values";
+  const mode = String(value).trim().toLowerCase();
+  if (!SPREADSHEET_MODES.includes(mode)) {
+    throw new Error(`spreadsheetMode must be one of: ${SPREADSHEET_MODES.join(", ")}`);
+  }
+  return mode;
+}
+
+// ── Cells ──
+
+/**
+ * A cell's value as shown in the listing: text quoted, numbers and dates as
+ * displayed, errors as their code
+ */
+function cellValue(cell) {
+  if (cell.v == null) return null;
+  if (cell.t === "s") return JSON.stringify(String(cell.v));
+  if (cell.t === "b") return cell.v ? "TRUE" : "FALSE";
+  if (cell.t === "e") return cell.w || "#ERROR!";
+  return cell.w ?? String(cell.v);
+}
+
+/**
+ * "C2: =B2*1.2 → 144" lines for a sheet's non-empty cells, row by row
+ */
+function cellLines(sheet) {
+  const lines = [];
+  let formulas = 0;
+  let total = 0;
+  if (!sheet["!ref"]) return { lines, formulas, total };
+
+  const range = XLSX.utils.decode_range(sheet["!ref"]);
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const address = XLSX.utils.encode_cell({ r, c });
+      const cell = sheet[address];
+      if (!cell || (cell.v == null && !cell.f)) continue;
+      total++;
+      if (cell.f) formulas++;
+      if (total > MAX_CELLS_PER_SHEET) continue;
+
+      const value = cellValue(cell);
+      if (!cell.f) {
+        lines.push(`${address}: ${value}`);
+        continue;
+      }
+      const array = cell.F && cell.F.startsWith(`${address}:`) ? ` (array formula over ${cell.F})` : "";
+      lines.push(`${address}: =${cell.f}${array} → ${value ?? "(no cached value)"}`);
+    }
+  }
+  if (total > MAX_CELLS_PER_SHEET) lines.push(`[... ${total - MAX_CELLS_PER_SHEET} more cells not listed ...]`);
+  return { lines, formulas, total };
+}
+
+// ── Workbook XML (.xlsx): data validation, conditional formatting, charts ──
+
+/**
+ * Path of a part a relationship points to, from the folder of the part that
+ * holds the relationship
+ */
+function resolvePart(fromDir, target) {
+  return target.startsWith("/") ? target.slice(1) : path.posix.normalize(path.posix.join(fromDir, target));
+}
+
+function relsPath(part) {
+  return `${path.posix.dirname(part)}/_rels/${path.posix.basename(part)}.rels`;
+}
+
+/**
+ * Text of a formula element (<formula1>, <x14:formula1><xm:f>, <formula>)
+ */
+function formulaText(body, tag) {
+  const m = body.match(new RegExp(`<(?:x14:)?${tag}>([\\s\\S]*?)</(?:x14:)?${tag}>`));
+  return m ? decodeEntities(m[1].replace(/<[^>]+>/g, "")).trim() : null;
+}
+
+/**
+ * Where an element applies: its sqref attribute or an <xm:sqref> child
+ */
+function sqref(attrs, body) {
+  return attrs.sqref || body.match(/<xm:sqref>([^<]*)<\/xm:sqref>/)?.[1] || "?";
+}
+
+/**
+ * Data validation rules of a worksheet, as "B2:B10: list "North,South""
+ */
+function dataValidations(xml) {
+  const rules = [];
+  for (const m of xml.matchAll(/<(?:x14:)?dataValidation\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:x14:)?dataValidation>)/g)) {
+    const attrs = attributes(m[1]);
+    const body = m[2] || "";
+    const first = formulaText(body, "formula1");
+    const second = formulaText(body, "formula2");
+    const rule = [attrs.type || "any", attrs.operator, first, second && `and ${second}`].filter(Boolean).join(" ");
+    rules.push(`${sqref(attrs, body)}: ${rule}${attrs.errorStyle ? ` (${attrs.errorStyle})` : ""}`);
+  }
+  return rules;
+}
+
+/**
+ * Conditional formatting rules of a worksheet, as "C2:C10: cellIs greaterThan 100"
+ */
+function conditionalFormats(xml) {
+  const rules = [];
+  for (const m of xml.matchAll(/<(?:x14:)?conditionalFormatting\b([^>]*)>([\s\S]*?)<\/(?:x14:)?conditionalFormatting>/g)) {
+    const where = sqref(attributes(m[1]), m[2]);
+    for (const r of m[2].matchAll(/<(?:x14:)?cfRule\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:x14:)?cfRule>)/g)) {
+      const attrs = attributes(r[1]);
+      const body = r[2] || "";
+      const formulas = [...body.matchAll(/<(?:formula|xm:f)>([\s\S]*?)<\/(?:formula|xm:f)>/g)].map((f) => decodeEntities(f[1]).trim());
+      const detail = [
+        attrs.type,
+        attrs.operator,
+        attrs.text != null && JSON.stringify(attrs.text),
+        attrs.rank && `${attrs.bottom === "1" ? "bottom" : "top"} ${attrs.rank}${attrs.percent === "1" ? "%" : ""}`,
+        formulas.join(" and "),
+      ].filter(Boolean);
+      rules.push(`${where}: ${detail.join(" ")}`);
+    }
+  }
+  return rules;
+}
+
+/**
+ * A chart part as one line: type, title and each series' data ranges
+ */
+function describeChart(xml) {
+  const plot = xml.match(/<c:plotArea>([\s\S]*?)<\/c:plotArea>/)?.[1] || xml;
+  const types = [...plot.matchAll(/<c:(\w+?)Chart>/g)].map((m) => {
+    const kind = m[1].replace(/3D$/, "");
+    return kind === "bar" && /<c:barDir val="col"\/>/.test(plot) ? "column" : kind;
+  });
+  const titleXml = xml.match(/<c:title>([\s\S]*?)<\/c:title>/)?.[1];
+  const title = titleXml ? drawingParagraphs(titleXml).join(" ") || titleXml.match(/<c:f>([^<]*)<\/c:f>/)?.[1] : null;
+
+  const series = (plot.match(/<c:ser>[\s\S]*?<\/c:ser>/g) || []).map((ser) => {
+    const ref = (tag) => {
+      const part = ser.match(new RegExp(`<c:${tag}>([\\s\\S]*?)</c:${tag}>`))?.[1];
+      return part?.match(/<c:f>([^<]*)<\/c:f>/)?.[1] ?? part?.match(/<c:v>([^<]*)<\/c:v>/)?.[1] ?? null;
+    };
+    const name = ser.match(/<c:tx>[\s\S]*?<c:v>([^<]*)<\/c:v>/)?.[1] ?? ref("tx");
+    const values = ref("val") ?? ref("yVal");
+    const categories = ref("cat") ?? ref("xVal");
+    const ranges = [values && `values ${decodeEntities(values)}`, categories && `categories ${decodeEntities(categories)}`];
+    return `${name ? `"${decodeEntities(name)}"` : "series"}: ${ranges.filter(Boolean).join(", ") || "no data range"}`;
+  });
+
+  const kind = types.length ? [...new Set(types)].join(" + ") : "unknown";
+  return `${kind[0].toUpperCase()}${kind.slice(1)} chart${title ? ` "${title}"` : ""}${series.length ? ` — series ${series.join("; ")}` : ""}`;
+}
+
+/**
+ * Charts drawn on a sheet (or chart sheet) part
+ */
+async function sheetCharts(zip, sheetPart) {
+  const charts = [];
+  const sheetRels = await readRelationships(zip, relsPath(sheetPart));
+  for (const drawing of sheetRels.filter((r) => /\/drawing$/.test(r.Type || ""))) {
+    const drawingPart = resolvePart(path.posix.dirname(sheetPart), drawing.Target);
+    const drawingRels = await readRelationships(zip, relsPath(drawingPart));
+    for (const chart of drawingRels.filter((r) => /\/chart$/.test(r.Type || ""))) {
+      const file = zip.file(resolvePart(path.posix.dirname(drawingPart), chart.Target));
+      if (file) charts.push(describeChart(await file.async("string")));
+    }
+  }
+  return charts;
+}
+
+/**
+ * Data validation, conditional formatting and charts of every sheet of an
+ * .xlsx workbook, by sheet name. Empty for other formats.
+ */
+async function workbookExtras(buffer) {
+  const extras = new Map();
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    return extras; // .xls / .ods: SheetJS covers formulas, names and hidden sheets only
+  }
+  const workbook = await zip.file("xl/workbook.xml")?.async("string");
+  if (!workbook) return extras;
+
+  const targets = new Map((await readRelationships(zip, "xl/_rels/workbook.xml.rels")).map((r) => [r.Id, r.Target]));
+  for (const tag of workbook.match(/<sheet\b[^>]*>/g) || []) {
+    const attrs = attributes(tag);
+    const target = targets.get(attrs["r:id"]);
+    if (!target) continue;
+    const part = resolvePart("xl", target);
+    const xml = (await zip.file(part)?.async("string")) || "";
+    extras.set(decodeEntities(attrs.name), {
+      validations: dataValidations(xml),
+      conditional: conditionalFormats(xml),
+      charts: await sheetCharts(zip, part),
+    });
+  }
+  return extras;
+}
+
+// ── Workbook ──
+
+/**
+ * Named ranges as "Name = Sheet!$A$1" lines (sheet-scoped names say so);
+ * Excel's built-in names (print areas, filters) are left out
+ */
+function namedRanges(workbook) {
+  const sheets = workbook.SheetNames;
+  return (workbook.Workbook?.Names || [])
+    .filter((n) => !n.Name.startsWith("_xlnm."))
+    .map((n) => `${n.Name}${n.Sheet != null ? ` (sheet ${sheets[n.Sheet]})` : ""} = ${n.Ref}${n.Hidden ? " (hidden)" : ""}`);
+}
+
+/**
+ * Parse a spreadsheet in formulas mode. Resolves to { text, details } with
+ * details { sheets, hidden_sheets, cells, formulas, named_ranges, charts,
+ * data_validations, conditional_formats }.
+ */
+async function parseSpreadsheetFormulas(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const workbook = XLSX.read(buffer, { cellFormula: true, cellText: true, cellDates: false });
+  const extras = await workbookExtras(buffer);
+
+  const names = namedRanges(workbook);
+  const details = {
+    sheets: workbook.SheetNames.length,
+    hidden_sheets: 0,
+    cells: 0,
+    formulas: 0,
+    named_ranges: names.length,
+    charts: 0,
+    data_validations: 0,
+    conditional_formats: 0,
+  };
+
+  const blocks = [];
+  if (names.length > 0) blocks.push(`--- Named ranges ---\n${names.join("\n")}`);
+
+  for (const [i, name] of workbook.SheetNames.entries()) {
+    const hidden = workbook.Workbook?.Sheets?.[i]?.Hidden;
+    if (hidden) details.hidden_sheets++;
+    const { lines, formulas, total } = cellLines(workbook.Sheets[name]);
+    details.cells += total;
+    details.formulas += formulas;
+
+    const extra = extras.get(name) || { validations: [], conditional: [], charts: [] };
+    details.data_validations += extra.validations.length;
+    details.conditional_formats += extra.conditional.length;
+    details.charts += extra.charts.length;
+
+    const parts = [`--- Sheet: ${name}${hidden ? ` (${hidden === 2 ? "very hidden" : "hidden"})` : ""} ---`];
+    parts.push(lines.length > 0 ? lines.join("\n") : "(no cells)");
+    if (extra.validations.length) parts.push(`Data validation:\n${extra.validations.map((v) => `- ${v}`).join("\n")}`);
+    if (extra.conditional.length) parts.push(`Conditional formatting:\n${extra.conditional.map((c) => `- ${c}`).join("\n")}`);
+    if (extra.charts.length) parts.push(`Charts:\n${extra.charts.map((c) => `- ${c}`).join("\n")}`);
+    blocks.push(parts.join("\n"));
+  }
+
+  return { text: blocks.join("\n\n"), details };
+}
+
+module.exports = {
+  SPREADSHEET_MODES,
+  parseSpreadsheetMode,
+  parseSpreadsheetFormulas,
+};
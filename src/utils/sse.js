@@ -0,0 +1,96 @@
+/**
+ * Server-Sent Events helpers for streaming progress over a normal HTTP response.
+ */
+
+/** Comment line sent periodically so proxies don't time out an idle stream */
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Whether the client asked for an event stream: `?stream=1` / `stream=true`
+ * in the body, or `Accept: text/event-stream`.
+ */
+function wantsEventStream(req) {
+  const flag = String(req.query?.stream ?? req.body?.stream ?? "").toLowerCase();
+  if (flag === "1" || flag === "true") return true;
+  return (req.headers.accept || "").includes("text/event-stream");
+}
+
+/**
+ * Switch a response into SSE mode. Returns { send(event, data), close() }.
+ * `data` is JSON-encoded; sending after close() is a no-op.
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+
+  let closed = false;
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": keep-alive\n\n");
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  const stop = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  // Client went away: stop writing, but leave the response unfinished so
+  // abort-on-disconnect handlers still see it as cancelled
+  res.on("close", stop);
+
+  const close = () => {
+    if (closed) return;
+    stop();
+    res.end();
+  };
+
+  return {
+    send(event, data = {}) {
+      if (closed || res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close,
+  };
+}
+
+/**
+ * One way of answering a request, whether or not the client asked for a stream.
+ * Returns { streaming, progress(event, data), fail(status, body), done(body) }.
+ *
+ * For plain requests progress() is a no-op and fail()/done() send JSON. For
+ * streaming requests the event stream is opened on the first progress event;
+ * done() sends a final `result` event and fail() an `error` event (or a normal
+ * JSON error with its status code if nothing has been streamed yet).
+ */
+function createResponder(req, res) {
+  const streaming = wantsEventStream(req);
+  let stream = null;
+  const open = () => (stream ||= openEventStream(res));
+
+  return {
+    streaming,
+    progress(event, data) {
+      if (streaming) open().send(event, data);
+    },
+    fail(status, body) {
+      if (!stream) return res.status(status).json(body);
+      stream.send("error", { status, ...body });
+      stream.close();
+    },
+    done(body) {
+      if (!streaming) return res.json(body);
+      open().send("result", body);
+      stream.close();
+    },
+  };
+}
+
+module.exports = {
+  wantsEventStream,
+  openEventStream,
+  createResponder,
+};
@@ -0,0 +1,110 @@
+const multer = require("multer");
+const path = require("path");
+const fs = require("fs");
+
+const { getSupportedExtensions } = require("./fileParsers");
+const { isArchive, extractArchive } = require("./archives");
+
+/** Upload fields that take .zip archives (see expandArchives) */
+const ARCHIVE_FIELDS = ["submission", "submissions"];
+
+// Configure multer for file uploads
+const upload = multer({
+  dest: path.join(__dirname, "../../uploads"),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20 MB max
+  // Keep the folder in names like "alice/main.py" (folder uploads)
+  preservePath: true,
+  fileFilter: (_req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const supported = getSupportedExtensions();
+    // Test suites are copied next to the code as they are (scripts, fixtures, data files)
+    if (file.fieldname === "tests" || supported.includes(ext)) {
+      cb(null, true);
+    } else if (isArchive(file.originalname) && ARCHIVE_FIELDS.includes(file.fieldname)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported file type: ${ext}. Supported: ${supported.join(", ")}`));
+    }
+  },
+});
+
+/**
+ * Middleware wrapper: apply multer only for multipart requests,
+ * skip gracefully for JSON bodies so the same route handles both.
+ */
+function optionalUpload(fields) {
+  const multerMiddleware = upload.fields(fields);
+  return (req, res, next) => {
+    const contentType = req.headers["content-type"] || "";
+    if (contentType.startsWith("multipart/form-data")) {
+      return multerMiddleware(req, res, next);
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware: replace every .zip uploaded in `field` with the supported files
+ * inside it (see archives.js extractArchive). The archives themselves move to
+ * req.files.archives so cleanupFiles still removes them, and
+ * req.archives lists what each one contained. Bad archives are a 400.
+ */
+function expandArchives(field) {
+  return async (req, res, next) => {
+    const uploaded = req.files?.[field];
+    if (!uploaded || !uploaded.some((f) => isArchive(f.originalname))) return next();
+
+    const files = [];
+    req.files.archives = [];
+    req.archives = [];
+    try {
+      for (const file of uploaded) {
+        if (!isArchive(file.originalname)) {
+          files.push(file);
+          continue;
+        }
+        req.files.archives.push(file);
+        const extracted = await extractArchive(file);
+        file.extractedTo = extracted.dir;
+        if (extracted.files.length === 0) {
+          throw new Error(`${file.originalname} has no supported files. Supported: ${getSupportedExtensions().join(", ")}`);
+        }
+        files.push(...extracted.files);
+        req.archives.push({
+          name: file.originalname,
+          files: extracted.files.map((f) => f.originalname),
+          ignored: extracted.ignored,
+        });
+      }
+    } catch (err) {
+      cleanupFiles(req.files);
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    req.files[field] = files;
+    next();
+  };
+}
+
+/**
+ * Helper to clean up uploaded files after processing (and the directories
+ * archives were unpacked into)
+ */
+function cleanupFiles(files) {
+  if (!files) return;
+  const allFiles = Object.values(files).flat();
+  for (const file of allFiles) {
+    try {
+      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+      if (file.extractedTo) fs.rmSync(file.extractedTo, { recursive: true, force: true });
+    } catch {
+      // ignore cleanup errors
+    }
+  }
+}
+
+module.exports = {
+  ARCHIVE_FIELDS,
+  optionalUpload,
+  expandArchives,
+  cleanupFiles,
+};